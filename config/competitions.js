@@ -0,0 +1,181 @@
+// Competition registry. eventId values match seeders/20240208152554-event-seeds.js.
+//
+// Team competitions declare:
+// - minMembers / maxMembers: members besides the leader. Members past
+//   minMembers may be left blank and are skipped.
+// - teamFields: columns of `teams` participants may edit, through the update
+//   routes or when resubmitting.
+// - memberFields: columns of `members` filled from the submitted data and
+//   editable the same way, like the extras' `fields`.
+// - memberDocuments: files uploaded per member as `leader_<doc>` and
+//   `member<n>_<doc>`, stored in the `members` column of the same name.
+// - teamDocuments: files stored in the `teams` column of the same name.
+// - legacyDocuments: `teams` columns no longer uploaded whose stored files
+//   stay downloadable, e.g. voucher images from before voucher codes.
+// - extras: competition specific tables keyed by team_id. `fields` are read
+//   from data[name] and `documents` maps a column to its upload field.
+// - maxFileSize: optional cap on every upload, see services/uploadPolicy.js.
+//
+// Individual competitions (Craft) live in their own table and declare their
+// editable fields, documents and the quota slot of each activity_choice.
+//
+// Fees are defined in config/pricing.js.
+
+const MEMBER_DOCUMENTS = ['ktm', 'active_student_letter', 'photo']
+const TEAM_FIELDS = ['team_name', 'institution_name', 'email']
+
+const COMPETITIONS = {
+  fcec: {
+    slug: 'fcec',
+    name: 'FCEC',
+    eventId: 1,
+    type: 'team',
+    minMembers: 1,
+    maxMembers: 2,
+    teamFields: TEAM_FIELDS,
+    memberFields: [
+      'full_name',
+      'department',
+      'batch',
+      'phone_number',
+      'line_id',
+      'email',
+      'twibbon_and_poster_link',
+    ],
+    memberDocuments: MEMBER_DOCUMENTS,
+    teamDocuments: [],
+    extras: [
+      {
+        name: 'fcec',
+        table: 'fcec',
+        fields: ['abstract_title', 'abstract_video_link'],
+        documents: {
+          abstract_file: 'abstract_file',
+          originality_statement: 'originality_statement',
+        },
+      },
+    ],
+  },
+  craft: {
+    slug: 'craft',
+    name: 'Craft',
+    eventId: 2,
+    type: 'individual',
+    fields: [
+      'full_name',
+      'institution_name',
+      'whatsapp_number',
+      'isMahasiswaDTSL',
+      'email',
+      'bundling_member',
+    ],
+    documents: [
+      'bukti_follow_cia',
+      'bukti_follow_pktsl',
+      'bukti_story',
+      'ktm',
+      'payment_proof',
+      'bundle',
+    ],
+    // Quota slot and number of seats taken by each activity_choice
+    activities: {
+      offline: { slot: 'offline', seats: 1 },
+      online: { slot: 'online', seats: 1 },
+      offline2peserta: { slot: 'offline', seats: 2 },
+      offline3peserta: { slot: 'offline', seats: 3 },
+      offline5peserta: { slot: 'offline', seats: 5 },
+    },
+  },
+  sbc: {
+    slug: 'sbc',
+    name: 'SBC',
+    eventId: 3,
+    type: 'team',
+    minMembers: 2,
+    maxMembers: 2,
+    maxFileSize: 5 * 1024 * 1024,
+    teamFields: TEAM_FIELDS,
+    memberFields: [
+      'full_name',
+      'batch',
+      'phone_number',
+      'line_id',
+      'email',
+      'twibbon_and_poster_link',
+      'nim',
+    ],
+    memberDocuments: MEMBER_DOCUMENTS,
+    teamDocuments: ['payment_proof'],
+    legacyDocuments: ['voucher'],
+    extras: [
+      {
+        name: 'dosbim',
+        table: 'dosbim',
+        fields: ['full_name', 'nip', 'email', 'phone_number'],
+        documents: { photo: 'dosbim_photo' },
+      },
+      {
+        name: 'sbc',
+        table: 'sbc',
+        fields: ['bridge_name'],
+        documents: {},
+      },
+    ],
+  },
+  cic: {
+    slug: 'cic',
+    name: 'CIC',
+    eventId: 4,
+    type: 'team',
+    minMembers: 2,
+    maxMembers: 3,
+    teamFields: TEAM_FIELDS,
+    memberFields: [
+      'full_name',
+      'department',
+      'batch',
+      'phone_number',
+      'line_id',
+      'email',
+      'twibbon_and_poster_link',
+    ],
+    memberDocuments: MEMBER_DOCUMENTS,
+    teamDocuments: ['payment_proof'],
+    legacyDocuments: ['voucher'],
+    extras: [],
+  },
+}
+
+const getCompetition = (slug) => COMPETITIONS[slug] || null
+
+const getCompetitionByEvent = (eventId) =>
+  Object.values(COMPETITIONS).find(
+    (competition) => competition.eventId === Number(eventId)
+  ) || null
+
+// Multer field list accepted by a competition's registration route
+const uploadFields = (competition) => {
+  if (competition.type === 'individual') {
+    return competition.documents.map((name) => ({ name, maxCount: 1 }))
+  }
+
+  const names = [...competition.teamDocuments]
+  competition.extras.forEach((extra) => {
+    names.push(...Object.values(extra.documents))
+  })
+  competition.memberDocuments.forEach((doc) => names.push(`leader_${doc}`))
+  for (let index = 1; index <= competition.maxMembers; index++) {
+    competition.memberDocuments.forEach((doc) =>
+      names.push(`member${index}_${doc}`)
+    )
+  }
+
+  return names.map((name) => ({ name, maxCount: 1 }))
+}
+
+module.exports = {
+  COMPETITIONS,
+  getCompetition,
+  getCompetitionByEvent,
+  uploadFields,
+}
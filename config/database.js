@@ -1,14 +1,13 @@
-require('dotenv').config()
-
 const { Sequelize } = require('sequelize')
+const env = require('./env')
 
 const sequelize = new Sequelize(
-  process.env.DB_NAME,
-  process.env.DB_USER,
-  process.env.DB_PASSWORD,
+  env.DB_NAME,
+  env.DB_USER,
+  env.DB_PASSWORD,
   {
-    host: process.env.DB_HOST,
-    dialect: process.env.DB_DIALECT,
+    host: env.DB_HOST,
+    dialect: env.DB_DIALECT,
     logging: console.log,
   }
 )
@@ -0,0 +1,262 @@
+require('dotenv').config()
+
+const crypto = require('crypto')
+
+/**
+ * Environment variables, read and checked once when the server (or a
+ * script) boots. Modules take their settings from here rather than from
+ * process.env, so a missing or malformed variable stops the process before
+ * it serves anything.
+ *
+ * Schema fields:
+ * - type: string (default), int, bool or enum (with values).
+ * - min: smallest value an int may take.
+ * - default: used when the variable is unset.
+ * - devDefault: used when the variable is unset outside production. In
+ *   production the variable has to be set.
+ * - required: has to be set, or (env) => boolean for variables a selected
+ *   driver needs, such as S3_BUCKET with STORAGE_DRIVER=s3.
+ * - when: (env) => boolean, the variable is only read when this holds.
+ * - secret: in production at least MIN_SECRET_LENGTH characters long.
+ * - production: enum values allowed in production, for drivers that are
+ *   only meant for development.
+ */
+
+const MIN_SECRET_LENGTH = 32
+
+const randomSecret = () => crypto.randomBytes(32).toString('hex')
+
+const SCHEMA = {
+  NODE_ENV: {
+    type: 'enum',
+    values: ['development', 'test', 'production'],
+    default: 'development',
+  },
+
+  // Database
+  DB_NAME: { required: true },
+  DB_USER: { required: true },
+  DB_PASSWORD: { devDefault: '' },
+  DB_HOST: { devDefault: 'localhost' },
+  DB_DIALECT: { default: 'mysql' },
+
+  // Access tokens. JWT_KEYS lists `kid:secret` pairs for key rotation;
+  // without it JWT_SECRET is the only key, with kid `default`.
+  JWT_KEYS: {},
+  JWT_SECRET: {
+    secret: true,
+    devDefault: 'cia2025-development-only-secret',
+    when: (env) => !env.JWT_KEYS,
+  },
+  JWT_KEY_ID: { when: (env) => Boolean(env.JWT_KEYS) },
+  ACCESS_TOKEN_TTL: { default: '15m' },
+  REFRESH_TOKEN_TTL_DAYS: { type: 'int', default: 30 },
+
+  // Account emails
+  PASSWORD_RESET_TTL_MINUTES: { type: 'int', min: 1, default: 60 },
+  EMAIL_VERIFICATION_TTL_HOURS: { type: 'int', min: 1, default: 48 },
+  EMAIL_VERIFICATION_RESEND_SECONDS: { type: 'int', min: 0, default: 60 },
+  REQUIRE_VERIFIED_EMAIL: { type: 'bool', default: false },
+
+  // Storage
+  STORAGE_DRIVER: { type: 'enum', values: ['local', 's3'], default: 'local' },
+  STORAGE_LOCAL_ROOT: {},
+  S3_BUCKET: { required: (env) => env.STORAGE_DRIVER === 's3' },
+  S3_REGION: {},
+  S3_ENDPOINT: {},
+  S3_ACCESS_KEY_ID: {},
+  S3_SECRET_ACCESS_KEY: {},
+  S3_FORCE_PATH_STYLE: { type: 'bool', default: false },
+  S3_PREFIX: {},
+
+  // Mail. The log and memory drivers never deliver anything.
+  MAIL_DRIVER: {
+    type: 'enum',
+    values: ['smtp', 'log', 'memory'],
+    default: 'log',
+    production: ['smtp'],
+  },
+  MAIL_FROM: { devDefault: 'Civil in Action 2025 <no-reply@cia2025.local>' },
+  SMTP_HOST: { required: (env) => env.MAIL_DRIVER === 'smtp' },
+  SMTP_PORT: { type: 'int', default: 587 },
+  SMTP_SECURE: { type: 'bool', default: false },
+  SMTP_USER: {},
+  SMTP_PASS: {},
+
+  // Signed download links. A random secret only lasts until the next restart.
+  FILE_URL_SECRET: { secret: true, devDefault: randomSecret },
+  // Lifetimes in seconds: links shown in the dashboard, and links written
+  // into participant exports. Export links are the one exception to short
+  // links, kept to hours because spreadsheets get forwarded.
+  FILE_URL_TTL: { type: 'int', min: 1, default: 5 * 60 },
+  EXPORT_LINK_TTL: { type: 'int', min: 1, default: 12 * 60 * 60 },
+
+  // Payments. The mock gateway lets the registering account settle its own
+  // payments, so it is not allowed in production.
+  PAYMENT_GATEWAY: {
+    type: 'enum',
+    values: ['mock', 'midtrans'],
+    default: 'mock',
+    production: ['midtrans'],
+  },
+  PAYMENT_WEBHOOK_SECRET: {
+    secret: true,
+    devDefault: randomSecret,
+    when: (env) => env.PAYMENT_GATEWAY === 'mock',
+  },
+  MIDTRANS_SERVER_KEY: {
+    required: (env) => env.PAYMENT_GATEWAY === 'midtrans',
+  },
+  MIDTRANS_PRODUCTION: { type: 'bool', default: false },
+  PAYMENT_EXPIRY_MINUTES: { type: 'int', min: 1, default: 24 * 60 },
+
+  // Rate limits. Several server instances share counters only through redis.
+  RATE_LIMIT_STORE: {
+    type: 'enum',
+    values: ['memory', 'redis'],
+    default: 'memory',
+  },
+  REDIS_URL: { required: (env) => env.RATE_LIMIT_STORE === 'redis' },
+  // Express `trust proxy`: a hop count or a list of proxy addresses
+  TRUST_PROXY: {},
+
+  // Links that leave the API
+  PUBLIC_URL: { devDefault: 'http://localhost:5001' },
+  FRONTEND_URL: { devDefault: 'http://localhost:3000' },
+}
+
+const parse = (name, spec, raw) => {
+  switch (spec.type) {
+    case 'int': {
+      const value = Number(raw)
+      if (!Number.isInteger(value)) {
+        throw new Error(`${name} must be a whole number`)
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        throw new Error(`${name} must be at least ${spec.min}`)
+      }
+      return value
+    }
+    case 'bool':
+      if (!['true', 'false'].includes(raw)) {
+        throw new Error(`${name} must be true or false`)
+      }
+      return raw === 'true'
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        throw new Error(`${name} must be one of ${spec.values.join(', ')}`)
+      }
+      return raw
+    default:
+      return raw
+  }
+}
+
+// JWT_KEYS=2025b:secret,2025a:older-secret; the first key signs unless
+// JWT_KEY_ID names another
+const parseJwtKeys = (env, errors) => {
+  if (!env.JWT_KEYS) {
+    return {
+      keys: [{ kid: 'default', secret: env.JWT_SECRET }],
+      kid: 'default',
+    }
+  }
+
+  const keys = []
+  for (const entry of env.JWT_KEYS.split(',')) {
+    const separator = entry.indexOf(':')
+    const kid = entry.slice(0, separator).trim()
+    const secret = entry.slice(separator + 1).trim()
+    if (separator < 1 || !secret) {
+      errors.push('JWT_KEYS must be a comma separated list of kid:secret')
+      continue
+    }
+    if (keys.some((key) => key.kid === kid)) {
+      errors.push(`JWT_KEYS lists kid ${kid} twice`)
+    }
+    if (env.NODE_ENV === 'production' && secret.length < MIN_SECRET_LENGTH) {
+      errors.push(
+        `JWT_KEYS secret for kid ${kid} must be at least ${MIN_SECRET_LENGTH} characters`
+      )
+    }
+    keys.push({ kid, secret })
+  }
+
+  const kid = env.JWT_KEY_ID || (keys[0] && keys[0].kid)
+  if (keys.length && !keys.some((key) => key.kid === kid)) {
+    errors.push(`JWT_KEY_ID ${kid} is not listed in JWT_KEYS`)
+  }
+  return { keys, kid }
+}
+
+// Checks `source` against the schema; throws one error listing every problem
+const load = (source = process.env) => {
+  const env = {}
+  const errors = []
+  const fallbacks = []
+  const production = source.NODE_ENV === 'production'
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    if (spec.when && !spec.when(env)) continue
+
+    const raw = source[name]
+    if (raw === undefined || raw === '') {
+      const required =
+        typeof spec.required === 'function' ? spec.required(env) : spec.required
+      if (required) {
+        errors.push(`${name} is required`)
+        continue
+      }
+      if (spec.devDefault === undefined) {
+        env[name] = spec.default
+      } else if (production) {
+        errors.push(`${name} is required in production`)
+        continue
+      } else {
+        const { devDefault } = spec
+        env[name] = typeof devDefault === 'function' ? devDefault() : devDefault
+        fallbacks.push(name)
+      }
+    } else {
+      try {
+        env[name] = parse(name, spec, raw)
+      } catch (error) {
+        errors.push(error.message)
+        continue
+      }
+      if (production && spec.secret && raw.length < MIN_SECRET_LENGTH) {
+        errors.push(
+          `${name} must be at least ${MIN_SECRET_LENGTH} characters in production`
+        )
+      }
+    }
+
+    if (production && spec.production && !spec.production.includes(env[name])) {
+      const allowed = spec.production.join(', ')
+      errors.push(
+        `${name}=${env[name]} is not allowed in production (${allowed})`
+      )
+    }
+  }
+
+  const jwtKeys = parseJwtKeys(env, errors)
+
+  if (errors.length) {
+    throw new Error(
+      `Invalid environment configuration:\n  - ${errors.join('\n  - ')}`
+    )
+  }
+  if (fallbacks.length && env.NODE_ENV !== 'test') {
+    const names = fallbacks.join(', ')
+    console.warn(`Using development defaults for ${names}`)
+  }
+
+  return Object.freeze({
+    ...env,
+    isProduction: production,
+    jwtKeys: jwtKeys.keys,
+    jwtKeyId: jwtKeys.kid,
+  })
+}
+
+module.exports = load()
@@ -0,0 +1,176 @@
+const { ROLES } = require('./roles')
+const { COMPETITIONS } = require('./competitions')
+const {
+  teamResource,
+  craftResource,
+  userResource,
+  eventResource,
+  fileResource,
+  certificateResource,
+  paymentResource,
+  withdrawalResource,
+} = require('../middleware/authorize')
+
+const { COMMITTEE, JUDGE } = ROLES
+
+const param = (name) => (req) => req.params[name]
+const teamParam = (req) => req.params.team_id || req.params.teamId
+const teamBody = (req) => req.body.team && req.body.team.team_id
+
+// Route policies, applied with authorize(). Super admins pass every policy.
+module.exports = {
+  users: {
+    list: { roles: [] },
+    read: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: userResource(param('user_id')),
+    },
+    assignRole: { roles: [] },
+    sessions: {
+      roles: [],
+      owner: true,
+      resource: userResource(param('user_id')),
+    },
+    revokeSessions: { roles: [], resource: userResource(param('user_id')) },
+  },
+  events: {
+    manage: {
+      roles: [COMMITTEE],
+      resource: eventResource(param('event_id')),
+    },
+    // Same audience as the per-competition participant lists
+    export: {
+      roles: [COMMITTEE, JUDGE],
+      resource: eventResource(param('event_id')),
+    },
+  },
+  teams: {
+    // Committee and judges only see their own event's teams
+    listAll: { roles: [COMMITTEE, JUDGE] },
+    list: (eventId) => ({ roles: [COMMITTEE, JUDGE], event: eventId }),
+    read: {
+      roles: [COMMITTEE, JUDGE],
+      owner: true,
+      resource: teamResource(teamParam),
+    },
+    update: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: teamResource(teamBody),
+    },
+    review: { roles: [COMMITTEE], resource: teamResource(teamParam) },
+    // The transition table decides what owners and reviewers may do
+    transition: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: teamResource(teamParam),
+    },
+    // Only the owning participant resubmits after a revision request
+    resubmit: { roles: [], owner: true, resource: teamResource(teamParam) },
+    // Online payment is made by the registering account
+    pay: { roles: [], owner: true, resource: teamResource(teamParam) },
+    // Withdrawing is asked for by the registering account
+    withdraw: { roles: [], owner: true, resource: teamResource(teamParam) },
+    delete: { roles: [COMMITTEE], resource: teamResource(teamParam) },
+    participants: (eventId) => ({ roles: [COMMITTEE, JUDGE], event: eventId }),
+  },
+  crafts: {
+    list: { roles: [COMMITTEE, JUDGE], event: COMPETITIONS.craft.eventId },
+    read: {
+      roles: [COMMITTEE, JUDGE],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    readByUser: {
+      roles: [COMMITTEE, JUDGE],
+      owner: true,
+      resource: userResource(param('user_id')),
+    },
+    edit: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    review: {
+      roles: [COMMITTEE],
+      resource: craftResource(param('participant_id')),
+    },
+    transition: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    resubmit: {
+      roles: [],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    pay: {
+      roles: [],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    withdraw: {
+      roles: [],
+      owner: true,
+      resource: craftResource(param('participant_id')),
+    },
+    delete: {
+      roles: [COMMITTEE],
+      resource: craftResource(param('participantId')),
+    },
+  },
+  files: {
+    // Download links are only issued to the owner and the event committee
+    sign: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: fileResource((req) => req.query.path),
+    },
+  },
+  certificates: {
+    // Recipients reach their certificates through the registering account
+    download: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: certificateResource(param('serial')),
+    },
+    revoke: {
+      roles: [COMMITTEE],
+      resource: certificateResource(param('serial')),
+    },
+  },
+  // Vouchers may apply to every event, so only super admins manage them
+  vouchers: {
+    manage: { roles: [] },
+  },
+  // Bank statements cover every event
+  payments: {
+    reconcile: { roles: [] },
+    // Only meaningful with the mock gateway, see services/onlinePayments.js
+    simulate: {
+      roles: [],
+      owner: true,
+      resource: paymentResource(param('payment_id')),
+    },
+  },
+  withdrawals: {
+    // Committee members only see their own event's requests
+    list: { roles: [COMMITTEE] },
+    read: {
+      roles: [COMMITTEE],
+      owner: true,
+      resource: withdrawalResource(param('withdrawal_id')),
+    },
+    cancel: {
+      roles: [],
+      owner: true,
+      resource: withdrawalResource(param('withdrawal_id')),
+    },
+    review: {
+      roles: [COMMITTEE],
+      resource: withdrawalResource(param('withdrawal_id')),
+    },
+  },
+}
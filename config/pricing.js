@@ -0,0 +1,72 @@
+// Registration fees in rupiah, keyed by competition slug.
+//
+// - periods: checked in order; the first whose `until` has not passed
+//   applies and the last one has no `until`. Team competitions charge `fee`
+//   per team. Craft charges `fee[slot]` per seat, where the slot and number
+//   of seats come from the activity_choice (see config/competitions.js).
+// - bundleDiscounts: percent off group packages, keyed by number of seats.
+// - dtslDiscount: percent off one seat for DTSL students (isMahasiswaDTSL).
+// - refunds: percent of the price refunded to a paid registration that
+//   withdraws, by the date the withdrawal was requested. Checked in order;
+//   after the last `until` nothing is refunded.
+//
+// Registrations keep the price and period computed when they registered.
+
+const PRICING = {
+  fcec: {
+    periods: [{ name: 'regular', label: 'Reguler', fee: 0 }],
+  },
+  craft: {
+    periods: [
+      {
+        name: 'early_bird',
+        label: 'Early bird',
+        until: '2025-04-30T23:59:59+07:00',
+        fee: { offline: 90000, online: 45000 },
+      },
+      {
+        name: 'regular',
+        label: 'Reguler',
+        fee: { offline: 100000, online: 50000 },
+      },
+    ],
+    bundleDiscounts: { 2: 5, 3: 10, 5: 15 },
+    dtslDiscount: 10,
+    refunds: [
+      { until: '2025-05-15T23:59:59+07:00', percent: 100 },
+      { until: '2025-05-31T23:59:59+07:00', percent: 50 },
+    ],
+  },
+  sbc: {
+    periods: [
+      {
+        name: 'early_bird',
+        label: 'Early bird',
+        until: '2025-04-30T23:59:59+07:00',
+        fee: 300000,
+      },
+      { name: 'regular', label: 'Reguler', fee: 350000 },
+    ],
+    refunds: [
+      { until: '2025-05-15T23:59:59+07:00', percent: 100 },
+      { until: '2025-05-31T23:59:59+07:00', percent: 50 },
+    ],
+  },
+  cic: {
+    periods: [
+      {
+        name: 'early_bird',
+        label: 'Early bird',
+        until: '2025-04-30T23:59:59+07:00',
+        fee: 125000,
+      },
+      { name: 'regular', label: 'Reguler', fee: 150000 },
+    ],
+    refunds: [
+      { until: '2025-05-15T23:59:59+07:00', percent: 100 },
+      { until: '2025-05-31T23:59:59+07:00', percent: 50 },
+    ],
+  },
+}
+
+module.exports = { PRICING }
@@ -0,0 +1,27 @@
+/**
+ * Request limits, applied with middleware/rateLimit.js. Each limit allows
+ * `max` requests per `windowSeconds`, counted per client IP (`by: 'ip'`) or
+ * per signed-in account (`by: 'user'`). Windows start at the first request.
+ *
+ * `login` drives services/loginThrottle.js instead: after `maxFailures`
+ * wrong passwords for one username/email within `failureWindowSeconds`,
+ * the account is locked for `lockoutSeconds`, doubling with every further
+ * failure up to `maxLockoutSeconds`. A client IP is refused after
+ * `ipMaxFailures` failures within `ipWindowSeconds`, whichever accounts
+ * it tried.
+ */
+const RATE_LIMITS = {
+  register: { max: 20, windowSeconds: 60 * 60, by: 'ip' },
+  forgotPassword: { max: 10, windowSeconds: 60 * 60, by: 'ip' },
+  upload: { max: 30, windowSeconds: 60 * 60, by: 'user' },
+  login: {
+    maxFailures: 5,
+    failureWindowSeconds: 24 * 60 * 60,
+    lockoutSeconds: 60,
+    maxLockoutSeconds: 60 * 60,
+    ipMaxFailures: 50,
+    ipWindowSeconds: 15 * 60,
+  },
+}
+
+module.exports = RATE_LIMITS
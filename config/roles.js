@@ -0,0 +1,20 @@
+const ROLES = {
+  SUPER_ADMIN: 'superadmin',
+  COMMITTEE: 'committee',
+  JUDGE: 'judge',
+  PARTICIPANT: 'participant',
+}
+
+// Roles whose access is limited to the event stored in users.eventId
+const EVENT_SCOPED_ROLES = [ROLES.COMMITTEE, ROLES.JUDGE]
+
+// Tokens issued before roles existed only carry isAdmin
+const roleOf = (user) => {
+  if (!user) return null
+  if (user.role) return user.role
+  return user.isAdmin ? ROLES.SUPER_ADMIN : ROLES.PARTICIPANT
+}
+
+const isStaff = (user) => roleOf(user) !== ROLES.PARTICIPANT
+
+module.exports = { ROLES, EVENT_SCOPED_ROLES, roleOf, isStaff }
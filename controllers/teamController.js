@@ -0,0 +1,182 @@
+const registration = require('../services/teamRegistration')
+const resubmission = require('../services/resubmission')
+const receipts = require('../services/receipt')
+const HttpError = require('../utils/httpError')
+const { removeUploadedFiles } = require('../middleware/upload')
+
+const sendError = (res, error) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    })
+  }
+  console.error(error)
+  res.status(500).json({
+    message: 'An error occurred',
+    error: error.message,
+  })
+}
+
+// Express handlers serving one competition from config/competitions.js
+const teamController = (competition) => ({
+  list: async (req, res) => {
+    try {
+      const teams = await registration.listTeams(competition)
+
+      if (!teams.length) {
+        return res
+          .status(404)
+          .json({ message: `No teams found for ${competition.name}` })
+      }
+
+      res.json(teams)
+    } catch (error) {
+      sendError(res, error)
+    }
+  },
+
+  detail: async (req, res) => {
+    try {
+      const details = await registration.getTeam(competition, req.params.teamId)
+
+      if (!details) {
+        return res
+          .status(404)
+          .json({ message: 'No team found for this id and event' })
+      }
+
+      // `team` stays an array of rows, as existing clients expect
+      res.json({ ...details, team: [details.team] })
+    } catch (error) {
+      sendError(res, error)
+    }
+  },
+
+  create: async (req, res) => {
+    try {
+      if (!req.body.data) {
+        throw new HttpError(400, 'Missing team data', 'DATA_MISSING')
+      }
+
+      let data
+      try {
+        data = JSON.parse(req.body.data)
+      } catch (error) {
+        throw new HttpError(400, 'Invalid JSON data format', 'INVALID_JSON')
+      }
+
+      const { team_id } = await registration.createTeam(competition, {
+        userId: req.user.user_id,
+        data,
+        files: req.files,
+      })
+
+      receipts.generateInBackground('team', team_id)
+
+      res.status(201).json({
+        message: 'Team created successfully',
+        user_id: req.user.user_id,
+        team_id,
+        registration_number: receipts.registrationNumber(competition, team_id),
+      })
+    } catch (error) {
+      // Nothing was committed, so the uploads are not referenced anywhere
+      removeUploadedFiles(req.files)
+
+      // Concurrent registrations with the same name only meet at the index
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return sendError(
+          res,
+          new HttpError(400, 'Team name already exists', 'TEAM_NAME_EXISTS')
+        )
+      }
+      sendError(res, error)
+    }
+  },
+
+  update: async (req, res) => {
+    try {
+      await registration.updateTeam(competition, req.body, req.resource.user_id)
+
+      res.status(200).json({
+        message: 'Team and members updated successfully',
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  },
+
+  resubmit: async (req, res) => {
+    try {
+      if (req.resource.event_id !== competition.eventId) {
+        throw new HttpError(404, 'No team found for this id and event')
+      }
+
+      let data = {}
+      if (req.body.data) {
+        try {
+          data = JSON.parse(req.body.data)
+        } catch (error) {
+          throw new HttpError(400, 'Invalid JSON data format', 'INVALID_JSON')
+        }
+      }
+
+      const result = await resubmission.resubmit(competition, {
+        entityType: 'team',
+        entityId: req.resource.team_id,
+        actorId: req.user.user_id,
+        data,
+        files: req.files,
+        note: req.body.note,
+      })
+
+      res.status(200).json({
+        message: 'Team resubmitted for review',
+        data: result,
+      })
+    } catch (error) {
+      // Nothing was committed, so the uploads are not referenced anywhere
+      removeUploadedFiles(req.files)
+      sendError(res, error)
+    }
+  },
+
+  versions: async (req, res) => {
+    try {
+      if (req.resource.event_id !== competition.eventId) {
+        throw new HttpError(404, 'No team found for this id and event')
+      }
+
+      res.json({
+        data: await resubmission.listVersions(
+          competition,
+          'team',
+          req.resource.team_id
+        ),
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  },
+
+  remove: async (req, res) => {
+    try {
+      if (req.resource.event_id !== competition.eventId) {
+        return res
+          .status(404)
+          .json({ message: 'No team found for this id and event' })
+      }
+
+      await registration.deleteTeam(competition, req.params.teamId)
+
+      res.status(200).json({
+        message: 'Team and related data have been deleted.',
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  },
+})
+
+module.exports = { teamController, sendError }
@@ -1,8 +1,8 @@
-const jwt = require('jsonwebtoken')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const jwt = require('../utils/jwt')
 
-const JWT_SECRET = process.env.JWT_SECRET || 'backendcia2025'
-
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization']
   const token = authHeader && authHeader.split(' ')[1]
 
@@ -10,16 +10,50 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Authentication token is required' })
   }
 
+  let decoded
   try {
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded
-    next()
+    decoded = jwt.verify(token)
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token has expired' })
     }
     return res.status(403).json({ message: 'Invalid token' })
   }
+
+  try {
+    // Sessions end when they are revoked (see services/sessions.js) or when
+    // the user's tokenVersion is raised. Tokens issued before sessions and
+    // versions existed carry neither and expire within a day.
+    const [user] = await sequelize.query(
+      `SELECT users.tokenVersion, user_sessions.session_id, user_sessions.revokedAt
+      FROM users
+      LEFT JOIN user_sessions ON user_sessions.session_id = :sessionId AND user_sessions.user_id = users.user_id
+      WHERE users.user_id = :userId`,
+      {
+        replacements: {
+          userId: decoded.user_id,
+          sessionId: decoded.sid || null,
+        },
+        type: QueryTypes.SELECT,
+      }
+    )
+    const revoked =
+      !user ||
+      user.tokenVersion !== (decoded.tokenVersion || 0) ||
+      (decoded.sid && (!user.session_id || user.revokedAt))
+    if (revoked) {
+      return res.status(401).json({
+        message: 'Session has ended, please log in again',
+        error: 'SESSION_REVOKED',
+      })
+    }
+  } catch (err) {
+    console.error(err)
+    return res.status(500).json({ message: 'An error occurred' })
+  }
+
+  req.user = decoded
+  next()
 }
 
 module.exports = authenticateToken
@@ -0,0 +1,177 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { ROLES, EVENT_SCOPED_ROLES, roleOf } = require('../config/roles')
+const { COMPETITIONS } = require('../config/competitions')
+const { findFileOwner } = require('../services/fileAccess')
+
+/**
+ * Builds a middleware that enforces a route policy (see config/policies.js).
+ *
+ * Policy fields:
+ * - roles: roles allowed on the route. Super admins always pass.
+ * - event: event id the route is bound to, for routes without a resource.
+ * - resource: async (req) => ({ event_id, user_id }) | null, the target record.
+ * - owner: when true, the owner of the resource is allowed as well.
+ *
+ * Committee and judge accounts only pass when the event of the resource (or
+ * the route) matches their eventId. The loaded resource is kept on
+ * req.resource for the route handler.
+ */
+const authorize = (policy) => async (req, res, next) => {
+  try {
+    const role = roleOf(req.user)
+
+    let resource = null
+    if (policy.resource) {
+      resource = await policy.resource(req)
+      if (!resource) {
+        return res.status(404).json({ message: 'Resource not found' })
+      }
+      req.resource = resource
+    }
+
+    if (role === ROLES.SUPER_ADMIN) {
+      return next()
+    }
+
+    if (policy.owner && resource && resource.user_id === req.user.user_id) {
+      return next()
+    }
+
+    if (policy.roles && policy.roles.includes(role)) {
+      const eventId = resource ? resource.event_id : policy.event
+      if (
+        EVENT_SCOPED_ROLES.includes(role) &&
+        eventId !== undefined &&
+        eventId !== null &&
+        eventId !== req.user.eventId
+      ) {
+        return res.status(403).json({
+          message: 'You are not assigned to this event',
+          error: 'EVENT_SCOPE_MISMATCH',
+        })
+      }
+      return next()
+    }
+
+    return res.status(403).json({
+      message: 'You are not allowed to perform this action',
+      error: 'FORBIDDEN',
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: 'An error occurred' })
+  }
+}
+
+const teamResource = (locate) => async (req) => {
+  const [team] = await sequelize.query(
+    `SELECT team_id, event_id, user_id FROM teams WHERE team_id = :teamId`,
+    {
+      replacements: { teamId: locate(req) || null },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return team || null
+}
+
+const craftResource = (locate) => async (req) => {
+  const [craft] = await sequelize.query(
+    `SELECT participant_id, user_id FROM craft WHERE participant_id = :participantId`,
+    {
+      replacements: { participantId: locate(req) || null },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return craft ? { ...craft, event_id: COMPETITIONS.craft.eventId } : null
+}
+
+const userResource = (locate) => async (req) => {
+  const [user] = await sequelize.query(
+    `SELECT user_id FROM users WHERE user_id = :userId`,
+    {
+      replacements: { userId: locate(req) || null },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return user || null
+}
+
+const eventResource = (locate) => async (req) => {
+  const [event] = await sequelize.query(
+    `SELECT event_id FROM events WHERE event_id = :eventId`,
+    {
+      replacements: { eventId: locate(req) || null },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return event || null
+}
+
+// The registration an uploaded file belongs to
+const fileResource = (locate) => (req) => findFileOwner(locate(req))
+
+const certificateResource = (locate) => async (req) => {
+  const [certificate] = await sequelize.query(
+    `SELECT certificate_id, serial, event_id, user_id FROM certificates WHERE serial = :serial`,
+    {
+      replacements: { serial: locate(req) || null },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return certificate || null
+}
+
+// A gateway payment with the event and owner of the registration it pays
+const paymentResource = (locate) => async (req) => {
+  const [payment] = await sequelize.query(
+    `SELECT payments.payment_id, payments.entity_type, payments.entity_id,
+      COALESCE(teams.event_id, :craftEventId) AS event_id,
+      COALESCE(teams.user_id, craft.user_id) AS user_id
+    FROM payments
+    LEFT JOIN teams ON payments.entity_type = 'team' AND teams.team_id = payments.entity_id
+    LEFT JOIN craft ON payments.entity_type = 'craft' AND craft.participant_id = payments.entity_id
+    WHERE payments.payment_id = :paymentId`,
+    {
+      replacements: {
+        paymentId: locate(req) || null,
+        craftEventId: COMPETITIONS.craft.eventId,
+      },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return payment || null
+}
+
+// A withdrawal request with the event and owner of the registration
+const withdrawalResource = (locate) => async (req) => {
+  const [withdrawal] = await sequelize.query(
+    `SELECT withdrawal_requests.withdrawal_id, withdrawal_requests.entity_type, withdrawal_requests.entity_id,
+      COALESCE(teams.event_id, :craftEventId) AS event_id,
+      COALESCE(teams.user_id, craft.user_id) AS user_id
+    FROM withdrawal_requests
+    LEFT JOIN teams ON withdrawal_requests.entity_type = 'team' AND teams.team_id = withdrawal_requests.entity_id
+    LEFT JOIN craft ON withdrawal_requests.entity_type = 'craft' AND craft.participant_id = withdrawal_requests.entity_id
+    WHERE withdrawal_requests.withdrawal_id = :withdrawalId`,
+    {
+      replacements: {
+        withdrawalId: locate(req) || null,
+        craftEventId: COMPETITIONS.craft.eventId,
+      },
+      type: QueryTypes.SELECT,
+    }
+  )
+  return withdrawal || null
+}
+
+module.exports = {
+  authorize,
+  teamResource,
+  craftResource,
+  userResource,
+  eventResource,
+  fileResource,
+  certificateResource,
+  paymentResource,
+  withdrawalResource,
+}
@@ -0,0 +1,40 @@
+const RATE_LIMITS = require('../config/rateLimits')
+const { consume } = require('../services/rateLimit')
+
+const clientKeys = {
+  ip: (req) => req.ip,
+  user: (req) => req.user.user_id,
+}
+
+/**
+ * Builds a middleware that enforces a limit from config/rateLimits.js.
+ * Limits by user go after authenticateToken; on upload routes they go
+ * before the upload so a refused request stores no files.
+ *
+ * When the store cannot be reached the request goes through: a Redis
+ * outage should not take registration down with it.
+ */
+const rateLimit = (name) => {
+  const limit = RATE_LIMITS[name]
+  const clientKey = clientKeys[limit.by]
+
+  return async (req, res, next) => {
+    let result
+    try {
+      result = await consume(`${name}:${clientKey(req)}`, limit)
+    } catch (error) {
+      console.error(error)
+      return next()
+    }
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter))
+      return res.status(429).json({
+        message: 'Too many requests, please try again later',
+        error: 'RATE_LIMITED',
+      })
+    }
+    next()
+  }
+}
+
+module.exports = rateLimit
@@ -0,0 +1,15 @@
+const { assertVerified } = require('../services/emailVerification')
+const { sendError } = require('../controllers/teamController')
+
+// Stops unverified accounts from registering when REQUIRE_VERIFIED_EMAIL is
+// on. Runs before uploads so a rejected request stores no files.
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    await assertVerified(req.user.user_id)
+  } catch (error) {
+    return sendError(res, error)
+  }
+  next()
+}
+
+module.exports = requireVerifiedEmail
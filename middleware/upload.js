@@ -0,0 +1,123 @@
+const multer = require('multer')
+const path = require('path')
+const storage = require('../services/storage')
+const { uploadPolicy } = require('../services/uploadPolicy')
+
+// Multer storage engine writing through services/storage. file.path is the
+// storage key, which is what the routes store in the database. Files failing
+// the upload policy are not stored and carry their error instead.
+const storageEngine = (folder, policy) => ({
+  _handleFile: (req, file, cb) => {
+    const chunks = []
+    file.stream.on('data', (chunk) => chunks.push(chunk))
+    file.stream.on('error', cb)
+    file.stream.on('end', () => {
+      const body = Buffer.concat(chunks)
+      // Over the size limit: multer rejects the request, nothing to store
+      if (file.stream.truncated) return cb(null, { path: null, size: 0 })
+
+      const uploadError = policy.check(file.fieldname, body)
+      if (uploadError) {
+        return cb(null, { path: null, size: body.length, uploadError })
+      }
+
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9)
+      const key = path.posix.join(
+        folder,
+        file.fieldname + '-' + uniqueSuffix + policy.extension(body)
+      )
+      storage
+        .put(key, body, { contentType: file.mimetype })
+        .then(() => cb(null, { path: key, size: body.length }))
+        .catch(cb)
+    })
+  },
+
+  _removeFile: (req, file, cb) => {
+    if (!file.path) return cb(null)
+    storage
+      .remove(file.path)
+      .then(() => cb(null))
+      .catch(cb)
+  },
+})
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: 'FILE_TOO_LARGE',
+  LIMIT_UNEXPECTED_FILE: 'UNEXPECTED_FIELD',
+}
+
+const rejectUpload = (res, errors) =>
+  res.status(400).json({
+    message: errors.map((error) => error.message).join('; '),
+    error: 'INVALID_UPLOAD',
+    errors,
+  })
+
+// Runs a multer middleware and answers 400 with every invalid field
+const validated = (middleware, policy) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const maxSize = err.field ? policy.ruleFor(err.field).maxSize : null
+      return rejectUpload(res, [
+        {
+          field: err.field,
+          code: MULTER_ERRORS[err.code] || err.code,
+          message:
+            err.code === 'LIMIT_FILE_SIZE'
+              ? `${err.field} must not be larger than ${
+                  maxSize / (1024 * 1024)
+                } MB`
+              : `${err.field || 'upload'}: ${err.message}`,
+        },
+      ])
+    }
+    if (err) return next(err)
+
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat()
+    const errors = files
+      .filter((file) => file.uploadError)
+      .map((file) => file.uploadError)
+    if (errors.length) {
+      removeUploadedFiles(files)
+      return rejectUpload(res, errors)
+    }
+    next()
+  })
+
+/**
+ * Upload middleware storing files under <folder> in the configured storage.
+ * `competition` selects the per-field type and size rules of
+ * services/uploadPolicy.js; without it the default rule applies.
+ */
+const createUpload = (folder, { competition } = {}) => {
+  const policy = uploadPolicy(competition)
+  const upload = multer({
+    storage: storageEngine(folder, policy),
+    limits: {
+      fieldSize: 20 * 1024 * 1024,
+      fileSize: policy.maxFileSize,
+    },
+  })
+
+  return {
+    fields: (fields) => validated(upload.fields(fields), policy),
+    single: (name) => validated(upload.single(name), policy),
+  }
+}
+
+// Removes stored files, e.g. every file multer stored for a failed request
+// or the files a committed change replaced
+const removeUploadedFiles = (files) => {
+  if (!files) return
+  const list = Array.isArray(files) ? files : Object.values(files).flat()
+  list.forEach((file) => {
+    const key = typeof file === 'string' ? file : file.path
+    if (!key) return
+    storage.remove(key).catch((err) => {
+      console.error('Error deleting file:', err)
+    })
+  })
+}
+
+module.exports = { createUpload, removeUploadedFiles }
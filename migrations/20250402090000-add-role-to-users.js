@@ -0,0 +1,20 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'role', {
+      type: Sequelize.ENUM('superadmin', 'committee', 'judge', 'participant'),
+      allowNull: false,
+      defaultValue: 'participant',
+    })
+
+    // Existing admins bound to an event become that event's committee
+    await queryInterface.sequelize.query(
+      `UPDATE users SET role = CASE WHEN eventId IS NULL THEN 'superadmin' ELSE 'committee' END WHERE isAdmin = true`
+    )
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'role')
+  },
+}
@@ -0,0 +1,55 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('events', 'registration_open', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('events', 'registration_close', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('events', 'quota', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    })
+
+    await queryInterface.createTable('activity_quotas', {
+      quota_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      event_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'events',
+          key: 'event_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      slot: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      capacity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+    })
+
+    await queryInterface.addIndex('activity_quotas', ['event_id', 'slot'], {
+      unique: true,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('activity_quotas')
+    await queryInterface.removeColumn('events', 'quota')
+    await queryInterface.removeColumn('events', 'registration_close')
+    await queryInterface.removeColumn('events', 'registration_open')
+  },
+}
@@ -0,0 +1,87 @@
+'use strict'
+
+const STATUSES = [
+  'draft',
+  'submitted',
+  'under_review',
+  'revision_requested',
+  'resubmitted',
+  'verified',
+  'rejected',
+  'withdrawn',
+]
+
+// Rows flagged both verified and rejected go back to review
+const BACKFILL = `
+  status = CASE
+    WHEN isVerified = true AND isRejected = true THEN 'under_review'
+    WHEN isVerified = true THEN 'verified'
+    WHEN isRejected = true THEN 'rejected'
+    ELSE 'submitted'
+  END`
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['teams', 'craft']) {
+      await queryInterface.addColumn(table, 'status', {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: 'submitted',
+      })
+      await queryInterface.sequelize.query(`UPDATE ${table} SET ${BACKFILL}`)
+    }
+
+    await queryInterface.createTable('verification_histories', {
+      history_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      from_status: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: true,
+      },
+      to_status: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: false,
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex('verification_histories', [
+      'entity_type',
+      'entity_id',
+    ])
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('verification_histories')
+    await queryInterface.removeColumn('craft', 'status')
+    await queryInterface.removeColumn('teams', 'status')
+  },
+}
@@ -0,0 +1,62 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['teams', 'craft']) {
+      await queryInterface.addColumn(table, 'revision_flags', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      })
+    }
+
+    await queryInterface.createTable('document_versions', {
+      version_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      document_key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      file_path: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex('document_versions', [
+      'entity_type',
+      'entity_id',
+      'document_key',
+    ])
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('document_versions')
+    await queryInterface.removeColumn('craft', 'revision_flags')
+    await queryInterface.removeColumn('teams', 'revision_flags')
+  },
+}
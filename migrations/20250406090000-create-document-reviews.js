@@ -0,0 +1,62 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('document_reviews', {
+      review_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      document_key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      reviewer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex(
+      'document_reviews',
+      ['entity_type', 'entity_id', 'document_key'],
+      { unique: true }
+    )
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('document_reviews')
+  },
+}
@@ -0,0 +1,49 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('file_access_logs', {
+      log_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      file_path: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      action: {
+        type: Sequelize.ENUM('sign', 'download'),
+        allowNull: false,
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex('file_access_logs', ['file_path'])
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('file_access_logs')
+  },
+}
@@ -0,0 +1,164 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Set by the committee for winning teams, e.g. "Juara 1"
+    await queryInterface.addColumn('teams', 'award', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    })
+
+    await queryInterface.createTable('certificate_jobs', {
+      job_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      event_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'events',
+          key: 'event_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued',
+      },
+      total: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processed: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failed: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      finishedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.createTable('certificates', {
+      certificate_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      serial: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      event_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'events',
+          key: 'event_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      role: {
+        type: Sequelize.ENUM('participant', 'winner', 'advisor'),
+        allowNull: false,
+      },
+      recipient_key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      recipient_name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      recipient_email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      award: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      file_path: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'generated', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex(
+      'certificates',
+      ['event_id', 'role', 'recipient_key'],
+      { unique: true }
+    )
+    await queryInterface.addIndex('certificates', ['user_id'])
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('certificates')
+    await queryInterface.dropTable('certificate_jobs')
+    await queryInterface.removeColumn('teams', 'award')
+  },
+}
@@ -0,0 +1,54 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Shown by the public verification endpoint
+    await queryInterface.addColumn('certificates', 'institution_name', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('certificates', 'issuedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('certificates', 'revokedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('certificates', 'revoke_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    })
+    await queryInterface.addColumn('certificates', 'revoked_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+      onDelete: 'SET NULL',
+    })
+
+    await queryInterface.sequelize.query(
+      `UPDATE certificates SET issuedAt = updatedAt WHERE status = 'generated'`
+    )
+    await queryInterface.sequelize.query(
+      `UPDATE certificates
+      JOIN teams ON certificates.entity_type = 'team' AND teams.team_id = certificates.entity_id
+      SET certificates.institution_name = teams.institution_name`
+    )
+    await queryInterface.sequelize.query(
+      `UPDATE certificates
+      JOIN craft ON certificates.entity_type = 'craft' AND craft.participant_id = certificates.entity_id
+      SET certificates.institution_name = craft.institution_name`
+    )
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('certificates', 'revoked_by')
+    await queryInterface.removeColumn('certificates', 'revoke_reason')
+    await queryInterface.removeColumn('certificates', 'revokedAt')
+    await queryInterface.removeColumn('certificates', 'issuedAt')
+    await queryInterface.removeColumn('certificates', 'institution_name')
+  },
+}
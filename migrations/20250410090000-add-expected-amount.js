@@ -0,0 +1,27 @@
+'use strict'
+
+const TABLES = ['teams', 'craft']
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      // What the registration owes, computed by services/pricing.js
+      await queryInterface.addColumn(table, 'expected_amount', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      })
+      // JSON { period, items, total } shown on the receipt
+      await queryInterface.addColumn(table, 'price_breakdown', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      })
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'price_breakdown')
+      await queryInterface.removeColumn(table, 'expected_amount')
+    }
+  },
+}
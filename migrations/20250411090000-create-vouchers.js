@@ -0,0 +1,124 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('vouchers', {
+      voucher_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      code: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      discount_type: {
+        type: Sequelize.ENUM('percent', 'fixed'),
+        allowNull: false,
+      },
+      // Percent (1-100) or rupiah, depending on discount_type
+      discount_value: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      // NULL applies to every team competition
+      event_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'events',
+          key: 'event_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      // NULL means unlimited
+      max_uses: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.createTable('voucher_redemptions', {
+      redemption_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      voucher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'vouchers',
+          key: 'voucher_id',
+        },
+        onDelete: 'RESTRICT',
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'teams',
+          key: 'team_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      redeemed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    // A team uses at most one voucher, and a voucher once per team
+    await queryInterface.addIndex('voucher_redemptions', ['team_id'], {
+      unique: true,
+    })
+    await queryInterface.addIndex('voucher_redemptions', ['voucher_id'])
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('voucher_redemptions')
+    await queryInterface.dropTable('vouchers')
+  },
+}
@@ -0,0 +1,154 @@
+'use strict'
+
+const TABLES = ['teams', 'craft']
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'payment_status', {
+        type: Sequelize.ENUM('unpaid', 'paid'),
+        allowNull: false,
+        defaultValue: 'unpaid',
+      })
+      // Added to expected_amount so a bank transfer identifies its payer
+      await queryInterface.addColumn(table, 'unique_code', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      })
+      await queryInterface.addColumn(table, 'paidAt', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      })
+    }
+
+    await queryInterface.createTable('bank_imports', {
+      import_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      filename: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      // Credit rows read from the statement, duplicates of earlier imports
+      // included
+      credit_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      duplicate_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      imported_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.createTable('bank_transactions', {
+      transaction_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      import_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'bank_imports',
+          key: 'import_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      // Hash of date, description, amount and occurrence, so importing an
+      // overlapping statement does not add a transfer twice
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      posted_at: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('unmatched', 'proposed', 'confirmed', 'ignored'),
+        allowNull: false,
+        defaultValue: 'unmatched',
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: true,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      // amount_code, transfer_note, name or manual
+      match_reason: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      confirmed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      confirmedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+
+    await queryInterface.addIndex('bank_transactions', ['status'])
+    await queryInterface.addIndex('bank_transactions', [
+      'entity_type',
+      'entity_id',
+    ])
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('bank_transactions')
+    await queryInterface.dropTable('bank_imports')
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'paidAt')
+      await queryInterface.removeColumn(table, 'unique_code')
+      await queryInterface.removeColumn(table, 'payment_status')
+    }
+  },
+}
@@ -0,0 +1,144 @@
+'use strict'
+
+const TABLES = ['teams', 'craft']
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.changeColumn(table, 'payment_status', {
+        type: Sequelize.ENUM('unpaid', 'paid', 'refunded'),
+        allowNull: false,
+        defaultValue: 'unpaid',
+      })
+    }
+
+    // Online payments through the gateway, one row per charge
+    await queryInterface.createTable('payments', {
+      payment_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      // Sent to the gateway and echoed back by its webhooks
+      order_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          'pending',
+          'paid',
+          'expired',
+          'failed',
+          'refunded'
+        ),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      checkout_url: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      refundedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('payments', ['entity_type', 'entity_id'])
+
+    // Every webhook received; event_key makes redelivered events no-ops
+    await queryInterface.createTable('payment_webhooks', {
+      webhook_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      event_key: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+        unique: true,
+      },
+      order_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      // applied, ignored, amount_mismatch or unknown_order
+      result: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      payload: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('payment_webhooks')
+    await queryInterface.dropTable('payments')
+    for (const table of TABLES) {
+      await queryInterface.changeColumn(table, 'payment_status', {
+        type: Sequelize.ENUM('unpaid', 'paid'),
+        allowNull: false,
+        defaultValue: 'unpaid',
+      })
+    }
+  },
+}
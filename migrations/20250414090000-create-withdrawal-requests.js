@@ -0,0 +1,121 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // A team or Craft registration asking to withdraw. The registration is
+    // kept and moved to the withdrawn status once the committee approves.
+    await queryInterface.createTable('withdrawal_requests', {
+      withdrawal_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      entity_type: {
+        type: Sequelize.ENUM('team', 'craft'),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      // Registration status when the request was made
+      previous_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      // Price paid, and the part of it refunded under the event's refund
+      // policy on the request date
+      paid_amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      refund_percent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      refund_amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // none until approved with something to refund
+      refund_status: {
+        type: Sequelize.ENUM('none', 'pending', 'refunded'),
+        allowNull: false,
+        defaultValue: 'none',
+      },
+      // Bank transfer or gateway reference of the refund
+      refund_reference: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      refundedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      review_note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      refunded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('withdrawal_requests', [
+      'entity_type',
+      'entity_id',
+    ])
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('withdrawal_requests')
+  },
+}
@@ -0,0 +1,59 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Raised to end every session of a user, e.g. after a password reset.
+    // Access tokens carry the version they were issued with.
+    await queryInterface.addColumn('users', 'tokenVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    })
+
+    // One-time tokens sent by email. Only their SHA-256 is stored.
+    await queryInterface.createTable('user_tokens', {
+      token_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      purpose: {
+        type: Sequelize.ENUM('password_reset'),
+        allowNull: false,
+      },
+      token_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('user_tokens', ['user_id', 'purpose'])
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('user_tokens')
+    await queryInterface.removeColumn('users', 'tokenVersion')
+  },
+}
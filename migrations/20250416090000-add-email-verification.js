@@ -0,0 +1,36 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'emailVerified', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    })
+    await queryInterface.addColumn('users', 'emailVerifiedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    })
+    // Accounts made before verification existed are not asked to verify
+    await queryInterface.sequelize.query(
+      'UPDATE users SET emailVerified = true'
+    )
+
+    await queryInterface.changeColumn('user_tokens', 'purpose', {
+      type: Sequelize.ENUM('password_reset', 'email_verification'),
+      allowNull: false,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `DELETE FROM user_tokens WHERE purpose = 'email_verification'`
+    )
+    await queryInterface.changeColumn('user_tokens', 'purpose', {
+      type: Sequelize.ENUM('password_reset'),
+      allowNull: false,
+    })
+    await queryInterface.removeColumn('users', 'emailVerifiedAt')
+    await queryInterface.removeColumn('users', 'emailVerified')
+  },
+}
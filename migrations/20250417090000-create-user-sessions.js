@@ -0,0 +1,93 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // One login on one device. Access tokens carry its id (sid) and stop
+    // working as soon as it is revoked.
+    await queryInterface.createTable('user_sessions', {
+      session_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      user_agent: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // logout, logout_all, admin, reuse or password_reset
+      revoke_reason: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('user_sessions', ['user_id'])
+
+    // Refresh tokens of a session. Each is used once and replaced by the
+    // next; presenting a used one again revokes the session.
+    await queryInterface.createTable('refresh_tokens', {
+      token_id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      session_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user_sessions',
+          key: 'session_id',
+        },
+        onDelete: 'CASCADE',
+      },
+      token_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('refresh_tokens')
+    await queryInterface.dropTable('user_sessions')
+  },
+}
@@ -0,0 +1,21 @@
+'use strict'
+
+// Unique codes are shared by teams and craft, so no index can keep two
+// unpaid registrations from getting the same transfer amount. Picking a
+// code locks this table's single row instead (services/payments.js).
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('unique_code_locks', {
+      lock_id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+    })
+    await queryInterface.bulkInsert('unique_code_locks', [{ lock_id: 1 }])
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('unique_code_locks')
+  },
+}
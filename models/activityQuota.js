@@ -0,0 +1,39 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+class ActivityQuota extends Model {}
+
+ActivityQuota.init(
+  {
+    quota_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'event_id',
+      },
+    },
+    // Slot declared in config/competitions.js, e.g. offline or online
+    slot: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'ActivityQuota',
+    tableName: 'activity_quotas',
+    timestamps: false,
+  }
+)
+
+module.exports = ActivityQuota
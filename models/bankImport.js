@@ -0,0 +1,46 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// One uploaded bank statement, see services/reconciliation.js
+class BankImport extends Model {}
+
+BankImport.init(
+  {
+    import_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    credit_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    duplicate_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    imported_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'BankImport',
+    tableName: 'bank_imports',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = BankImport
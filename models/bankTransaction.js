@@ -0,0 +1,77 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// An incoming transfer from a bank statement and the registration it pays
+class BankTransaction extends Model {}
+
+BankTransaction.init(
+  {
+    transaction_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    import_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'bank_imports',
+        key: 'import_id',
+      },
+    },
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    posted_at: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('unmatched', 'proposed', 'confirmed', 'ignored'),
+      allowNull: false,
+      defaultValue: 'unmatched',
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: true,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    match_reason: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    confirmed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    confirmedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'BankTransaction',
+    tableName: 'bank_transactions',
+    timestamps: true,
+  }
+)
+
+module.exports = BankTransaction
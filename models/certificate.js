@@ -0,0 +1,109 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// One certificate for one recipient of an event: a team member, a Craft
+// participant or a team's advisor (dosbim)
+class Certificate extends Model {}
+
+Certificate.init(
+  {
+    certificate_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    serial: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'event_id',
+      },
+    },
+    role: {
+      type: DataTypes.ENUM('participant', 'winner', 'advisor'),
+      allowNull: false,
+    },
+    // Identifies the recipient within the event, e.g. member:12 or dosbim:3
+    recipient_key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    recipient_name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    recipient_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    award: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    institution_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    file_path: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'generated', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    // When the current PDF was rendered, printed on the certificate
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // A revoked certificate keeps its row so verification can report it
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revoke_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Certificate',
+    tableName: 'certificates',
+    timestamps: true,
+  }
+)
+
+module.exports = Certificate
@@ -0,0 +1,67 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// Progress of a background certificate generation run for one event
+class CertificateJob extends Model {}
+
+CertificateJob.init(
+  {
+    job_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'event_id',
+      },
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued',
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    processed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    failed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'CertificateJob',
+    tableName: 'certificate_jobs',
+    timestamps: true,
+  }
+)
+
+module.exports = CertificateJob
@@ -1,5 +1,6 @@
 const { Model, DataTypes } = require('sequelize')
 const sequelize = require('../config/database')
+const { STATUSES, STATUS_LIST } = require('../services/verification')
 
 class Craft extends Model {}
 
@@ -78,6 +79,15 @@ Craft.init(
       type: DataTypes.TEXT,
       allowNull: true,
     },
+    status: {
+      type: DataTypes.ENUM(...STATUS_LIST),
+      allowNull: false,
+      defaultValue: STATUSES.SUBMITTED,
+    },
+    revision_flags: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
     bukti_follow_cia: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -98,6 +108,29 @@ Craft.init(
       type: DataTypes.STRING,
       allowNull: true,
     },
+    // Set by services/pricing.js
+    expected_amount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    price_breakdown: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Set by services/payments.js
+    payment_status: {
+      type: DataTypes.ENUM('unpaid', 'paid', 'refunded'),
+      allowNull: false,
+      defaultValue: 'unpaid',
+    },
+    unique_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     sequelize,
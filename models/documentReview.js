@@ -0,0 +1,56 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { REVIEW_STATUS_LIST } = require('../services/documentReview')
+
+// Committee verdict on one uploaded document of a team or Craft registration
+class DocumentReview extends Model {}
+
+DocumentReview.init(
+  {
+    review_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    document_key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...REVIEW_STATUS_LIST),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    reviewer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'DocumentReview',
+    tableName: 'document_reviews',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['entity_type', 'entity_id', 'document_key'] },
+    ],
+  }
+)
+
+module.exports = DocumentReview
@@ -0,0 +1,48 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A file that was replaced during resubmission, kept for comparison
+class DocumentVersion extends Model {}
+
+DocumentVersion.init(
+  {
+    version_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    document_key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    file_path: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'DocumentVersion',
+    tableName: 'document_versions',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = DocumentVersion
@@ -0,0 +1,35 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+class Event extends Model {}
+
+Event.init(
+  {
+    event_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    event_name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // A null bound leaves that side of the window open
+    registration_open: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    registration_close: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Maximum number of teams (or Craft seats); null means unlimited
+    quota: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  { sequelize, modelName: 'Event', tableName: 'events', timestamps: false }
+)
+
+module.exports = Event
@@ -0,0 +1,48 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// One signed link issued for, or one download of, an uploaded file
+class FileAccessLog extends Model {}
+
+FileAccessLog.init(
+  {
+    log_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    file_path: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    action: {
+      type: DataTypes.ENUM('sign', 'download'),
+      allowNull: false,
+    },
+    ip_address: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    user_agent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'FileAccessLog',
+    tableName: 'file_access_logs',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = FileAccessLog
@@ -0,0 +1,73 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A charge created through the payment gateway, see services/onlinePayments.js
+class Payment extends Model {}
+
+Payment.init(
+  {
+    payment_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    order_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'paid', 'expired', 'failed', 'refunded'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    checkout_url: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Payment',
+    tableName: 'payments',
+    timestamps: true,
+  }
+)
+
+module.exports = Payment
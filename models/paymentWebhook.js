@@ -0,0 +1,49 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A webhook received from the payment gateway and what it changed
+class PaymentWebhook extends Model {}
+
+PaymentWebhook.init(
+  {
+    webhook_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    event_key: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      unique: true,
+    },
+    order_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    result: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    payload: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PaymentWebhook',
+    tableName: 'payment_webhooks',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = PaymentWebhook
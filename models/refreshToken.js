@@ -0,0 +1,45 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A refresh token of a session; only its SHA-256 is stored
+class RefreshToken extends Model {}
+
+RefreshToken.init(
+  {
+    token_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'session_id',
+      },
+    },
+    token_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'RefreshToken',
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = RefreshToken
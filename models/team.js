@@ -1,5 +1,6 @@
 const { Model, DataTypes } = require("sequelize");
 const sequelize = require("../config/database");
+const { STATUSES, STATUS_LIST } = require("../services/verification");
 
 class Team extends Model {}
 
@@ -28,21 +29,7 @@ Team.init(
             allowNull: false,
         },
         voucher: DataTypes.STRING,
-        payment_proof: {
-            type: DataTypes.STRING,
-            validate: {
-                notNullIfSBCorCIC() {
-                    if (
-                        (this.event_id === 3 || this.event_id === 4) &&
-                        !this.payment_proof
-                    ) {
-                        throw new Error(
-                            "Bukti pembayaran harus diunggah untuk lomba ini"
-                        );
-                    }
-                },
-            },
-        },
+        payment_proof: DataTypes.STRING,
         user_id: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -56,6 +43,41 @@ Team.init(
             allowNull: false,
             defaultValue: false,
         },
+        status: {
+            type: DataTypes.ENUM(...STATUS_LIST),
+            allowNull: false,
+            defaultValue: STATUSES.SUBMITTED,
+        },
+        revision_flags: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        award: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+        expected_amount: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+        price_breakdown: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        // Set by services/payments.js
+        payment_status: {
+            type: DataTypes.ENUM("unpaid", "paid", "refunded"),
+            allowNull: false,
+            defaultValue: "unpaid",
+        },
+        unique_code: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+        paidAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
     },
     { sequelize, modelName: "Team", tableName: "teams", timestamps: false }
 );
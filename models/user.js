@@ -46,6 +46,29 @@ User.init(
             onUpdate: "CASCADE",
             onDelete: "SET NULL",
         },
+        role: {
+            type: DataTypes.ENUM(
+                "superadmin",
+                "committee",
+                "judge",
+                "participant"
+            ),
+            allowNull: false,
+            defaultValue: "participant",
+        },
+        tokenVersion: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        emailVerified: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+        emailVerifiedAt: {
+            type: DataTypes.DATE,
+        },
     },
     {
         sequelize,
@@ -0,0 +1,52 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A login on one device, see services/sessions.js
+class UserSession extends Model {}
+
+UserSession.init(
+  {
+    session_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    user_agent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revoke_reason: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'UserSession',
+    tableName: 'user_sessions',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = UserSession
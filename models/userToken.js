@@ -0,0 +1,49 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A one-time token sent by email, see services/userTokens.js
+class UserToken extends Model {}
+
+UserToken.init(
+  {
+    token_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    purpose: {
+      type: DataTypes.ENUM('password_reset', 'email_verification'),
+      allowNull: false,
+    },
+    token_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'UserToken',
+    tableName: 'user_tokens',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = UserToken
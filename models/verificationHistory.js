@@ -0,0 +1,52 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { STATUS_LIST } = require('../services/verification')
+
+class VerificationHistory extends Model {}
+
+VerificationHistory.init(
+  {
+    history_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    from_status: {
+      type: DataTypes.ENUM(...STATUS_LIST),
+      allowNull: true,
+    },
+    to_status: {
+      type: DataTypes.ENUM(...STATUS_LIST),
+      allowNull: false,
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'VerificationHistory',
+    tableName: 'verification_histories',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = VerificationHistory
@@ -0,0 +1,69 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// Discount code for team registrations, see services/vouchers.js
+class Voucher extends Model {}
+
+Voucher.init(
+  {
+    voucher_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    discount_type: {
+      type: DataTypes.ENUM('percent', 'fixed'),
+      allowNull: false,
+    },
+    discount_value: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'events',
+        key: 'event_id',
+      },
+    },
+    max_uses: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Voucher',
+    tableName: 'vouchers',
+    timestamps: true,
+  }
+)
+
+module.exports = Voucher
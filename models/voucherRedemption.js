@@ -0,0 +1,49 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A voucher used by a team at registration; a team uses at most one
+class VoucherRedemption extends Model {}
+
+VoucherRedemption.init(
+  {
+    redemption_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    voucher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'vouchers',
+        key: 'voucher_id',
+      },
+    },
+    team_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'teams',
+        key: 'team_id',
+      },
+    },
+    redeemed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'VoucherRedemption',
+    tableName: 'voucher_redemptions',
+    timestamps: true,
+    updatedAt: false,
+  }
+)
+
+module.exports = VoucherRedemption
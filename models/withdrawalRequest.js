@@ -0,0 +1,104 @@
+const { Model, DataTypes } = require('sequelize')
+const sequelize = require('../config/database')
+
+// A request to withdraw a registration, see services/withdrawals.js
+class WithdrawalRequest extends Model {}
+
+WithdrawalRequest.init(
+  {
+    withdrawal_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entity_type: {
+      type: DataTypes.ENUM('team', 'craft'),
+      allowNull: false,
+    },
+    entity_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    previous_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    paid_amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    refund_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    refund_amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    refund_status: {
+      type: DataTypes.ENUM('none', 'pending', 'refunded'),
+      allowNull: false,
+      defaultValue: 'none',
+    },
+    refund_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    refunded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id',
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: 'WithdrawalRequest',
+    tableName: 'withdrawal_requests',
+    timestamps: true,
+  }
+)
+
+module.exports = WithdrawalRequest
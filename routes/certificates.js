@@ -0,0 +1,418 @@
+const express = require('express')
+const router = express.Router()
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { getCompetitionByEvent } = require('../config/competitions')
+const storage = require('../services/storage')
+const sendStream = require('../utils/sendStream')
+const certificates = require('../services/certificates')
+const { createZipStream } = require('../services/zipStream')
+const { sendError } = require('../controllers/teamController')
+
+/**
+ * @swagger
+ * /api/events/{event_id}/certificates/generate:
+ *   post:
+ *     tags:
+ *       - Certificates
+ *     summary: Generate certificates for every verified participant of an event
+ *     description: Runs in the background. Members of verified teams get a participant certificate, or a winner certificate when the team has an award; SBC advisors (dosbim) get an advisor certificate; verified Craft participants get a participant certificate. Serials of earlier runs are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               regenerate:
+ *                 type: boolean
+ *                 description: Render certificates that were already generated again
+ *     responses:
+ *       202:
+ *         description: Job queued; poll it for progress
+ *       403:
+ *         description: Not allowed to manage this event
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: A generation job for this event is still running
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/events/:event_id/certificates/generate',
+  authenticateToken,
+  authorize(policies.events.manage),
+  async (req, res) => {
+    try {
+      const job = await certificates.queueGeneration(req.resource.event_id, {
+        requestedBy: req.user.user_id,
+        regenerate: req.body.regenerate === true,
+      })
+      res.status(202).json({ message: 'Certificate generation queued', job })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/certificates/jobs/{job_id}:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: Get the progress of a certificate generation job
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: job_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job status with total, processed and failed counts
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/certificates/jobs/:job_id',
+  authenticateToken,
+  authorize(policies.events.manage),
+  async (req, res) => {
+    try {
+      const job = await certificates.getJob(
+        req.resource.event_id,
+        req.params.job_id
+      )
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found' })
+      }
+      res.json(job)
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/certificates:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: List the certificates of an event
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Certificates with their serial, recipient, role and status
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/certificates',
+  authenticateToken,
+  authorize(policies.events.manage),
+  async (req, res) => {
+    try {
+      res.json(await certificates.listForEvent(req.resource.event_id))
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/certificates/zip:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: Download every generated certificate of an event as a ZIP
+ *     description: Files are grouped per role and named after the serial and recipient. Revoked certificates are left out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: No generated certificates for this event
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/certificates/zip',
+  authenticateToken,
+  authorize(policies.events.manage),
+  async (req, res) => {
+    try {
+      const competition = getCompetitionByEvent(req.resource.event_id)
+      const generated = (
+        await certificates.listForEvent(req.resource.event_id)
+      ).filter(
+        (certificate) =>
+          certificate.status === 'generated' && !certificate.revokedAt
+      )
+      if (!competition || !generated.length) {
+        return res
+          .status(404)
+          .json({ message: 'No generated certificates for this event' })
+      }
+
+      const zip = createZipStream(res, `certificates-${competition.slug}.zip`)
+      for (const certificate of generated) {
+        await zip.add(
+          `${certificate.role}/${certificates.downloadName(certificate)}`,
+          await storage.get(certificate.file_path)
+        )
+      }
+      await zip.finalize()
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(error)
+        return res.destroy(error)
+      }
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/certificates/mine:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: List the generated certificates of the logged in user's registrations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates of every member and advisor of the user's registrations
+ *       500:
+ *         description: Server error
+ */
+router.get('/certificates/mine', authenticateToken, async (req, res) => {
+  try {
+    res.json(await certificates.listForUser(req.user.user_id))
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/certificates/{serial}/download:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: Download one certificate as PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF certificate
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not allowed to download this certificate
+ *       404:
+ *         description: Certificate not found or not generated yet
+ *       410:
+ *         description: Certificate has been revoked
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/certificates/:serial/download',
+  authenticateToken,
+  authorize(policies.certificates.download),
+  async (req, res) => {
+    try {
+      const certificate = await certificates.findBySerial(req.params.serial)
+      if (certificate.status !== 'generated') {
+        return res
+          .status(404)
+          .json({ message: 'Certificate has not been generated yet' })
+      }
+      if (certificate.revokedAt) {
+        return res.status(410).json({
+          message: 'Certificate has been revoked',
+          error: 'CERTIFICATE_REVOKED',
+        })
+      }
+
+      const body = await storage.get(certificate.file_path)
+      res.set('Content-Type', 'application/pdf')
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="${certificates.downloadName(certificate)}"`
+      )
+      sendStream(res, body)
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/certificates/verify/{serial}:
+ *   get:
+ *     tags:
+ *       - Certificates
+ *     summary: Check that a certificate is genuine
+ *     description: Public endpoint linked from the QR code on every certificate. Only the details printed on the certificate are returned. Revoked certificates are reported with valid set to false; the reason for revoking stays with staff.
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 serial:
+ *                   type: string
+ *                 holder_name:
+ *                   type: string
+ *                 institution_name:
+ *                   type: string
+ *                 event:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [participant, winner, advisor]
+ *                 award:
+ *                   type: string
+ *                   nullable: true
+ *                 issued_at:
+ *                   type: string
+ *                   format: date-time
+ *                 revoked:
+ *                   type: boolean
+ *                 revoked_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       404:
+ *         description: No certificate with this serial
+ *       500:
+ *         description: Server error
+ */
+router.get('/certificates/verify/:serial', async (req, res) => {
+  try {
+    res.json(await certificates.verify(req.params.serial))
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/certificates/{serial}/revoke:
+ *   put:
+ *     tags:
+ *       - Certificates
+ *     summary: Revoke a certificate
+ *     description: The certificate can no longer be downloaded and verification reports it as revoked. Later generation runs do not render it again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Certificate revoked
+ *       400:
+ *         description: Missing reason
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: Certificate is already revoked
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/certificates/:serial/revoke',
+  authenticateToken,
+  authorize(policies.certificates.revoke),
+  async (req, res) => {
+    try {
+      const certificate = await certificates.revoke(req.params.serial, {
+        actorId: req.user.user_id,
+        reason: req.body.reason,
+      })
+      res.json({ message: 'Certificate revoked', data: certificate })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+module.exports = router
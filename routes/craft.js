@@ -1,40 +1,33 @@
 const express = require('express')
 const Craft = require('../models/craft.js')
 const authenticateToken = require('../middleware/authenticateToken.js')
+const rateLimit = require('../middleware/rateLimit.js')
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail.js')
+const { authorize } = require('../middleware/authorize.js')
+const policies = require('../config/policies.js')
+const { isStaff } = require('../config/roles.js')
 const router = express.Router()
 const { ValidationError } = require('sequelize')
-const fs = require('fs')
-const multer = require('multer')
-const path = require('path')
-
-// Configure multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, './uploads/craft')
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9)
-    cb(
-      null,
-      file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname)
-    )
-  },
-})
-
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|pdf/
-    const extname = allowedTypes.test(
-      path.extname(file.originalname).toLowerCase()
-    )
-    if (extname) {
-      cb(null, true)
-    } else {
-      cb(new Error('Only .jpeg, .jpg, .png and .pdf format allowed!'))
-    }
-  },
-})
+const sequelize = require('../config/database.js')
+const HttpError = require('../utils/httpError.js')
+const sendStream = require('../utils/sendStream.js')
+const {
+  assertCanRegister,
+  assertCanChangeActivity,
+} = require('../services/registrationWindow.js')
+const verification = require('../services/verification.js')
+const { STATUSES, actorKindsFor } = verification
+const { sendError } = require('../controllers/teamController.js')
+const { normalizeFlags } = require('../services/documents.js')
+const resubmission = require('../services/resubmission.js')
+const documentReview = require('../services/documentReview.js')
+const receipts = require('../services/receipt.js')
+const pricing = require('../services/pricing.js')
+const { createUpload, removeUploadedFiles } = require('../middleware/upload.js')
+const { COMPETITIONS, uploadFields } = require('../config/competitions.js')
+
+const competition = COMPETITIONS.craft
+const upload = createUpload(competition.slug, { competition })
 
 /**
  * @swagger
@@ -50,14 +43,19 @@ const upload = multer({
  *       500:
  *         description: Internal Server Error
  */
-router.get('/crafts', authenticateToken, async (req, res) => {
-  try {
-    const crafts = await Craft.findAll()
-    res.json(crafts)
-  } catch (err) {
-    res.status(500).json({ message: err.message })
+router.get(
+  '/crafts',
+  authenticateToken,
+  authorize(policies.crafts.list),
+  async (req, res) => {
+    try {
+      const crafts = await Craft.findAll()
+      res.json(crafts)
+    } catch (err) {
+      res.status(500).json({ message: err.message })
+    }
   }
-})
+)
 
 /**
  * @swagger
@@ -84,6 +82,7 @@ router.get('/crafts', authenticateToken, async (req, res) => {
 router.get(
   '/crafts/participant/:participant_id',
   authenticateToken,
+  authorize(policies.crafts.read),
   async (req, res) => {
     try {
       const craft = await Craft.findOne({
@@ -124,21 +123,26 @@ router.get(
  *         description: Internal Server Error
  */
 // Ambil data peserta craft berdasarkan id pengguna
-router.get('/crafts/user/:user_id', authenticateToken, async (req, res) => {
-  try {
-    const craft = await Craft.findOne({
-      where: { user_id: req.params.user_id },
-    })
-    if (craft === null) {
-      return res.status(404).json({
-        message: 'Akun ini tidak memiliki riwayat pendaftaran CRAFT',
+router.get(
+  '/crafts/user/:user_id',
+  authenticateToken,
+  authorize(policies.crafts.readByUser),
+  async (req, res) => {
+    try {
+      const craft = await Craft.findOne({
+        where: { user_id: req.params.user_id },
       })
+      if (craft === null) {
+        return res.status(404).json({
+          message: 'Akun ini tidak memiliki riwayat pendaftaran CRAFT',
+        })
+      }
+      res.json(craft)
+    } catch (err) {
+      res.status(500).json({ message: err.message })
     }
-    res.json(craft)
-  } catch (err) {
-    res.status(500).json({ message: err.message })
   }
-})
+)
 
 /**
  * @swagger
@@ -167,10 +171,6 @@ router.get('/crafts/user/:user_id', authenticateToken, async (req, res) => {
  *                 type: string
  *               isMahasiswaDTSL:
  *                 type: boolean
- *               ktm:
- *                 type: string
- *               payment_proof:
- *                 type: string
  *               email:
  *                 type: string
  *               bukti_follow_cia:
@@ -185,88 +185,156 @@ router.get('/crafts/user/:user_id', authenticateToken, async (req, res) => {
  *       201:
  *         description: Successfully registered
  *       400:
- *         description: Validation error
+ *         description: Validation error, data missing (DATA_MISSING) or not a JSON object (INVALID_JSON), email or full_name missing (REQUIRED_FIELDS_MISSING), or an unknown activity_choice (INVALID_ACTIVITY_CHOICE)
+ *       403:
+ *         description: Registration is not open or already closed, or the account's email is not verified (EMAIL_NOT_VERIFIED, when REQUIRE_VERIFIED_EMAIL is on)
+ *       409:
+ *         description: Registration quota is full
+ *       429:
+ *         description: Too many uploads from this account; Retry-After gives the seconds to wait
  *       500:
  *         description: Internal Server Error
  */
 router.post(
   '/crafts/register',
   authenticateToken,
-  upload.fields([
-    { name: 'bukti_follow_cia', maxCount: 1 },
-    { name: 'bukti_follow_pktsl', maxCount: 1 },
-    { name: 'bukti_story', maxCount: 1 },
-    { name: 'ktm', maxCount: 1 },
-    { name: 'payment_proof', maxCount: 1 },
-    { name: 'bundle', maxCount: 1 },
-  ]),
+  requireVerifiedEmail,
+  rateLimit('upload'),
+  upload.fields(uploadFields(competition)),
   async (req, res) => {
     try {
-      // Parse participant data
-      const participantData =
-        typeof req.body.data === 'string'
-          ? JSON.parse(req.body.data)
-          : req.body.data
+      if (!req.body.data) {
+        throw new HttpError(400, 'Missing participant data', 'DATA_MISSING')
+      }
+
+      let participantData
+      try {
+        participantData = JSON.parse(req.body.data)
+      } catch (error) {
+        throw new HttpError(400, 'Invalid JSON data format', 'INVALID_JSON')
+      }
+      if (!participantData || typeof participantData !== 'object') {
+        throw new HttpError(400, 'Invalid JSON data format', 'INVALID_JSON')
+      }
+
+      const missing = ['email', 'full_name'].filter(
+        (field) =>
+          typeof participantData[field] !== 'string' ||
+          !participantData[field].trim()
+      )
+      if (missing.length) {
+        throw new HttpError(
+          400,
+          `Missing required fields: ${missing.join(', ')}`,
+          'REQUIRED_FIELDS_MISSING'
+        )
+      }
+      if (
+        !Object.prototype.hasOwnProperty.call(
+          competition.activities,
+          participantData.activity_choice
+        )
+      ) {
+        throw new HttpError(
+          400,
+          `Unknown activity_choice: ${participantData.activity_choice}`,
+          'INVALID_ACTIVITY_CHOICE'
+        )
+      }
 
       const userId = req.user.user_id
-      // Check if email already exists
-      const existingUser = await Craft.findOne({
-        where: { email: participantData.email },
+
+      // Get file paths
+      const documents = {}
+      competition.documents.forEach((field) => {
+        documents[field] = req.files[field] ? req.files[field][0].path : null
       })
 
-      if (existingUser) {
-        // Delete uploaded files if email already exists
-        if (req.files) {
-          Object.values(req.files).forEach((fileArray) => {
-            fileArray.forEach((file) => {
-              fs.unlinkSync(file.path)
-            })
-          })
+      const craft = await sequelize.transaction(async (transaction) => {
+        await assertCanRegister(competition, {
+          transaction,
+          activityChoice: participantData.activity_choice,
+        })
+
+        // Check if email already exists
+        const existingUser = await Craft.findOne({
+          where: { email: participantData.email },
+          transaction,
+        })
+
+        if (existingUser) {
+          return null
         }
+
+        // Review state only changes through the verification workflow, the
+        // price is computed by services/pricing.js and payment state is set
+        // by services/payments.js
+        const {
+          isVerified,
+          isRejected,
+          rejectMessage,
+          status,
+          revision_flags,
+          expected_amount,
+          price_breakdown,
+          payment_status,
+          unique_code,
+          paidAt,
+          ...registrationData
+        } = participantData
+
+        const created = await Craft.create(
+          {
+            ...registrationData,
+            user_id: userId,
+            ...documents,
+          },
+          { transaction }
+        )
+        await pricing.applyPrice(competition, 'craft', created.participant_id, {
+          transaction,
+        })
+        await created.reload({ transaction })
+
+        await verification.recordHistory(
+          {
+            entityType: 'craft',
+            entityId: created.participant_id,
+            to: created.status,
+            actorId: userId,
+          },
+          transaction
+        )
+
+        return created
+      })
+
+      if (!craft) {
+        // Delete uploaded files if email already exists
+        removeUploadedFiles(req.files)
         return res.status(400).json({
           message: 'Email already registered for CRAFT competition',
         })
       }
 
-      // Get file paths
-      const bukti_follow_cia = req.files.bukti_follow_cia
-        ? req.files.bukti_follow_cia[0].path
-        : null
-      const bukti_follow_pktsl = req.files.bukti_follow_pktsl
-        ? req.files.bukti_follow_pktsl[0].path
-        : null
-      const bukti_story = req.files.bukti_story
-        ? req.files.bukti_story[0].path
-        : null
-      const ktm = req.files.ktm ? req.files.ktm[0].path : null
-      const payment_proof = req.files.payment_proof
-        ? req.files.payment_proof[0].path
-        : null
-      const bundle = req.files.bundle ? req.files.bundle[0].path : null
-
-      const craft = await Craft.create({
-        ...participantData,
-        user_id: userId,
-        ktm,
-        payment_proof,
-        bukti_follow_cia,
-        bukti_follow_pktsl,
-        bukti_story,
-        bundle,
-      })
+      receipts.generateInBackground('craft', craft.participant_id)
 
       res.status(201).json({
         message: 'Berhasil menambahkan peserta craft baru',
         data: craft,
+        registration_number: receipts.registrationNumber(
+          competition,
+          craft.participant_id
+        ),
       })
     } catch (err) {
       // Delete uploaded files if registration fails
-      if (req.files) {
-        Object.values(req.files).forEach((fileArray) => {
-          fileArray.forEach((file) => {
-            fs.unlinkSync(file.path)
-          })
-        })
+      removeUploadedFiles(req.files)
+
+      if (err instanceof HttpError) {
+        return res
+          .status(err.status)
+          .json({ message: err.message, error: err.code })
       }
 
       console.error(err)
@@ -298,27 +366,29 @@ router.post(
  *         description: Participant verified successfully
  *       404:
  *         description: Participant not found
+ *       409:
+ *         description: Transition not allowed from the current status, or a document is still pending or rejected in the review checklist (DOCUMENTS_NOT_APPROVED)
  *       500:
  *         description: Internal Server Error
  */
-// Update isVerified field to true
 router.put(
   '/crafts/verify/:participant_id',
   authenticateToken,
+  authorize(policies.crafts.review),
   async (req, res) => {
     try {
-      const craft = await Craft.findOne({
-        where: { participant_id: req.params.participant_id },
+      await documentReview.transition(competition, {
+        entityType: 'craft',
+        entityId: req.params.participant_id,
+        to: STATUSES.VERIFIED,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.note,
       })
-      if (!craft) {
-        return res.status(404).json({ message: 'Participant not found' })
-      }
-      craft.isVerified = true
-      await craft.save()
+      const craft = await Craft.findByPk(req.params.participant_id)
       res.json({ message: 'Participant has been verified', data: craft })
     } catch (err) {
-      console.error(err)
-      res.status(500).json({ message: 'Internal Server Error' })
+      sendError(res, err)
     }
   }
 )
@@ -337,33 +407,443 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rejectMessage:
+ *                 type: string
+ *               flags:
+ *                 type: object
+ *                 description: Documents and fields the participant has to fix, kept for rejections and revision requests. Documents use upload field names such as ktm, fields use column names such as full_name.
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
  *     responses:
  *       200:
  *         description: Participant rejected successfully
  *       404:
  *         description: Participant not found
+ *       409:
+ *         description: Transition not allowed from the current status
  *       500:
  *         description: Internal Server Error
  */
-// Update isRejected field to true
 router.put(
   '/crafts/reject/:participant_id',
   authenticateToken,
+  authorize(policies.crafts.review),
   async (req, res) => {
     try {
-      const craft = await Craft.findOne({
-        where: { participant_id: req.params.participant_id },
+      await verification.transition({
+        entityType: 'craft',
+        entityId: req.params.participant_id,
+        to: STATUSES.REJECTED,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.rejectMessage,
+        flags: normalizeFlags(competition, req.body.flags),
       })
-      if (!craft) {
-        return res.status(404).json({ message: 'Participant not found' })
-      }
-      craft.isRejected = true
-      craft.rejectMessage = req.body.rejectMessage
-      await craft.save()
+      const craft = await Craft.findByPk(req.params.participant_id)
       res.json({ message: 'Participant has been rejected', data: craft })
     } catch (err) {
-      console.error(err)
-      res.status(500).json({ message: 'Internal Server Error' })
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/status:
+ *   put:
+ *     tags: [Craft]
+ *     summary: Move a craft participant to another verification status
+ *     description: Allowed transitions are defined in services/verification.js. Resubmitting goes through POST /api/crafts/{participant_id}/resubmit and withdrawing through POST /api/crafts/{participant_id}/withdrawals, so both are answered 409 here.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, submitted, under_review, revision_requested, verified, rejected]
+ *               note:
+ *                 type: string
+ *               flags:
+ *                 type: object
+ *                 description: Documents and fields the participant has to fix, kept for rejections and revision requests. Documents use upload field names such as ktm, fields use column names such as full_name.
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       404:
+ *         description: Participant not found
+ *       409:
+ *         description: Transition not allowed, or verified was requested while a document is still pending or rejected (DOCUMENTS_NOT_APPROVED)
+ *       500:
+ *         description: Internal Server Error
+ */
+router.put(
+  '/crafts/:participant_id/status',
+  authenticateToken,
+  authorize(policies.crafts.transition),
+  async (req, res) => {
+    try {
+      const result = await documentReview.transition(competition, {
+        entityType: 'craft',
+        entityId: req.params.participant_id,
+        to: req.body.status,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.note,
+        flags: normalizeFlags(competition, req.body.flags),
+      })
+      res.json({ message: 'Participant status updated', data: result })
+    } catch (err) {
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/history:
+ *   get:
+ *     tags: [Craft]
+ *     summary: Get a craft participant's verification history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status changes with actor, timestamp and note
+ *       404:
+ *         description: Participant not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get(
+  '/crafts/:participant_id/history',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  async (req, res) => {
+    try {
+      const history = await verification.getHistory(
+        'craft',
+        req.params.participant_id
+      )
+      res.json({ data: history })
+    } catch (err) {
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/resubmit:
+ *   put:
+ *     tags: [Craft]
+ *     summary: Resubmit a craft registration after a rejection or revision request
+ *     description: Only the documents and fields flagged by the committee can be replaced, and every flagged document must be uploaded again. Replaced files are kept as document versions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 description: JSON with the flagged fields
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Registration moved back to the review queue
+ *       400:
+ *         description: Document or field not flagged, or a flagged document is missing
+ *       403:
+ *         description: Not the owner of the registration
+ *       404:
+ *         description: Participant not found
+ *       409:
+ *         description: Registration is not awaiting revision
+ *       429:
+ *         description: Too many uploads from this account; Retry-After gives the seconds to wait
+ *       500:
+ *         description: Internal Server Error
+ */
+router.put(
+  '/crafts/:participant_id/resubmit',
+  authenticateToken,
+  authorize(policies.crafts.resubmit),
+  rateLimit('upload'),
+  upload.fields(uploadFields(competition)),
+  async (req, res) => {
+    try {
+      let data = {}
+      if (req.body.data) {
+        try {
+          data = JSON.parse(req.body.data)
+        } catch (err) {
+          throw new HttpError(400, 'Invalid JSON data format', 'INVALID_JSON')
+        }
+      }
+
+      const result = await resubmission.resubmit(competition, {
+        entityType: 'craft',
+        entityId: req.resource.participant_id,
+        actorId: req.user.user_id,
+        data,
+        files: req.files,
+        note: req.body.note,
+      })
+
+      res.json({ message: 'Registration resubmitted for review', data: result })
+    } catch (err) {
+      // Rolled back, so the new uploads are not referenced anywhere
+      removeUploadedFiles(req.files)
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/documents/versions:
+ *   get:
+ *     tags: [Craft]
+ *     summary: List current documents of a craft participant with their replaced versions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documents with their previous versions, newest first
+ *       404:
+ *         description: Participant not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get(
+  '/crafts/:participant_id/documents/versions',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  async (req, res) => {
+    try {
+      res.json({
+        data: await resubmission.listVersions(
+          competition,
+          'craft',
+          req.resource.participant_id
+        ),
+      })
+    } catch (err) {
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/documents:
+ *   get:
+ *     tags: [Craft]
+ *     summary: Get the document review checklist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Uploaded documents with their review status and a count per status
+ *       404:
+ *         description: Registration not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get(
+  '/crafts/:participant_id/documents',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  async (req, res) => {
+    try {
+      res.json(
+        await documentReview.getChecklist(
+          competition,
+          'craft',
+          req.params.participant_id
+        )
+      )
+    } catch (err) {
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/documents/{document_key}/review:
+ *   put:
+ *     tags: [Craft]
+ *     summary: Approve or reject one uploaded document
+ *     description: Once no document is pending the registration is verified when every document is approved, or sent back for revision with the rejected documents flagged and listed in the rejection message.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: document_key
+ *         required: true
+ *         description: Upload field name, e.g. leader_ktm or payment_proof
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Updated checklist and the resulting registration status
+ *       400:
+ *         description: Invalid status or missing reason
+ *       404:
+ *         description: Registration or document not found
+ *       409:
+ *         description: Registration is not awaiting review
+ *       500:
+ *         description: Internal Server Error
+ */
+router.put(
+  '/crafts/:participant_id/documents/:document_key/review',
+  authenticateToken,
+  authorize(policies.crafts.review),
+  async (req, res) => {
+    try {
+      const result = await documentReview.reviewDocument(competition, {
+        entityType: 'craft',
+        entityId: req.params.participant_id,
+        documentKey: req.params.document_key,
+        status: req.body.status,
+        reason: req.body.reason,
+        reviewerId: req.user.user_id,
+      })
+      res.json({ message: 'Document review saved', data: result })
+    } catch (err) {
+      sendError(res, err)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/receipt:
+ *   get:
+ *     tags: [Craft]
+ *     summary: Download the registration receipt as PDF
+ *     description: The receipt shows the registration number, registrant, members, fee breakdown and verification status. It is regenerated whenever the status changes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Registration not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get(
+  '/crafts/:participant_id/receipt',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  async (req, res) => {
+    try {
+      const { body, filename } = await receipts.openReceipt(
+        competition,
+        'craft',
+        req.resource.participant_id
+      )
+      res.set('Content-Type', 'application/pdf')
+      res.set('Content-Disposition', `attachment; filename="${filename}"`)
+      sendStream(res, body)
+    } catch (err) {
+      sendError(res, err)
     }
   }
 )
@@ -374,6 +854,7 @@ router.put(
  *   put:
  *     tags: [Craft]
  *     summary: Edit craft participant
+ *     description: Documents cannot be changed here; sending a path other than the stored one is refused. They are replaced through PUT /api/crafts/{participant_id}/resubmit while the registration is flagged for revision, which keeps their version history and sends them back for review.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -401,21 +882,17 @@ router.put(
  *                 type: string
  *               isMahasiswaDTSL:
  *                 type: boolean
- *               ktm:
- *                 type: string
- *               payment_proof:
- *                 type: string
  *               email:
  *                 type: string
- *               isVerified:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: Participant edited successfully
  *       404:
  *         description: Participant not found
  *       400:
- *         description: Validation error
+ *         description: Validation error, or a document path differs from the stored one (DOCUMENT_CHANGE_NOT_ALLOWED)
+ *       409:
+ *         description: The new activity_choice has no seats left (QUOTA_FULL, ACTIVITY_QUOTA_FULL)
  *       500:
  *         description: Internal Server Error
  */
@@ -423,13 +900,7 @@ router.put(
 router.put(
   '/crafts/edit/:participant_id',
   authenticateToken,
-  upload.fields([
-    { name: 'bukti_follow_cia', maxCount: 1 },
-    { name: 'bukti_follow_pktsl', maxCount: 1 },
-    { name: 'bukti_story', maxCount: 1 },
-    { name: 'ktm', maxCount: 1 },
-    { name: 'payment_proof', maxCount: 1 },
-  ]),
+  authorize(policies.crafts.edit),
   async (req, res) => {
     try {
       const craft = await Craft.findOne({
@@ -437,55 +908,79 @@ router.put(
       })
 
       if (!craft) {
-        // Delete uploaded files if participant not found
-        if (req.files) {
-          Object.values(req.files).forEach((fileArray) => {
-            fileArray.forEach((file) => {
-              fs.unlinkSync(file.path)
-            })
-          })
-        }
         return res.status(404).json({
           message: 'Peserta craft dengan ID tersebut tidak ditemukan',
         })
       }
 
-      // Delete old files if new ones are uploaded
-      if (req.files.bukti_follow_cia && craft.bukti_follow_cia)
-        fs.unlinkSync(craft.bukti_follow_cia)
-      if (req.files.bukti_follow_pktsl && craft.bukti_follow_pktsl)
-        fs.unlinkSync(craft.bukti_follow_pktsl)
-      if (req.files.bukti_story && craft.bukti_story)
-        fs.unlinkSync(craft.bukti_story)
-      if (req.files.ktm && craft.ktm) fs.unlinkSync(craft.ktm)
-      if (req.files.payment_proof && craft.payment_proof)
-        fs.unlinkSync(craft.payment_proof)
-
-      // Get new file paths
-      const updateData = {
-        ...req.body,
-        bukti_follow_cia: req.files.bukti_follow_cia
-          ? req.files.bukti_follow_cia[0].path
-          : craft.bukti_follow_cia,
-        bukti_follow_pktsl: req.files.bukti_follow_pktsl
-          ? req.files.bukti_follow_pktsl[0].path
-          : craft.bukti_follow_pktsl,
-        bukti_story: req.files.bukti_story
-          ? req.files.bukti_story[0].path
-          : craft.bukti_story,
-        ktm: req.files.ktm ? req.files.ktm[0].path : craft.ktm,
-        payment_proof: req.files.payment_proof
-          ? req.files.payment_proof[0].path
-          : craft.payment_proof,
+      // Review fields only change through the verification workflow, price
+      // and payment state are computed, participants cannot reassign the
+      // record and documents are only replaced by resubmission
+      const {
+        isVerified,
+        isRejected,
+        rejectMessage,
+        status,
+        revision_flags,
+        expected_amount,
+        price_breakdown,
+        payment_status,
+        unique_code,
+        paidAt,
+        user_id,
+        ...editable
+      } = req.body
+      const updateData =
+        isStaff(req.user) && user_id !== undefined
+          ? { ...editable, user_id }
+          : editable
+      const changedDocuments = competition.documents.filter(
+        (field) =>
+          updateData[field] !== undefined && updateData[field] !== craft[field]
+      )
+      if (changedDocuments.length) {
+        return res.status(400).json({
+          message:
+            'Documents can only be replaced by resubmitting while the registration is flagged for revision',
+          error: 'DOCUMENT_CHANGE_NOT_ALLOWED',
+        })
       }
+      competition.documents.forEach((field) => {
+        delete updateData[field]
+      })
 
-      await craft.update(updateData)
+      await sequelize.transaction(async (transaction) => {
+        if (updateData.activity_choice !== undefined) {
+          await assertCanChangeActivity(competition, {
+            transaction,
+            from: craft.activity_choice,
+            to: updateData.activity_choice,
+            holdsSeats: craft.status !== STATUSES.WITHDRAWN,
+          })
+        }
+        await craft.update(updateData, { transaction })
+        if (
+          updateData.activity_choice !== undefined ||
+          updateData.isMahasiswaDTSL !== undefined
+        ) {
+          await pricing.applyPrice(competition, 'craft', craft.participant_id, {
+            transaction,
+          })
+          await craft.reload({ transaction })
+        }
+      })
 
       res.status(200).json({
         message: 'Berhasil memperbarui data peserta craft',
         data: craft,
       })
     } catch (err) {
+      if (err instanceof HttpError) {
+        return res
+          .status(err.status)
+          .json({ message: err.message, error: err.code })
+      }
+
       console.error(err)
       if (err instanceof ValidationError) {
         res.status(400).json({ message: err.message })
@@ -502,6 +997,7 @@ router.put(
  *   delete:
  *     tags: [Craft]
  *     summary: Delete craft participant
+ *     description: Removes the participant and everything registered with it for good. A participant that drops out withdraws through POST /api/crafts/{participant_id}/withdrawals instead, which keeps the record.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -521,6 +1017,7 @@ router.put(
 router.delete(
   '/crafts/delete/:participantId',
   authenticateToken,
+  authorize(policies.crafts.delete),
   async (req, res) => {
     const participantId = req.params.participantId
 
@@ -0,0 +1,255 @@
+const express = require('express')
+const router = express.Router()
+const sequelize = require('../config/database')
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { getCompetitionByEvent } = require('../config/competitions')
+const { isOpen, takenSeats } = require('../services/registrationWindow')
+const { priceList } = require('../services/pricing')
+const Event = require('../models/event')
+const ActivityQuota = require('../models/activityQuota')
+
+const describeEvent = async (event) => {
+  const competition = getCompetitionByEvent(event.event_id)
+  const quotas = await ActivityQuota.findAll({
+    where: { event_id: event.event_id },
+  })
+
+  return {
+    ...event.toJSON(),
+    isOpen: isOpen(event),
+    registered: competition ? await takenSeats(competition) : null,
+    activityQuotas: await Promise.all(
+      quotas.map(async (quota) => ({
+        slot: quota.slot,
+        capacity: quota.capacity,
+        registered: competition
+          ? await takenSeats(competition, undefined, quota.slot)
+          : null,
+      }))
+    ),
+  }
+}
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     tags:
+ *       - Events
+ *     summary: Get all events with their registration window and quota
+ *     responses:
+ *       200:
+ *         description: List of events
+ *       500:
+ *         description: Server error
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const events = await Event.findAll({ order: [['event_id', 'ASC']] })
+    res.json(await Promise.all(events.map(describeEvent)))
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: 'An error occurred' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/events/{event_id}/registration:
+ *   put:
+ *     tags:
+ *       - Events
+ *     summary: Set or extend an event's registration window and quotas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               registration_open:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               registration_close:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               quota:
+ *                 type: integer
+ *                 nullable: true
+ *               activity_quotas:
+ *                 type: object
+ *                 description: Capacity per Craft slot, e.g. offline or online. A null capacity removes the slot limit.
+ *                 additionalProperties:
+ *                   type: integer
+ *                   nullable: true
+ *     responses:
+ *       200:
+ *         description: Registration settings updated
+ *       400:
+ *         description: Invalid date or registration_open not before registration_close (INVALID_WINDOW), or invalid quota
+ *       403:
+ *         description: Not allowed to manage this event
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/events/:event_id/registration',
+  authenticateToken,
+  authorize(policies.events.manage),
+  async (req, res) => {
+    try {
+      const event = await Event.findByPk(req.params.event_id)
+      const changes = {}
+      for (const field of [
+        'registration_open',
+        'registration_close',
+        'quota',
+      ]) {
+        if (req.body[field] !== undefined) changes[field] = req.body[field]
+      }
+
+      for (const field of ['registration_open', 'registration_close']) {
+        const value = changes[field]
+        if (value === undefined || value === null) continue
+        if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+          return res.status(400).json({
+            message: `${field} must be a date-time string or null`,
+            error: 'INVALID_WINDOW',
+          })
+        }
+        changes[field] = new Date(value)
+      }
+
+      const open =
+        changes.registration_open !== undefined
+          ? changes.registration_open
+          : event.registration_open
+      const close =
+        changes.registration_close !== undefined
+          ? changes.registration_close
+          : event.registration_close
+
+      if (open && close && new Date(open) >= new Date(close)) {
+        return res.status(400).json({
+          message: 'registration_open must be before registration_close',
+          error: 'INVALID_WINDOW',
+        })
+      }
+
+      if (
+        changes.quota !== undefined &&
+        changes.quota !== null &&
+        !(Number.isInteger(changes.quota) && changes.quota >= 0)
+      ) {
+        return res.status(400).json({
+          message: 'quota must be a non-negative integer or null',
+          error: 'INVALID_QUOTA',
+        })
+      }
+
+      const activityQuotas = req.body.activity_quotas || {}
+      const competition = getCompetitionByEvent(event.event_id)
+      const slots =
+        competition && competition.activities
+          ? Object.values(competition.activities).map(
+              (activity) => activity.slot
+            )
+          : []
+
+      for (const [slot, capacity] of Object.entries(activityQuotas)) {
+        if (!slots.includes(slot)) {
+          return res.status(400).json({
+            message: `Unknown activity slot: ${slot}`,
+            error: 'INVALID_ACTIVITY_SLOT',
+          })
+        }
+        if (
+          capacity !== null &&
+          !(Number.isInteger(capacity) && capacity >= 0)
+        ) {
+          return res.status(400).json({
+            message: `Capacity for ${slot} must be a non-negative integer or null`,
+            error: 'INVALID_QUOTA',
+          })
+        }
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await event.update(changes, { transaction })
+
+        for (const [slot, capacity] of Object.entries(activityQuotas)) {
+          if (capacity === null) {
+            await ActivityQuota.destroy({
+              where: { event_id: event.event_id, slot },
+              transaction,
+            })
+          } else {
+            await ActivityQuota.upsert(
+              { event_id: event.event_id, slot, capacity },
+              { transaction }
+            )
+          }
+        }
+      })
+
+      res.json({
+        message: 'Registration settings updated successfully',
+        data: await describeEvent(event),
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: 'An error occurred' })
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/pricing:
+ *   get:
+ *     tags:
+ *       - Events
+ *     summary: Get the registration fees of an event
+ *     description: Fees per registration period with the period currently in force, and the refund policy (percent refunded to withdrawals requested up to each date). Craft also lists its activities, group bundle discounts and the DTSL student discount, all in percent.
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Price list
+ *       404:
+ *         description: No competition for this event
+ *       500:
+ *         description: Server error
+ */
+router.get('/events/:event_id/pricing', (req, res) => {
+  try {
+    const competition = getCompetitionByEvent(req.params.event_id)
+    if (!competition) {
+      return res.status(404).json({ message: 'Event not found' })
+    }
+    res.json(priceList(competition))
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: 'An error occurred' })
+  }
+})
+
+module.exports = router
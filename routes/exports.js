@@ -0,0 +1,212 @@
+const express = require('express')
+const router = express.Router()
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { getCompetitionByEvent } = require('../config/competitions')
+const HttpError = require('../utils/httpError')
+const participantExport = require('../services/participantExport')
+const documentBundle = require('../services/documentBundle')
+const { sendError } = require('../controllers/teamController')
+
+const competitionOf = (req) => {
+  const competition = getCompetitionByEvent(req.resource.event_id)
+  if (!competition) {
+    throw new HttpError(404, 'No competition for this event', 'NOT_FOUND')
+  }
+  return competition
+}
+
+/**
+ * @swagger
+ * /api/events/{event_id}/participants/export/columns:
+ *   get:
+ *     tags:
+ *       - Exports
+ *     summary: List the columns available in a participant export
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Column keys; document columns are exported as download links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   key:
+ *                     type: string
+ *                   document:
+ *                     type: boolean
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/participants/export/columns',
+  authenticateToken,
+  authorize(policies.events.export),
+  async (req, res) => {
+    try {
+      res.json(
+        participantExport
+          .exportColumns(competitionOf(req))
+          .map(({ key, type }) => ({ key, document: type === 'document' }))
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/participants/export:
+ *   get:
+ *     tags:
+ *       - Exports
+ *     summary: Export the participants of an event as CSV or XLSX
+ *     description: Team competitions export one row per member, Craft one row per participant. Documents are exported as absolute download links signed for the requesting user, valid for EXPORT_LINK_TTL seconds (12 hours by default), longer than other signed links but kept short because exports get forwarded. Export again for fresh links.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         description: Comma separated column keys, in output order. All columns by default.
+ *         schema:
+ *           type: string
+ *           example: registration_number,team_name,full_name,phone_number
+ *       - in: query
+ *         name: status
+ *         description: Comma separated verification statuses
+ *         schema:
+ *           type: string
+ *           example: verified,rejected
+ *       - in: query
+ *         name: institution
+ *         description: Part of the institution name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown format, column or status
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/participants/export',
+  authenticateToken,
+  authorize(policies.events.export),
+  async (req, res) => {
+    try {
+      const plan = participantExport.prepareExport(
+        competitionOf(req),
+        req.query
+      )
+      await participantExport.streamExport(plan, res, {
+        userId: req.user.user_id,
+        req,
+      })
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(error)
+        return res.destroy(error)
+      }
+      res.removeHeader('Content-Disposition')
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/events/{event_id}/documents/zip:
+ *   get:
+ *     tags:
+ *       - Exports
+ *     summary: Download the documents of every registration of an event as a ZIP
+ *     description: Each team (or Craft participant) gets a folder with readable file names such as Leader_Budi_Santoso_KTM.pdf. manifest.csv lists every document and whether it was found in storage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         description: Comma separated verification statuses
+ *         schema:
+ *           type: string
+ *           example: submitted,resubmitted
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: No registrations found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/events/:event_id/documents/zip',
+  authenticateToken,
+  authorize(policies.events.export),
+  async (req, res) => {
+    try {
+      await documentBundle.streamEventBundle(
+        competitionOf(req),
+        { statuses: participantExport.statusFilter(req.query.status) },
+        res,
+        { userId: req.user.user_id, req }
+      )
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(error)
+        return res.destroy(error)
+      }
+      sendError(res, error)
+    }
+  }
+)
+
+module.exports = router
@@ -0,0 +1,134 @@
+const express = require('express')
+const router = express.Router()
+const path = require('path')
+const storage = require('../services/storage')
+const sendStream = require('../utils/sendStream')
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const {
+  signUrl,
+  verifySignedUrl,
+  logAccess,
+} = require('../services/fileAccess')
+
+/**
+ * @swagger
+ * /api/files/sign:
+ *   get:
+ *     tags:
+ *       - Files
+ *     summary: Get a short-lived download link for an uploaded document
+ *     description: Only the owner of the registration the file belongs to and the committee of its event can request a link.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: path
+ *         required: true
+ *         description: Stored file path, e.g. cic/leader_ktm-1712345678-123.png
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signed download URL and its expiry
+ *       403:
+ *         description: Not allowed to access this file
+ *       404:
+ *         description: File does not belong to any registration
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/files/sign',
+  authenticateToken,
+  authorize(policies.files.sign),
+  async (req, res) => {
+    try {
+      await logAccess({
+        filePath: req.query.path,
+        userId: req.user.user_id,
+        action: 'sign',
+        req,
+      })
+
+      res.json(signUrl(req.query.path, req.user.user_id))
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: 'An error occurred' })
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/files/download:
+ *   get:
+ *     tags:
+ *       - Files
+ *     summary: Download an uploaded document through a signed link
+ *     parameters:
+ *       - in: query
+ *         name: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       403:
+ *         description: Link is invalid or has expired
+ *       404:
+ *         description: File not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/files/download', async (req, res) => {
+  try {
+    if (!verifySignedUrl(req.query)) {
+      return res.status(403).json({
+        message: 'Download link is invalid or has expired',
+        error: 'INVALID_FILE_URL',
+      })
+    }
+
+    if (
+      !storage.toKey(req.query.path) ||
+      !(await storage.exists(req.query.path))
+    ) {
+      return res.status(404).json({ message: 'File not found' })
+    }
+
+    await logAccess({
+      filePath: req.query.path,
+      userId: Number(req.query.uid),
+      action: 'download',
+      req,
+    })
+
+    const body = await storage.get(req.query.path)
+    res.set('Cache-Control', 'private, no-store')
+    res.type(path.extname(req.query.path))
+    sendStream(res, body)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: 'An error occurred' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,596 @@
+const express = require('express')
+const multer = require('multer')
+const router = express.Router()
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const reconciliation = require('../services/reconciliation')
+const onlinePayments = require('../services/onlinePayments')
+const { csvLine, CSV_BOM } = require('../utils/csv')
+const HttpError = require('../utils/httpError')
+const { sendError } = require('../controllers/teamController')
+
+// Statements are parsed straight from memory and never stored as files
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single('statement')
+
+const readStatement = (req, res, next) =>
+  statementUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: `statement: ${err.message}`,
+        error: 'INVALID_UPLOAD',
+      })
+    }
+    next(err)
+  })
+
+/**
+ * @swagger
+ * /api/payments/bank-imports:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Import a bank statement CSV and propose matches
+ *     description: Reads the incoming transfers of the statement (BCA, Mandiri, BNI and BRI exports, comma or semicolon separated) and proposes the unpaid team or Craft registration each one pays, by transfer amount (price plus unique code), registration number in the transfer note, or team, leader or participant name. Transfers imported before are skipped. Nothing is marked paid until a match is confirmed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - statement
+ *             properties:
+ *               statement:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Import with its transactions, proposed matches and counts per status
+ *       400:
+ *         description: Missing file or no transaction table found in it
+ *       403:
+ *         description: Only super admins reconcile payments
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/payments/bank-imports',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  readStatement,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        throw new HttpError(400, 'Missing statement file', 'STATEMENT_MISSING')
+      }
+      const bankImport = await reconciliation.importStatement({
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        userId: req.user.user_id,
+      })
+      res.status(201).json(bankImport)
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-imports:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List bank statement imports
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imports, newest first, with their counts per transaction status
+ *       403:
+ *         description: Only super admins reconcile payments
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/payments/bank-imports',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      res.json(await reconciliation.listImports())
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-imports/{import_id}:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Get an import with its transactions and proposed matches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: import_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import with its transactions
+ *       404:
+ *         description: Import not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/payments/bank-imports/:import_id',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      res.json(await reconciliation.getImport(req.params.import_id))
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-transactions/unmatched:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Report of transfers no registration was matched to
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: import_id
+ *         schema:
+ *           type: integer
+ *         description: Only transfers of this import
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *     responses:
+ *       200:
+ *         description: Unmatched transfers, oldest first
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/payments/bank-transactions/unmatched',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      const transactions = await reconciliation.unmatchedTransactions({
+        importId: req.query.import_id,
+      })
+      if (req.query.format !== 'csv') {
+        return res.json(transactions)
+      }
+
+      const columns = [
+        'transaction_id',
+        'import_id',
+        'posted_at',
+        'description',
+        'amount',
+      ]
+      res.set('Content-Type', 'text/csv; charset=utf-8')
+      res.set(
+        'Content-Disposition',
+        'attachment; filename="unmatched-transactions.csv"'
+      )
+      res.send(
+        CSV_BOM +
+          [
+            columns,
+            ...transactions.map((item) =>
+              columns.map((column) => item[column])
+            ),
+          ]
+            .map(csvLine)
+            .join('')
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-transactions/{transaction_id}/confirm:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Confirm the registration a transfer pays and mark it paid
+ *     description: Without a body the proposed match is confirmed. Send entity_type and entity_id to match a transfer by hand.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transaction_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               entity_type:
+ *                 type: string
+ *                 enum: [team, craft]
+ *               entity_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Transaction confirmed and registration marked paid
+ *       400:
+ *         description: No proposed match and no registration given
+ *       404:
+ *         description: Transaction or registration not found
+ *       409:
+ *         description: Transaction already confirmed or registration already paid
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/payments/bank-transactions/:transaction_id/confirm',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      const transaction = await reconciliation.confirm(
+        req.params.transaction_id,
+        {
+          entityType: req.body.entity_type,
+          entityId: req.body.entity_id,
+          actorId: req.user.user_id,
+        }
+      )
+      res.json({ message: 'Payment confirmed', data: transaction })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-transactions/{transaction_id}/reject:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Reject a proposed match
+ *     description: The transfer becomes unmatched and can be matched by hand.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transaction_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Proposal rejected
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction has no proposed match or is already confirmed
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/payments/bank-transactions/:transaction_id/reject',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      const transaction = await reconciliation.dismiss(
+        req.params.transaction_id,
+        reconciliation.TRANSACTION_STATUSES.UNMATCHED
+      )
+      res.json({ message: 'Proposed match rejected', data: transaction })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/payments/bank-transactions/{transaction_id}/ignore:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Ignore a transfer that pays no registration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transaction_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transaction ignored
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction is already confirmed
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/payments/bank-transactions/:transaction_id/ignore',
+  authenticateToken,
+  authorize(policies.payments.reconcile),
+  async (req, res) => {
+    try {
+      const transaction = await reconciliation.dismiss(
+        req.params.transaction_id,
+        reconciliation.TRANSACTION_STATUSES.IGNORED
+      )
+      res.json({ message: 'Transaction ignored', data: transaction })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+const chargeHandler = (entityType, idParam) => async (req, res) => {
+  try {
+    const { payment, created } = await onlinePayments.createCharge(
+      entityType,
+      req.params[idParam],
+      { userId: req.user.user_id }
+    )
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Payment created' : 'Pending payment reused',
+      data: payment,
+    })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
+
+const listHandler = (entityType, idParam) => async (req, res) => {
+  try {
+    res.json(await onlinePayments.listPayments(entityType, req.params[idParam]))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/payments:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Pay a team registration online
+ *     description: Creates a charge at the payment gateway for the team's expected_amount and returns its checkout_url. A pending charge that has not expired is returned instead of creating another one. With the mock gateway checkout_url is null; use the simulate endpoint.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Existing pending payment
+ *       201:
+ *         description: Payment created
+ *       400:
+ *         description: Registration has nothing to pay
+ *       403:
+ *         description: Only the registering account pays
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: Already paid, rejected or withdrawn, or another request is still creating a charge (CHARGE_IN_PROGRESS)
+ *       502:
+ *         description: Payment gateway error
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List the online payments of a team
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ *       404:
+ *         description: Team not found
+ */
+router.post(
+  '/teams/:team_id/payments',
+  authenticateToken,
+  authorize(policies.teams.pay),
+  chargeHandler('team', 'team_id')
+)
+router.get(
+  '/teams/:team_id/payments',
+  authenticateToken,
+  authorize(policies.teams.read),
+  listHandler('team', 'team_id')
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/payments:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Pay a Craft registration online
+ *     description: Same as for teams, for the participant's expected_amount.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Existing pending payment
+ *       201:
+ *         description: Payment created
+ *       400:
+ *         description: Registration has nothing to pay
+ *       403:
+ *         description: Only the registering account pays
+ *       404:
+ *         description: Participant not found
+ *       409:
+ *         description: Already paid, rejected or withdrawn, or another request is still creating a charge (CHARGE_IN_PROGRESS)
+ *       502:
+ *         description: Payment gateway error
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List the online payments of a Craft participant
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ *       404:
+ *         description: Participant not found
+ */
+router.post(
+  '/crafts/:participant_id/payments',
+  authenticateToken,
+  authorize(policies.crafts.pay),
+  chargeHandler('craft', 'participant_id')
+)
+router.get(
+  '/crafts/:participant_id/payments',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  listHandler('craft', 'participant_id')
+)
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Payment gateway notifications
+ *     description: Called by the configured gateway for settlement, expiry, failure and refund events. The signature is verified over the raw body. Redelivered events and events that do not apply to the payment's current state change nothing.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed; result is applied, ignored, duplicate, amount_mismatch or unknown_order
+ *       400:
+ *         description: Malformed payload
+ *       401:
+ *         description: Invalid signature
+ *       500:
+ *         description: Server error
+ */
+router.post('/payments/webhook', async (req, res) => {
+  try {
+    res.json(await onlinePayments.handleWebhook(req.rawBody, req.headers))
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/payments/{payment_id}/simulate:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Simulate a gateway event for a payment (mock gateway only)
+ *     description: Sends a signed webhook through the same handler the real gateway calls, so the whole flow can be tested offline.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payment_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - event
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [settlement, expire, failure, refund]
+ *     responses:
+ *       200:
+ *         description: Webhook result and the updated payment
+ *       400:
+ *         description: Unknown event
+ *       404:
+ *         description: Payment not found, or the gateway is not the mock
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/payments/:payment_id/simulate',
+  authenticateToken,
+  authorize(policies.payments.simulate),
+  async (req, res) => {
+    try {
+      res.json(
+        await onlinePayments.simulate(req.params.payment_id, req.body.event)
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+module.exports = router
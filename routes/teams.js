@@ -3,7 +3,20 @@ const router = express.Router()
 const { QueryTypes } = require('sequelize')
 const sequelize = require('../config/database')
 const authenticateToken = require('../middleware/authenticateToken')
-const { Team } = require('../models/team')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { EVENT_SCOPED_ROLES, roleOf } = require('../config/roles')
+const registration = require('../services/teamRegistration')
+const verification = require('../services/verification')
+const { STATUSES, actorKindsFor } = verification
+const HttpError = require('../utils/httpError')
+const sendStream = require('../utils/sendStream')
+const { getCompetitionByEvent } = require('../config/competitions')
+const { normalizeFlags } = require('../services/documents')
+const documentReview = require('../services/documentReview')
+const receipts = require('../services/receipt')
+const documentBundle = require('../services/documentBundle')
+const { sendError } = require('../controllers/teamController')
 
 /**
  * @swagger
@@ -40,45 +53,57 @@ const { Team } = require('../models/team')
  *       500:
  *         description: Server error
  */
-router.get('/teams', authenticateToken, async (req, res) => {
-  try {
-    const teams = await sequelize.query(`SELECT * FROM teams`, {
-      type: QueryTypes.SELECT,
-    })
+router.get(
+  '/teams',
+  authenticateToken,
+  authorize(policies.teams.listAll),
+  async (req, res) => {
+    try {
+      const scoped = EVENT_SCOPED_ROLES.includes(roleOf(req.user))
+      const teams = await sequelize.query(
+        scoped
+          ? `SELECT * FROM teams WHERE event_id = :eventId`
+          : `SELECT * FROM teams`,
+        {
+          replacements: { eventId: req.user.eventId || null },
+          type: QueryTypes.SELECT,
+        }
+      )
 
-    if (!teams.length) {
-      return res.status(404).json({ message: 'Tidak ada tim ditemukan' })
-    }
+      if (!teams.length) {
+        return res.status(404).json({ message: 'Tidak ada tim ditemukan' })
+      }
 
-    const result = await Promise.all(
-      teams.map(async (team) => {
-        const members = await sequelize.query(
-          `SELECT * FROM Members WHERE team_id = :teamId ORDER BY is_leader DESC`,
-          {
-            replacements: { teamId: team.team_id },
-            type: QueryTypes.SELECT,
-          }
-        )
+      const result = await Promise.all(
+        teams.map(async (team) => {
+          const members = await sequelize.query(
+            `SELECT * FROM Members WHERE team_id = :teamId ORDER BY is_leader DESC`,
+            {
+              replacements: { teamId: team.team_id },
+              type: QueryTypes.SELECT,
+            }
+          )
 
-        const leader = members.find((member) => member.is_leader === 1)
-        const memberList = members.filter((member) => member.is_leader === 0)
+          const leader = members.find((member) => member.is_leader === 1)
+          const memberList = members.filter((member) => member.is_leader === 0)
 
-        return {
-          team,
-          leader,
-          members: memberList,
-        }
-      })
-    )
+          return {
+            team,
+            leader,
+            members: memberList,
+          }
+        })
+      )
 
-    res.json(result)
-  } catch (error) {
-    res.status(500).json({
-      message: 'An error occurred',
-      error: error.message,
-    })
+      res.json(result)
+    } catch (error) {
+      res.status(500).json({
+        message: 'An error occurred',
+        error: error.message,
+      })
+    }
   }
-})
+)
 
 /**
  * @swagger
@@ -87,57 +112,62 @@ router.get('/teams', authenticateToken, async (req, res) => {
  *     tags:
  *       - Teams
  *     summary: Verify a team
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: team_id
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Team successfully verified
  *       404:
  *         description: Team not found
+ *       409:
+ *         description: Team cannot be verified from its current status, or a document is still pending or rejected in the review checklist (DOCUMENTS_NOT_APPROVED)
  *       500:
  *         description: Server error
  */
-router.put('/teams/:team_id/verify', async (req, res) => {
-  try {
-    const team = await sequelize.query(
-      'SELECT * FROM teams WHERE team_id = :team_id',
-      {
-        replacements: { team_id: req.params.team_id },
-        type: QueryTypes.SELECT,
-      }
-    )
+router.put(
+  '/teams/:team_id/verify',
+  authenticateToken,
+  authorize(policies.teams.review),
+  async (req, res) => {
+    try {
+      const competition = getCompetitionByEvent(req.resource.event_id)
+      await documentReview.transition(competition, {
+        entityType: 'team',
+        entityId: req.params.team_id,
+        to: STATUSES.VERIFIED,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.note,
+      })
 
-    if (!team || team.length === 0) {
-      return res.status(404).json({
+      res.status(200).json({
+        status: 'success',
+        message: 'Tim Berhasil Diverifikasi',
+      })
+    } catch (error) {
+      if (error instanceof HttpError) return sendError(res, error)
+      console.error(error)
+      res.status(500).json({
         status: 'error',
-        message: 'Tim tidak ditemukan',
+        message: 'Kesalahan saat memverifikasi tim',
       })
     }
-
-    await sequelize.query(
-      'UPDATE teams SET isVerified = true WHERE team_id = :team_id',
-      {
-        replacements: { team_id: req.params.team_id },
-        type: QueryTypes.UPDATE,
-      }
-    )
-
-    res.status(200).json({
-      status: 'success',
-      message: 'Tim Berhasil Diverifikasi',
-    })
-  } catch (error) {
-    console.error(error)
-    res.status(500).json({
-      status: 'error',
-      message: 'Kesalahan saat memverifikasi tim',
-    })
   }
-})
+)
 
 /**
  * @swagger
@@ -146,6 +176,7 @@ router.put('/teams/:team_id/verify', async (req, res) => {
  *     tags:
  *       - Teams
  *     summary: Update team and member information
+ *     description: The editable fields are the competition's teamFields, memberFields and extras fields in config/competitions.js. Documents cannot be changed here; sending a path other than the stored one is refused. They are replaced through the competition's resubmit route while the team is flagged for revision, which keeps their version history and sends them back for review.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -169,64 +200,31 @@ router.put('/teams/:team_id/verify', async (req, res) => {
  *     responses:
  *       200:
  *         description: Team updated successfully
+ *       400:
+ *         description: A document path differs from the stored one (DOCUMENT_CHANGE_NOT_ALLOWED), or the team name is taken in this event (TEAM_NAME_EXISTS)
  *       500:
  *         description: Server error
  */
-router.put('/teams/update', authenticateToken, async (req, res) => {
-  try {
-    const { team, leader, members } = req.body
-
-    await sequelize.query(
-      `UPDATE teams SET team_name = :team_name, institution_name = :institution_name, payment_proof = :payment_proof, user_id = :user_id, email = :email WHERE team_id = :team_id`,
-      {
-        replacements: {
-          team_name: team.team_name,
-          institution_name: team.institution_name,
-          payment_proof: team.payment_proof,
-          user_id: team.user_id,
-          email: team.email,
-          team_id: team.team_id,
-        },
-        type: QueryTypes.UPDATE,
-      }
-    )
+router.put(
+  '/teams/update',
+  authenticateToken,
+  authorize(policies.teams.update),
+  async (req, res) => {
+    try {
+      await registration.updateTeam(
+        getCompetitionByEvent(req.resource.event_id),
+        req.body,
+        req.resource.user_id
+      )
 
-    await sequelize.query(
-      `UPDATE members SET full_name = :full_name, department = :department, batch = :batch, phone_number = :phone_number, line_id = :line_id, email = :email, ktm = :ktm, active_student_letter = :active_student_letter, photo = :photo, twibbon_and_poster_link = :twibbon_and_poster_link WHERE member_id = :member_id`,
-      {
-        replacements: {
-          ...leader,
-          member_id: leader.member_id,
-        },
-        type: QueryTypes.UPDATE,
-      }
-    )
-
-    await Promise.all(
-      members.map(async (member) => {
-        await sequelize.query(
-          `UPDATE members SET full_name = :full_name, department = :department, batch = :batch, phone_number = :phone_number, line_id = :line_id, email = :email, ktm = :ktm, active_student_letter = :active_student_letter, photo = :photo, twibbon_and_poster_link = :twibbon_and_poster_link WHERE member_id = :member_id`,
-          {
-            replacements: {
-              ...member,
-              member_id: member.member_id,
-            },
-            type: QueryTypes.UPDATE,
-          }
-        )
+      res.status(200).json({
+        message: 'Team and members updated successfully',
       })
-    )
-
-    res.status(200).json({
-      message: 'Team and members updated successfully',
-    })
-  } catch (error) {
-    res.status(500).json({
-      message: 'An error occurred',
-      error: error.message,
-    })
+    } catch (error) {
+      sendError(res, error)
+    }
   }
-})
+)
 
 /**
  * @swagger
@@ -252,38 +250,452 @@ router.put('/teams/update', authenticateToken, async (req, res) => {
  *             properties:
  *               rejectMessage:
  *                 type: string
+ *               flags:
+ *                 type: object
+ *                 description: Documents and fields the participant has to fix, kept for rejections and revision requests. Documents use upload field names such as leader_ktm, fields use keys such as team.team_name.
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
  *     responses:
  *       200:
  *         description: Team rejection updated successfully
+ *       409:
+ *         description: Team cannot be rejected from its current status
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/teams/:team_id/reject',
+  authenticateToken,
+  authorize(policies.teams.review),
+  async (req, res) => {
+    try {
+      await verification.transition({
+        entityType: 'team',
+        entityId: req.params.team_id,
+        to: STATUSES.REJECTED,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.rejectMessage,
+        flags: normalizeFlags(
+          getCompetitionByEvent(req.resource.event_id),
+          req.body.flags
+        ),
+      })
+
+      res.status(200).json({
+        message: 'Team rejection status updated successfully',
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/status:
+ *   put:
+ *     tags:
+ *       - Teams
+ *     summary: Move a team to another verification status
+ *     description: Allowed transitions are defined in services/verification.js. Committee members review and team owners submit. Resubmitting goes through the competition's resubmit endpoint and withdrawing through POST /api/teams/{team_id}/withdrawals, so both are answered 409 here.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, submitted, under_review, revision_requested, verified, rejected]
+ *               note:
+ *                 type: string
+ *               flags:
+ *                 type: object
+ *                 description: Documents and fields the participant has to fix, kept for rejections and revision requests. Documents use upload field names such as leader_ktm, fields use keys such as team.team_name.
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: Transition not allowed, or verified was requested while a document is still pending or rejected (DOCUMENTS_NOT_APPROVED)
  *       500:
  *         description: Server error
  */
-router.put('/teams/:team_id/reject', authenticateToken, async (req, res) => {
-  try {
-    const { rejectMessage } = req.body
-    const { team_id } = req.params
+router.put(
+  '/teams/:team_id/status',
+  authenticateToken,
+  authorize(policies.teams.transition),
+  async (req, res) => {
+    try {
+      const competition = getCompetitionByEvent(req.resource.event_id)
+      const result = await documentReview.transition(competition, {
+        entityType: 'team',
+        entityId: req.params.team_id,
+        to: req.body.status,
+        actorId: req.user.user_id,
+        actorKinds: actorKindsFor(req.user, req.resource),
+        note: req.body.note,
+        flags: normalizeFlags(competition, req.body.flags),
+      })
 
-    await sequelize.query(
-      `UPDATE teams SET isRejected = :isRejected, rejectMessage = :rejectMessage WHERE team_id = :team_id`,
-      {
-        replacements: {
-          isRejected: true,
-          rejectMessage: rejectMessage,
-          team_id: team_id,
-        },
-        type: QueryTypes.UPDATE,
+      res.status(200).json({
+        message: 'Team status updated successfully',
+        data: result,
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/history:
+ *   get:
+ *     tags:
+ *       - Teams
+ *     summary: Get a team's verification history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Status changes with actor, timestamp and note
+ *       404:
+ *         description: Team not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/teams/:team_id/history',
+  authenticateToken,
+  authorize(policies.teams.read),
+  async (req, res) => {
+    try {
+      const history = await verification.getHistory('team', req.params.team_id)
+      res.json({ data: history })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/documents:
+ *   get:
+ *     tags:
+ *       - Teams
+ *     summary: Get the document review checklist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Uploaded documents with their review status and a count per status
+ *       404:
+ *         description: Registration not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/teams/:team_id/documents',
+  authenticateToken,
+  authorize(policies.teams.read),
+  async (req, res) => {
+    try {
+      res.json(
+        await documentReview.getChecklist(
+          getCompetitionByEvent(req.resource.event_id),
+          'team',
+          req.params.team_id
+        )
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/documents/zip:
+ *   get:
+ *     tags:
+ *       - Teams
+ *     summary: Download every document of a team as a ZIP
+ *     description: Files are named like TeamName/Leader_Budi_Santoso_KTM.pdf. manifest.csv lists every document and whether it was found in storage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Team not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/teams/:team_id/documents/zip',
+  authenticateToken,
+  authorize(policies.teams.read),
+  async (req, res) => {
+    try {
+      await documentBundle.streamRegistrationBundle(
+        getCompetitionByEvent(req.resource.event_id),
+        req.resource.team_id,
+        res,
+        { userId: req.user.user_id, req }
+      )
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(error)
+        return res.destroy(error)
       }
-    )
+      sendError(res, error)
+    }
+  }
+)
 
-    res.status(200).json({
-      message: 'Team rejection status updated successfully',
-    })
-  } catch (error) {
-    res.status(500).json({
-      message: 'An error occurred',
-      error: error.message,
-    })
+/**
+ * @swagger
+ * /api/teams/{team_id}/documents/{document_key}/review:
+ *   put:
+ *     tags:
+ *       - Teams
+ *     summary: Approve or reject one uploaded document
+ *     description: Once no document is pending the registration is verified when every document is approved, or sent back for revision with the rejected documents flagged and listed in the rejection message.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: document_key
+ *         required: true
+ *         description: Upload field name, e.g. leader_ktm or payment_proof
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Updated checklist and the resulting registration status
+ *       400:
+ *         description: Invalid status or missing reason
+ *       404:
+ *         description: Registration or document not found
+ *       409:
+ *         description: Registration is not awaiting review
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/teams/:team_id/documents/:document_key/review',
+  authenticateToken,
+  authorize(policies.teams.review),
+  async (req, res) => {
+    try {
+      const result = await documentReview.reviewDocument(
+        getCompetitionByEvent(req.resource.event_id),
+        {
+          entityType: 'team',
+          entityId: req.params.team_id,
+          documentKey: req.params.document_key,
+          status: req.body.status,
+          reason: req.body.reason,
+          reviewerId: req.user.user_id,
+        }
+      )
+      res.json({ message: 'Document review saved', data: result })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/receipt:
+ *   get:
+ *     tags:
+ *       - Teams
+ *     summary: Download the registration receipt as PDF
+ *     description: The receipt shows the registration number, registrant, members, fee breakdown and verification status. It is regenerated whenever the status changes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Registration not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/teams/:team_id/receipt',
+  authenticateToken,
+  authorize(policies.teams.read),
+  async (req, res) => {
+    try {
+      const { body, filename } = await receipts.openReceipt(
+        getCompetitionByEvent(req.resource.event_id),
+        'team',
+        req.resource.team_id
+      )
+      res.set('Content-Type', 'application/pdf')
+      res.set('Content-Disposition', `attachment; filename="${filename}"`)
+      sendStream(res, body)
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/award:
+ *   put:
+ *     tags:
+ *       - Teams
+ *     summary: Set or clear the award of a team
+ *     description: Members of a verified team with an award receive a winner certificate instead of a participant certificate.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               award:
+ *                 type: string
+ *                 nullable: true
+ *                 description: e.g. Juara 1; null clears the award
+ *     responses:
+ *       200:
+ *         description: Award saved
+ *       400:
+ *         description: Invalid award
+ *       404:
+ *         description: Team not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/teams/:team_id/award',
+  authenticateToken,
+  authorize(policies.teams.review),
+  async (req, res) => {
+    try {
+      const { award } = req.body
+      if (award !== null && (typeof award !== 'string' || !award.trim())) {
+        throw new HttpError(
+          400,
+          'award must be a non-empty string or null',
+          'INVALID_AWARD'
+        )
+      }
+
+      await sequelize.query(
+        `UPDATE teams SET award = :award WHERE team_id = :teamId`,
+        {
+          replacements: {
+            award: award && award.trim(),
+            teamId: req.resource.team_id,
+          },
+          type: QueryTypes.UPDATE,
+        }
+      )
+      res.json({ message: 'Award saved', award: award && award.trim() })
+    } catch (error) {
+      sendError(res, error)
+    }
   }
-})
+)
 
 module.exports = router
@@ -4,15 +4,26 @@ const router = express.Router()
 const sequelize = require('../config/database')
 const Sequelize = require('sequelize')
 const saltRounds = 10
-const jwt = require('jsonwebtoken')
 const authenticateToken = require('../middleware/authenticateToken')
+const rateLimit = require('../middleware/rateLimit')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { ROLES } = require('../config/roles')
 const { QueryTypes } = require('sequelize')
+const passwordReset = require('../services/passwordReset')
+const emailVerification = require('../services/emailVerification')
+const sessions = require('../services/sessions')
+const loginThrottle = require('../services/loginThrottle')
+const { sendError } = require('../controllers/teamController')
 
 const User = require('../models/user')
 
-// JWT secret key - should be moved to environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key'
-const JWT_EXPIRES_IN = '24h'
+// Device details kept with a session so users can tell their logins apart
+const clientOf = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip })
+
+// Compared against when no user matches, so an unknown username takes as
+// long to refuse as a wrong password
+const NO_USER_HASH = bcrypt.hashSync('no-such-user', saltRounds)
 
 /**
  * @swagger
@@ -31,19 +42,24 @@ const JWT_EXPIRES_IN = '24h'
  *       500:
  *         description: Server error
  */
-router.get('/user', authenticateToken, async (req, res) => {
-  try {
-    const users = await User.findAll()
-    if (users.length === 0) {
-      res.status(404).json({ message: 'No users found' })
-    } else {
-      res.json(users)
+router.get(
+  '/user',
+  authenticateToken,
+  authorize(policies.users.list),
+  async (req, res) => {
+    try {
+      const users = await User.findAll()
+      if (users.length === 0) {
+        res.status(404).json({ message: 'No users found' })
+      } else {
+        res.json(users)
+      }
+    } catch (err) {
+      console.error(err)
+      res.status(500).json({ message: 'An error occurred' })
     }
-  } catch (err) {
-    console.error(err)
-    res.status(500).json({ message: 'An error occurred' })
   }
-})
+)
 
 /**
  * @swagger
@@ -69,22 +85,27 @@ router.get('/user', authenticateToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/user/:user_id', authenticateToken, async (req, res) => {
-  try {
-    const user_id = req.params.user_id
-    const user = await User.findByPk(user_id)
-    if (!user) {
-      res.status(404).json({
-        message: 'No user found with the provided user_id',
-      })
-    } else {
-      res.json(user)
+router.get(
+  '/user/:user_id',
+  authenticateToken,
+  authorize(policies.users.read),
+  async (req, res) => {
+    try {
+      const user_id = req.params.user_id
+      const user = await User.findByPk(user_id)
+      if (!user) {
+        res.status(404).json({
+          message: 'No user found with the provided user_id',
+        })
+      } else {
+        res.json(user)
+      }
+    } catch (err) {
+      console.error(err)
+      res.status(500).json({ message: 'An error occurred' })
     }
-  } catch (err) {
-    console.error(err)
-    res.status(500).json({ message: 'An error occurred' })
   }
-})
+)
 
 /**
  * @swagger
@@ -93,6 +114,7 @@ router.get('/user/:user_id', authenticateToken, async (req, res) => {
  *     tags:
  *       - Users
  *     summary: Register a new user
+ *     description: Emails a confirmation link for the address (see POST /api/user/verify-email). The account can log in straight away; with REQUIRE_VERIFIED_EMAIL on it cannot register teams or Craft participants until the address is verified.
  *     requestBody:
  *       required: true
  *       content:
@@ -110,23 +132,21 @@ router.get('/user/:user_id', authenticateToken, async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
- *               isAdmin:
- *                 type: boolean
- *               eventId:
- *                 type: integer
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created and logged in, with the same tokens as login
  *       400:
  *         description: Missing required fields
  *       409:
  *         description: Username or email already exists
+ *       429:
+ *         description: Too many registrations from this address; Retry-After gives the seconds to wait
  *       500:
  *         description: Server error
  */
-router.post('/user/register', async (req, res) => {
+router.post('/user/register', rateLimit('register'), async (req, res) => {
   try {
-    let { username, email, password, isAdmin, eventId } = req.body
+    const { username, email, password } = req.body
 
     if (!username || !email || !password) {
       return res.status(400).json({
@@ -136,41 +156,26 @@ router.post('/user/register', async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, saltRounds)
 
-    if (!eventId) {
-      eventId = null
-    }
-
-    if (!isAdmin) {
-      isAdmin = false
-    }
-
+    // Roles are assigned by a super admin, never at self-registration
     const newUser = await User.create({
       username,
       email,
       password: hashedPassword,
-      isAdmin,
-      eventId,
     })
 
-    // Generate JWT token
-    const payload = {
-      user_id: newUser.user_id,
-      username: newUser.username,
-      email: newUser.email,
-      isAdmin: newUser.isAdmin,
-    }
+    // A failed email must not fail registration; the user can resend it
+    await emailVerification
+      .sendVerification(newUser)
+      .catch((error) => console.error('Email verification:', error))
 
-    const token = jwt.sign(payload, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN,
-    })
+    const tokens = await sessions.start(newUser, clientOf(req))
 
     newUser.password = undefined
 
     res.status(201).json({
       message: 'User created successfully',
       user: newUser,
-      token: token,
-      expiresIn: JWT_EXPIRES_IN,
+      ...tokens,
     })
   } catch (err) {
     console.error(err)
@@ -191,6 +196,7 @@ router.post('/user/register', async (req, res) => {
  *     tags:
  *       - Users
  *     summary: Login user
+ *     description: A wrong password and an unknown username/email get the same 401. After 5 failed attempts for one username/email the account is locked for a minute, doubling with each further failure up to an hour; a successful login clears the count. An address with 50 failures in 15 minutes is refused as well.
  *     requestBody:
  *       required: true
  *       content:
@@ -208,13 +214,13 @@ router.post('/user/register', async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. token is an access token valid for ACCESS_TOKEN_TTL (15 minutes by default); refreshToken gets the next one from POST /api/user/refresh.
  *       400:
  *         description: Missing credentials
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: User not found
+ *         description: Invalid username/email or password (INVALID_CREDENTIALS)
+ *       429:
+ *         description: Locked out after too many failed attempts (ACCOUNT_LOCKED, TOO_MANY_ATTEMPTS); Retry-After gives the seconds to wait
  *       500:
  *         description: Server error
  */
@@ -228,52 +234,374 @@ router.post('/user/login', async (req, res) => {
       })
     }
 
+    await loginThrottle.check(username, req.ip)
+
     const user = await User.findOne({
       where: {
         [Sequelize.Op.or]: [{ username: username }, { email: username }],
       },
     })
 
-    if (!user) {
-      return res.status(404).json({
-        message: 'No user found with the provided username/email',
-      })
-    }
-
-    const match = await bcrypt.compare(password, user.password)
+    const match = await bcrypt.compare(
+      String(password),
+      user ? user.password : NO_USER_HASH
+    )
 
-    if (!match) {
+    if (!user || !match) {
+      await loginThrottle.recordFailure(username, req.ip)
       return res.status(401).json({
-        message: 'Password is incorrect',
+        message: 'Username/email or password is incorrect',
+        error: 'INVALID_CREDENTIALS',
       })
     }
 
-    // Enhanced JWT payload
-    const payload = {
-      user_id: user.user_id,
-      username: user.username,
-      email: user.email,
-      isAdmin: user.isAdmin,
-    }
-
-    const token = jwt.sign(payload, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN,
-    })
+    await loginThrottle.recordSuccess(username)
+    const tokens = await sessions.start(user, clientOf(req))
 
     user.password = undefined
 
     res.json({
       message: 'User logged in successfully',
       user: user,
-      token: token,
-      expiresIn: JWT_EXPIRES_IN,
+      ...tokens,
     })
-  } catch (err) {
-    console.error(err)
-    res.status(500).json({ message: 'An error occurred' })
+  } catch (error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter))
+    sendError(res, error)
   }
 })
 
+/**
+ * @swagger
+ * /api/user/refresh:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Get a new access token with a refresh token
+ *     description: Returns a new token and a new refreshToken; the refresh token sent is used up. Sending a refresh token that was already used ends its session (REFRESH_TOKEN_REUSED), because it means the token was copied. Refresh tokens last REFRESH_TOKEN_TTL_DAYS (30 by default).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token, expiresIn, refreshToken and refreshExpiresAt
+ *       401:
+ *         description: Refresh token unknown, expired, reused or its session revoked
+ *       500:
+ *         description: Server error
+ */
+router.post('/user/refresh', async (req, res) => {
+  try {
+    res.json(await sessions.refresh(req.body.refresh_token, clientOf(req)))
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/user/logout:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: End the current session
+ *     description: The access token and refresh token of this device stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       500:
+ *         description: Server error
+ */
+router.post('/user/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await sessions.revoke(req.user.sid, sessions.REVOKE_REASONS.LOGOUT)
+    }
+    res.json({ message: 'Logged out' })
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/user/logout-all:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: End every session of the logged in user, on all devices
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out everywhere
+ *       500:
+ *         description: Server error
+ */
+router.post('/user/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeAll(
+      req.user.user_id,
+      sessions.REVOKE_REASONS.LOGOUT_ALL
+    )
+    res.json({ message: 'Logged out of all devices' })
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/user/{user_id}/sessions:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: List a user's active sessions
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP and last use; current marks the session of the request
+ *       403:
+ *         description: Not the user or a super admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/user/:user_id/sessions',
+  authenticateToken,
+  authorize(policies.users.sessions),
+  async (req, res) => {
+    try {
+      const active = await sessions.listActive(req.resource.user_id)
+      res.json(
+        active.map((session) => ({
+          ...session,
+          current: session.session_id === req.user.sid,
+        }))
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/user/{user_id}/sessions/revoke:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: End every session of a user (super admin only)
+ *     description: For lost or stolen devices. All access and refresh tokens of the user stop working at once; the user logs in again.
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Not a super admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/user/:user_id/sessions/revoke',
+  authenticateToken,
+  authorize(policies.users.revokeSessions),
+  async (req, res) => {
+    try {
+      await sessions.revokeAll(
+        req.resource.user_id,
+        sessions.REVOKE_REASONS.ADMIN
+      )
+      res.json({ message: 'User sessions revoked' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/user/forgot-password:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Email a password reset link
+ *     description: Sends a link to FRONTEND_URL/reset-password?token=... to the account registered with the email. The link is valid for PASSWORD_RESET_TTL_MINUTES (60 by default) and works once; requesting another one disables the previous link. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the email is registered
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many requests from this address; Retry-After gives the seconds to wait
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/user/forgot-password',
+  rateLimit('forgotPassword'),
+  async (req, res) => {
+    try {
+      await passwordReset.requestReset(req.body.email)
+      res.json({
+        message:
+          'If the email is registered, a password reset link has been sent to it',
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/user/reset-password:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Set a new password with a reset token
+ *     description: Uses up the token and ends every session of the account; existing access tokens are rejected with SESSION_REVOKED.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed; log in again
+ *       400:
+ *         description: Password too short, or the token is invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/user/reset-password', async (req, res) => {
+  try {
+    await passwordReset.resetPassword(req.body.token, req.body.password)
+    res.json({ message: 'Password has been reset, please log in again' })
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/user/verify-email:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Confirm an email address
+ *     description: Called by the page the confirmation link opens, FRONTEND_URL/verify-email?token=... The link is valid for EMAIL_VERIFICATION_TTL_HOURS (48 by default) and works once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/user/verify-email', async (req, res) => {
+  try {
+    await emailVerification.verify(req.body.token)
+    res.json({ message: 'Email address verified' })
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/user/verify-email/resend:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Send another confirmation link to the logged in user
+ *     description: Allowed once every EMAIL_VERIFICATION_RESEND_SECONDS (60 by default) and five times a day. The previous link stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent
+ *       409:
+ *         description: Email already verified
+ *       429:
+ *         description: Sent too recently; Retry-After gives the seconds to wait
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/user/verify-email/resend',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      await emailVerification.resend(req.user.user_id)
+      res.json({ message: 'Confirmation link sent' })
+    } catch (error) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter))
+      sendError(res, error)
+    }
+  }
+)
+
 /**
  * @swagger
  * /api/user/{user_id}/events:
@@ -298,10 +626,14 @@ router.post('/user/login', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/user/:user_id/events', authenticateToken, async (req, res) => {
-  try {
-    const userEvents = await sequelize.query(
-      `
+router.get(
+  '/user/:user_id/events',
+  authenticateToken,
+  authorize(policies.users.read),
+  async (req, res) => {
+    try {
+      const userEvents = await sequelize.query(
+        `
     SELECT 
         teams.team_id, teams.event_id, teams.team_name, teams.isVerified AS teams_isVerified, teams.isRejected AS teams_isRejected, teams.rejectMessage AS teams_rejectMessage,
         events.event_name
@@ -310,35 +642,128 @@ router.get('/user/:user_id/events', authenticateToken, async (req, res) => {
     LEFT JOIN events ON teams.event_id = events.event_id
     WHERE users.user_id = :userId
 `,
-      {
-        replacements: { userId: req.params.user_id },
-        type: QueryTypes.SELECT,
+        {
+          replacements: { userId: req.params.user_id },
+          type: QueryTypes.SELECT,
+        }
+      )
+
+      if (
+        !userEvents.length ||
+        userEvents.every((event) =>
+          Object.values(event).every((value) => value === null)
+        )
+      ) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No events found for this user',
+        })
       }
-    )
 
-    if (
-      !userEvents.length ||
-      userEvents.every((event) =>
-        Object.values(event).every((value) => value === null)
-      )
-    ) {
-      return res.status(404).json({
+      res.status(200).json({
+        status: 'success',
+        data: userEvents,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({
         status: 'error',
-        message: 'No events found for this user',
+        message: 'An error occurred while retrieving the events',
       })
     }
+  }
+)
 
-    res.status(200).json({
-      status: 'success',
-      data: userEvents,
-    })
-  } catch (error) {
-    console.error(error)
-    res.status(500).json({
-      status: 'error',
-      message: 'An error occurred while retrieving the events',
-    })
+/**
+ * @swagger
+ * /api/user/{user_id}/role:
+ *   put:
+ *     tags:
+ *       - Users
+ *     summary: Assign a role to a user (super admin only)
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [superadmin, committee, judge, participant]
+ *               eventId:
+ *                 type: integer
+ *                 description: Required for committee and judge roles
+ *     responses:
+ *       200:
+ *         description: Role assigned successfully
+ *       400:
+ *         description: Invalid role or missing eventId
+ *       403:
+ *         description: Not a super admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/user/:user_id/role',
+  authenticateToken,
+  authorize(policies.users.assignRole),
+  async (req, res) => {
+    try {
+      const { role, eventId } = req.body
+
+      if (!Object.values(ROLES).includes(role)) {
+        return res.status(400).json({
+          message: 'Invalid role',
+          error: 'INVALID_ROLE',
+        })
+      }
+
+      const scoped = role === ROLES.COMMITTEE || role === ROLES.JUDGE
+      if (scoped && !eventId) {
+        return res.status(400).json({
+          message: 'eventId is required for committee and judge roles',
+          error: 'EVENT_ID_REQUIRED',
+        })
+      }
+
+      const user = await User.findByPk(req.params.user_id)
+      if (!user) {
+        return res.status(404).json({
+          message: 'No user found with the provided user_id',
+        })
+      }
+
+      await user.update({
+        role,
+        isAdmin: role !== ROLES.PARTICIPANT,
+        eventId: scoped ? eventId : null,
+      })
+
+      user.password = undefined
+
+      res.json({
+        message: 'User role updated successfully',
+        user,
+      })
+    } catch (err) {
+      console.error(err)
+      res.status(500).json({ message: 'An error occurred' })
+    }
   }
-})
+)
 
 module.exports = router
@@ -0,0 +1,306 @@
+const express = require('express')
+const router = express.Router()
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { getCompetitionByEvent } = require('../config/competitions')
+const vouchers = require('../services/vouchers')
+const { quote } = require('../services/pricing')
+const HttpError = require('../utils/httpError')
+const { sendError } = require('../controllers/teamController')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VoucherInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 3 to 32 letters, digits, dashes or underscores; stored in upper case
+ *         description:
+ *           type: string
+ *         discount_type:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         discount_value:
+ *           type: integer
+ *           description: Percentage (1-100) or amount in rupiah
+ *         event_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Team competition the voucher applies to, or null for all of them
+ *         max_uses:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of teams that may use the voucher, or null for no limit
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/vouchers:
+ *   get:
+ *     tags:
+ *       - Vouchers
+ *     summary: List vouchers with their usage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vouchers, newest first, each with its number of uses
+ *       403:
+ *         description: Only super admins manage vouchers
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/vouchers',
+  authenticateToken,
+  authorize(policies.vouchers.manage),
+  async (req, res) => {
+    try {
+      res.json(await vouchers.list({ eventId: req.query.event_id }))
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/vouchers:
+ *   post:
+ *     tags:
+ *       - Vouchers
+ *     summary: Create a voucher
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VoucherInput'
+ *     responses:
+ *       201:
+ *         description: Voucher created
+ *       400:
+ *         description: Invalid code, discount, event, usage limit or expiry
+ *       403:
+ *         description: Only super admins manage vouchers
+ *       409:
+ *         description: Voucher code already exists
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/vouchers',
+  authenticateToken,
+  authorize(policies.vouchers.manage),
+  async (req, res) => {
+    try {
+      const voucher = await vouchers.create(req.body, {
+        actorId: req.user.user_id,
+      })
+      res.status(201).json({ message: 'Voucher created', data: voucher })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/vouchers/check:
+ *   get:
+ *     tags:
+ *       - Vouchers
+ *     summary: Check a voucher code before registering
+ *     description: Returns the discount and the resulting price for the competition without using the voucher. The voucher is only used when the registration is submitted with it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Voucher details and the price after the discount
+ *       400:
+ *         description: Voucher is expired, inactive or not valid for this competition
+ *       404:
+ *         description: Voucher or event not found
+ *       409:
+ *         description: Voucher has reached its usage limit
+ *       500:
+ *         description: Server error
+ */
+router.get('/vouchers/check', authenticateToken, async (req, res) => {
+  try {
+    const competition = getCompetitionByEvent(req.query.event_id)
+    if (!competition) {
+      throw new HttpError(404, 'Event not found', 'NOT_FOUND')
+    }
+
+    const voucher = await vouchers.check(req.query.code, competition)
+    res.json({
+      code: voucher.code,
+      description: voucher.description,
+      discount_type: voucher.discount_type,
+      discount_value: voucher.discount_value,
+      price: quote(competition, {}, { voucher }),
+    })
+  } catch (error) {
+    sendError(res, error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/vouchers/{voucher_id}:
+ *   get:
+ *     tags:
+ *       - Vouchers
+ *     summary: Get a voucher with the teams that used it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: voucher_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Voucher with its redemptions
+ *       403:
+ *         description: Only super admins manage vouchers
+ *       404:
+ *         description: Voucher not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/vouchers/:voucher_id',
+  authenticateToken,
+  authorize(policies.vouchers.manage),
+  async (req, res) => {
+    try {
+      res.json(await vouchers.get(req.params.voucher_id))
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/vouchers/{voucher_id}:
+ *   put:
+ *     tags:
+ *       - Vouchers
+ *     summary: Update a voucher
+ *     description: Only the fields present are changed. Teams that already used the voucher keep the price they registered with.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: voucher_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VoucherInput'
+ *     responses:
+ *       200:
+ *         description: Voucher updated
+ *       400:
+ *         description: Invalid code, discount, event, usage limit or expiry
+ *       403:
+ *         description: Only super admins manage vouchers
+ *       404:
+ *         description: Voucher not found
+ *       409:
+ *         description: Voucher code already exists
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/vouchers/:voucher_id',
+  authenticateToken,
+  authorize(policies.vouchers.manage),
+  async (req, res) => {
+    try {
+      const voucher = await vouchers.update(req.params.voucher_id, req.body)
+      res.json({ message: 'Voucher updated', data: voucher })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/vouchers/{voucher_id}:
+ *   delete:
+ *     tags:
+ *       - Vouchers
+ *     summary: Delete a voucher that has not been used
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: voucher_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Voucher deleted
+ *       403:
+ *         description: Only super admins manage vouchers
+ *       404:
+ *         description: Voucher not found
+ *       409:
+ *         description: Voucher has been used; deactivate it instead
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/vouchers/:voucher_id',
+  authenticateToken,
+  authorize(policies.vouchers.manage),
+  async (req, res) => {
+    try {
+      await vouchers.remove(req.params.voucher_id)
+      res.json({ message: 'Voucher deleted' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+module.exports = router
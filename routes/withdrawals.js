@@ -0,0 +1,474 @@
+const express = require('express')
+const router = express.Router()
+const authenticateToken = require('../middleware/authenticateToken')
+const { authorize } = require('../middleware/authorize')
+const policies = require('../config/policies')
+const { EVENT_SCOPED_ROLES, roleOf } = require('../config/roles')
+const withdrawals = require('../services/withdrawals')
+const { sendError } = require('../controllers/teamController')
+
+const requestHandler = (entityType, idParam) => async (req, res) => {
+  try {
+    const withdrawal = await withdrawals.request(
+      entityType,
+      req.params[idParam],
+      { reason: req.body.reason, userId: req.user.user_id }
+    )
+    res.status(201).json({
+      message: 'Withdrawal requested',
+      data: withdrawal,
+    })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
+
+const listHandler = (entityType, idParam) => async (req, res) => {
+  try {
+    res.json(await withdrawals.listFor(entityType, req.params[idParam]))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
+
+/**
+ * @swagger
+ * /api/teams/{team_id}/withdrawals:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Ask to withdraw a team
+ *     description: The team stays registered until the committee approves. The refund is a percentage of the price paid, taken from the event's refund policy (see GET /api/events/{event_id}/pricing) on the date of the request.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Withdrawal request with its refund_percent and refund_amount
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Only the registering account asks to withdraw
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: Team already withdrawn or rejected, or a request is already pending
+ *       500:
+ *         description: Server error
+ *   get:
+ *     tags:
+ *       - Withdrawals
+ *     summary: List a team's withdrawal requests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal requests, newest first
+ *       404:
+ *         description: Team not found
+ */
+router.post(
+  '/teams/:team_id/withdrawals',
+  authenticateToken,
+  authorize(policies.teams.withdraw),
+  requestHandler('team', 'team_id')
+)
+router.get(
+  '/teams/:team_id/withdrawals',
+  authenticateToken,
+  authorize(policies.teams.read),
+  listHandler('team', 'team_id')
+)
+
+/**
+ * @swagger
+ * /api/crafts/{participant_id}/withdrawals:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Ask to withdraw a Craft registration
+ *     description: Same as for teams.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Withdrawal request with its refund_percent and refund_amount
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Only the registering account asks to withdraw
+ *       404:
+ *         description: Participant not found
+ *       409:
+ *         description: Participant already withdrawn or rejected, or a request is already pending
+ *       500:
+ *         description: Server error
+ *   get:
+ *     tags:
+ *       - Withdrawals
+ *     summary: List a Craft participant's withdrawal requests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal requests, newest first
+ *       404:
+ *         description: Participant not found
+ */
+router.post(
+  '/crafts/:participant_id/withdrawals',
+  authenticateToken,
+  authorize(policies.crafts.withdraw),
+  requestHandler('craft', 'participant_id')
+)
+router.get(
+  '/crafts/:participant_id/withdrawals',
+  authenticateToken,
+  authorize(policies.crafts.read),
+  listHandler('craft', 'participant_id')
+)
+
+/**
+ * @swagger
+ * /api/withdrawals:
+ *   get:
+ *     tags:
+ *       - Withdrawals
+ *     summary: List withdrawal requests
+ *     description: Committee members see the requests of their own event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: refund_status
+ *         schema:
+ *           type: string
+ *           enum: [none, pending, refunded]
+ *       - in: query
+ *         name: event_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal requests, newest first, with the registration's name and event
+ *       403:
+ *         description: Only the committee reviews withdrawals
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/withdrawals',
+  authenticateToken,
+  authorize(policies.withdrawals.list),
+  async (req, res) => {
+    try {
+      const scoped = EVENT_SCOPED_ROLES.includes(roleOf(req.user))
+      res.json(
+        await withdrawals.list({
+          status: req.query.status,
+          refundStatus: req.query.refund_status,
+          eventId: scoped ? req.user.eventId || -1 : req.query.event_id,
+        })
+      )
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/withdrawals/{withdrawal_id}:
+ *   get:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Get a withdrawal request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: withdrawal_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawal request
+ *       404:
+ *         description: Withdrawal request not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/withdrawals/:withdrawal_id',
+  authenticateToken,
+  authorize(policies.withdrawals.read),
+  async (req, res) => {
+    try {
+      res.json(await withdrawals.get(req.params.withdrawal_id))
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/withdrawals/{withdrawal_id}/cancel:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Cancel a pending withdrawal request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: withdrawal_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       403:
+ *         description: Only the registering account cancels its request
+ *       404:
+ *         description: Withdrawal request not found
+ *       409:
+ *         description: Request already reviewed or cancelled
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/withdrawals/:withdrawal_id/cancel',
+  authenticateToken,
+  authorize(policies.withdrawals.cancel),
+  async (req, res) => {
+    try {
+      res.json({
+        message: 'Withdrawal request cancelled',
+        data: await withdrawals.cancel(req.params.withdrawal_id),
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/withdrawals/{withdrawal_id}/approve:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Approve a withdrawal
+ *     description: Moves the registration to the withdrawn status, keeping its members, documents and history. A refund above zero waits with refund_status pending until it is recorded as paid back.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: withdrawal_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               refund_amount:
+ *                 type: integer
+ *                 description: Overrides the amount from the refund policy, at most paid_amount
+ *     responses:
+ *       200:
+ *         description: Request approved and registration withdrawn
+ *       400:
+ *         description: Invalid refund_amount
+ *       404:
+ *         description: Withdrawal request not found
+ *       409:
+ *         description: Request not pending, or the registration can no longer be withdrawn
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/withdrawals/:withdrawal_id/approve',
+  authenticateToken,
+  authorize(policies.withdrawals.review),
+  async (req, res) => {
+    try {
+      res.json({
+        message: 'Withdrawal approved',
+        data: await withdrawals.approve(req.params.withdrawal_id, {
+          actorId: req.user.user_id,
+          note: req.body.note,
+          refundAmount: req.body.refund_amount,
+        }),
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/withdrawals/{withdrawal_id}/reject:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Reject a withdrawal request
+ *     description: The registration continues unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: withdrawal_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       404:
+ *         description: Withdrawal request not found
+ *       409:
+ *         description: Request not pending
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/withdrawals/:withdrawal_id/reject',
+  authenticateToken,
+  authorize(policies.withdrawals.review),
+  async (req, res) => {
+    try {
+      res.json({
+        message: 'Withdrawal request rejected',
+        data: await withdrawals.reject(req.params.withdrawal_id, {
+          actorId: req.user.user_id,
+          note: req.body.note,
+        }),
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /api/withdrawals/{withdrawal_id}/refund:
+ *   post:
+ *     tags:
+ *       - Withdrawals
+ *     summary: Record that a refund was paid back
+ *     description: Sets refund_status to refunded and the registration's payment_status to refunded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: withdrawal_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank transfer or gateway reference of the refund
+ *     responses:
+ *       200:
+ *         description: Refund recorded
+ *       404:
+ *         description: Withdrawal request not found
+ *       409:
+ *         description: No refund waiting to be paid
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/withdrawals/:withdrawal_id/refund',
+  authenticateToken,
+  authorize(policies.withdrawals.review),
+  async (req, res) => {
+    try {
+      res.json({
+        message: 'Refund recorded',
+        data: await withdrawals.recordRefund(req.params.withdrawal_id, {
+          actorId: req.user.user_id,
+          reference: req.body.reference,
+        }),
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  }
+)
+
+module.exports = router
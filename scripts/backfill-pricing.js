@@ -0,0 +1,72 @@
+// Stores expected_amount and price_breakdown for registrations made before
+// pricing existed.
+//
+//   npm run pricing:backfill -- [--period early_bird] [--dry-run]
+//
+// Without --period, or for competitions without that period, the period in
+// force today is used. Registrations that already have a price are left
+// untouched.
+
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { COMPETITIONS } = require('../config/competitions')
+const { applyPrice, quote } = require('../services/pricing')
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false }
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index]
+    if (arg === '--period') args.period = argv[++index]
+    else if (arg === '--dry-run') args.dryRun = true
+    else throw new Error(`Unknown argument: ${arg}`)
+  }
+  return args
+}
+
+const unpriced = (competition) =>
+  competition.type === 'individual'
+    ? sequelize.query(
+        `SELECT *, participant_id AS id FROM craft WHERE expected_amount IS NULL`,
+        { type: QueryTypes.SELECT }
+      )
+    : sequelize.query(
+        `SELECT *, team_id AS id FROM teams WHERE event_id = :eventId AND expected_amount IS NULL`,
+        {
+          replacements: { eventId: competition.eventId },
+          type: QueryTypes.SELECT,
+        }
+      )
+
+const backfill = async ({ period, dryRun }) => {
+  let priced = 0
+  for (const competition of Object.values(COMPETITIONS)) {
+    const entityType = competition.type === 'individual' ? 'craft' : 'team'
+    for (const record of await unpriced(competition)) {
+      const price = dryRun
+        ? quote(competition, record, { period })
+        : await applyPrice(competition, entityType, record.id, { period })
+      console.log(
+        `${competition.name} ${entityType} ${record.id}: ${price.total} (${price.period})`
+      )
+      priced++
+    }
+  }
+  return priced
+}
+
+const main = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+    const priced = await backfill(args)
+    console.log(
+      `${args.dryRun ? '[dry run] ' : ''}priced ${priced} registrations`
+    )
+  } catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
@@ -0,0 +1,130 @@
+// Copies every stored document to another storage driver and rewrites the
+// stored paths to storage keys (uploads/cic/x.png becomes cic/x.png).
+//
+//   npm run migrate:storage -- --from local --to s3 [--dry-run] [--delete-source]
+//
+// Files already present in the target are not copied again, so the command
+// can be re-run after an interruption.
+
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { createDriver, toKey } = require('../services/storage')
+const { documentColumns } = require('../services/fileAccess')
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+}
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false }
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index]
+    if (arg === '--from') args.from = argv[++index]
+    else if (arg === '--to') args.to = argv[++index]
+    else if (arg === '--dry-run') args.dryRun = true
+    else if (arg === '--delete-source') args.deleteSource = true
+    else throw new Error(`Unknown argument: ${arg}`)
+  }
+  if (!args.from || !args.to) {
+    throw new Error('Usage: migrate-storage --from <driver> --to <driver>')
+  }
+  return args
+}
+
+const readAll = async (stream) => {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+// Every table and column holding a stored file path
+const pathColumns = () => {
+  const columns = new Map()
+  documentColumns().forEach(({ table, columns: names }) => {
+    names.forEach((column) =>
+      columns.set(`${table}.${column}`, { table, column })
+    )
+  })
+  columns.set('document_versions.file_path', {
+    table: 'document_versions',
+    column: 'file_path',
+  })
+  return [...columns.values()]
+}
+
+const migrate = async ({ from, to, dryRun, deleteSource }) => {
+  const source = createDriver(from)
+  const target = createDriver(to)
+  const stats = { copied: 0, skipped: 0, rewritten: 0, missing: 0 }
+
+  for (const { table, column } of pathColumns()) {
+    const rows = await sequelize.query(
+      `SELECT DISTINCT ${column} AS stored FROM ${table} WHERE ${column} IS NOT NULL AND ${column} <> ''`,
+      { type: QueryTypes.SELECT }
+    )
+
+    for (const { stored } of rows) {
+      const key = toKey(stored)
+      if (!key) {
+        console.warn(`Skipping invalid path in ${table}.${column}: ${stored}`)
+        stats.skipped++
+        continue
+      }
+
+      if (from !== to && !(await target.exists(key))) {
+        if (!(await source.exists(key))) {
+          console.warn(`Missing in ${from}: ${key} (${table}.${column})`)
+          stats.missing++
+          continue
+        }
+        if (!dryRun) {
+          const body = await readAll(await source.get(key))
+          await target.put(key, body, {
+            contentType: CONTENT_TYPES[path.extname(key).toLowerCase()],
+          })
+        }
+        stats.copied++
+      }
+
+      if (stored !== key) {
+        if (!dryRun) {
+          await sequelize.query(
+            `UPDATE ${table} SET ${column} = :key WHERE ${column} = :stored`,
+            { replacements: { key, stored }, type: QueryTypes.UPDATE }
+          )
+        }
+        stats.rewritten++
+      }
+
+      if (deleteSource && from !== to && !dryRun) {
+        await source.remove(key)
+      }
+    }
+  }
+
+  return stats
+}
+
+const main = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+    const stats = await migrate(args)
+    console.log(
+      `${args.dryRun ? '[dry run] ' : ''}copied ${stats.copied}, rewrote ${
+        stats.rewritten
+      } paths, skipped ${stats.skipped}, missing ${stats.missing}`
+    )
+    process.exitCode = stats.missing ? 1 : 0
+  } catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+  } finally {
+    await sequelize.close()
+  }
+}
+
+main()
@@ -2,34 +2,44 @@ const express = require('express')
 const swaggerJsdoc = require('swagger-jsdoc')
 const swaggerUi = require('swagger-ui-express')
 const bodyParser = require('body-parser')
-const fs = require('fs')
 const http = require('http')
 const cors = require('cors')
-const multer = require('multer')
-const path = require('path')
+
+// Refuses to start when required environment variables are missing
+const env = require('./config/env')
 
 const app = express()
 const port = 5001
 
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted,
+// and every client would share one rate limit
+if (env.TRUST_PROXY) {
+  app.set(
+    'trust proxy',
+    /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY
+  )
+}
+
 const userRouter = require('./routes/users')
 const teamRouter = require('./routes/teams')
 const cicRouter = require('./routes/cic')
 const sbcRouter = require('./routes/sbc')
 const fcecRouter = require('./routes/fcec')
 const craftRouter = require('./routes/craft')
+const eventRouter = require('./routes/events')
+const fileRouter = require('./routes/files')
+const certificateRouter = require('./routes/certificates')
+const exportRouter = require('./routes/exports')
+const voucherRouter = require('./routes/vouchers')
+const paymentRouter = require('./routes/payments')
+const withdrawalRouter = require('./routes/withdrawals')
 const authenticateToken = require('./middleware/authenticateToken')
+const rateLimit = require('./middleware/rateLimit')
+const certificates = require('./services/certificates')
+const { createUpload } = require('./middleware/upload')
 
-// Konfigurasi multer untuk menyimpan file di folder "uploads"
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/') // Folder tempat menyimpan file
-  },
-  filename: function (req, file, cb) {
-    cb(null, `${Date.now()}-${file.originalname}`) // Rename file with timestamp followed by original name
-  },
-})
-
-const upload = multer({ storage })
+// Unggahan umum disimpan melalui services/storage
+const upload = createUpload('general')
 
 const options = {
   definition: {
@@ -56,22 +66,38 @@ const specs = swaggerJsdoc(options)
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs))
 
 app.use(cors())
-app.use(bodyParser.json())
+// Webhook signatures are computed over the exact bytes received
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    },
+  })
+)
 app.use(bodyParser.urlencoded({ extended: false }))
 
 app.get('/', (req, res) => {
   res.send('Hello from the backend!')
 })
 
-app.use('/uploads', express.static('uploads'))
-
 // Endpoint untuk mengunggah file
-app.post('/upload', authenticateToken, upload.single('file'), (req, res) => {
-  res.json({
-    message: 'File uploaded successfully',
-    filePath: `/uploads/${req.file.filename}`,
-  })
-})
+app.post(
+  '/upload',
+  authenticateToken,
+  rateLimit('upload'),
+  upload.single('file'),
+  (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: 'Missing file', error: 'FILE_MISSING' })
+    }
+    res.json({
+      message: 'File uploaded successfully',
+      filePath: req.file.path,
+    })
+  }
+)
 
 app.use('/api', userRouter)
 app.use('/api', cicRouter)
@@ -79,10 +105,23 @@ app.use('/api', teamRouter)
 app.use('/api', sbcRouter)
 app.use('/api', fcecRouter)
 app.use('/api', craftRouter)
+app.use('/api', eventRouter)
+app.use('/api', fileRouter)
+app.use('/api', certificateRouter)
+app.use('/api', exportRouter)
+app.use('/api', voucherRouter)
+app.use('/api', paymentRouter)
+app.use('/api', withdrawalRouter)
 
 // Buat server HTTPS
 const server = http.createServer(app)
 
 server.listen(port, () => {
   console.log(`Server is running on port ${port}`)
+
+  certificates
+    .failInterruptedJobs()
+    .catch((error) =>
+      console.error('Could not clear interrupted certificate jobs:', error)
+    )
 })
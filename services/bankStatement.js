@@ -0,0 +1,200 @@
+const crypto = require('crypto')
+const { parse } = require('csv-parse/sync')
+const HttpError = require('../utils/httpError')
+
+// Header names used by the internet banking exports we receive (BCA,
+// Mandiri, BNI, BRI), lower case
+const HEADERS = {
+  date: [
+    'tanggal',
+    'tanggal transaksi',
+    'tgl',
+    'tgl. transaksi',
+    'date',
+    'transaction date',
+    'posting date',
+    'post date',
+  ],
+  description: [
+    'keterangan',
+    'deskripsi',
+    'uraian',
+    'berita',
+    'remark',
+    'remarks',
+    'description',
+    'narrative',
+    'transaction remarks',
+  ],
+  amount: ['jumlah', 'nominal', 'mutasi', 'amount'],
+  credit: ['kredit', 'credit', 'cr'],
+  debit: ['debet', 'debit', 'db'],
+  type: ['d/k', 'db/cr', 'cr/db', 'dk', 'tipe', 'type', 'jenis'],
+}
+
+const CREDIT_MARKERS = ['CR', 'K', 'KREDIT', 'CREDIT', 'C']
+const DEBIT_MARKERS = ['DB', 'D', 'DEBET', 'DEBIT']
+const MARKERS = [...CREDIT_MARKERS, ...DEBIT_MARKERS]
+
+const cell = (value) =>
+  String(value || '')
+    .replace(/^'/, '')
+    .trim()
+
+// Index of each known column in a header row, or null when the row is not
+// the header of a transaction table
+const headerColumns = (row) => {
+  const names = row.map((value) => cell(value).toLowerCase())
+  const columns = {}
+  Object.entries(HEADERS).forEach(([key, aliases]) => {
+    const index = names.findIndex((name) => aliases.includes(name))
+    if (index !== -1) columns[key] = index
+  })
+  const hasAmount = columns.amount !== undefined || columns.credit !== undefined
+  return columns.date !== undefined &&
+    columns.description !== undefined &&
+    hasAmount
+    ? columns
+    : null
+}
+
+/**
+ * Reads an amount written either way round: 1.250.000,00 or 1,250,000.00.
+ * A separator followed by exactly two trailing digits is the decimal one.
+ * Returns whole rupiah (negative for debits written with a minus sign) or
+ * null when the cell holds no number.
+ */
+const parseAmount = (value) => {
+  const text = cell(value).replace(/[^\d.,-]/g, '')
+  if (!/\d/.test(text)) return null
+  const negative = text.startsWith('-')
+  const digits = text.replace(/-/g, '')
+
+  const lastSeparator = Math.max(
+    digits.lastIndexOf('.'),
+    digits.lastIndexOf(',')
+  )
+  const hasDecimals =
+    lastSeparator !== -1 && /^[.,]\d{2}$/.test(digits.slice(lastSeparator))
+  const whole = hasDecimals ? digits.slice(0, lastSeparator) : digits
+  const fraction = hasDecimals ? Number(digits.slice(lastSeparator + 1)) : 0
+  const amount = Number(whole.replace(/[.,]/g, '') || 0) + fraction / 100
+  return Math.round(negative ? -amount : amount)
+}
+
+/**
+ * Reads DD/MM/YYYY, DD-MM-YYYY, YYYY-MM-DD or DD/MM (BCA, which prints the
+ * year only in the statement heading; `year` fills it in). Returns
+ * YYYY-MM-DD or null.
+ */
+const parseDate = (value, year) => {
+  const text = cell(value)
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  const local = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?/)
+  let parts = null
+  if (iso) {
+    parts = [iso[1], iso[2], iso[3]]
+  } else if (local) {
+    const localYear =
+      local[3] && local[3].length === 2 ? `20${local[3]}` : local[3]
+    parts = [localYear || year, local[2], local[1]]
+  }
+  if (!parts) return null
+
+  const [y, m, d] = parts.map(Number)
+  const date = new Date(Date.UTC(y, m - 1, d))
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null
+  return date.toISOString().slice(0, 10)
+}
+
+// Credit amount of a transaction row, or null for debits and other rows
+const creditAmount = (row, columns) => {
+  if (columns.credit !== undefined) {
+    const credit = parseAmount(row[columns.credit])
+    if (credit) return credit
+    if (columns.amount === undefined) return null
+  }
+
+  const raw = cell(row[columns.amount])
+  const amount = parseAmount(raw)
+  if (!amount || amount < 0) return null
+
+  // BCA prints CR or DB after the amount or in the unnamed next column
+  const next = cell(row[columns.amount + 1]).toUpperCase()
+  const marker = (
+    columns.type !== undefined
+      ? cell(row[columns.type])
+      : (raw.match(/([A-Za-z]+)\s*$/) || [])[1] ||
+        (MARKERS.includes(next) ? next : '')
+  ).toUpperCase()
+  if (CREDIT_MARKERS.includes(marker)) return amount
+  if (DEBIT_MARKERS.includes(marker)) return null
+  // No debit/credit marker anywhere: only a separate debit column tells
+  return columns.debit !== undefined && parseAmount(row[columns.debit])
+    ? null
+    : amount
+}
+
+/**
+ * Parses a bank statement CSV (comma or semicolon separated, with or
+ * without lines above the transaction table) into its incoming transfers:
+ * [{ postedAt, description, amount, fingerprint }]. Identical transfers on
+ * the same day get different fingerprints by their order in the file.
+ */
+const parseStatement = (buffer, { year = new Date().getFullYear() } = {}) => {
+  const text = buffer.toString('utf8').replace(/^\ufeff/, '')
+
+  // Statements are comma or semicolon separated; the right one yields a
+  // recognisable header row
+  let rows = []
+  let headerIndex = -1
+  for (const delimiter of [',', ';']) {
+    try {
+      rows = parse(text, {
+        delimiter,
+        relax_column_count: true,
+        relax_quotes: true,
+        skip_empty_lines: true,
+      })
+    } catch (error) {
+      throw new HttpError(
+        400,
+        `Statement is not a readable CSV: ${error.message}`,
+        'INVALID_STATEMENT'
+      )
+    }
+    headerIndex = rows.findIndex((row) => headerColumns(row))
+    if (headerIndex !== -1) break
+  }
+  if (headerIndex === -1) {
+    throw new HttpError(
+      400,
+      'No transaction table found; the statement needs date, description and amount or credit columns',
+      'INVALID_STATEMENT'
+    )
+  }
+
+  const columns = headerColumns(rows[headerIndex])
+  const seen = {}
+  return rows.slice(headerIndex + 1).reduce((credits, row) => {
+    const postedAt = parseDate(row[columns.date], year)
+    const amount = postedAt && creditAmount(row, columns)
+    if (!amount) return credits
+
+    const description = cell(row[columns.description]).replace(/\s+/g, ' ')
+    const identity = `${postedAt}|${description}|${amount}`
+    seen[identity] = (seen[identity] || 0) + 1
+    credits.push({
+      postedAt,
+      description,
+      amount,
+      fingerprint: crypto
+        .createHash('sha256')
+        .update(`${identity}|${seen[identity]}`)
+        .digest('hex'),
+    })
+    return credits
+  }, [])
+}
+
+module.exports = { parseStatement, parseAmount, parseDate }
@@ -0,0 +1,353 @@
+const crypto = require('crypto')
+const QRCode = require('qrcode')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const publicUrl = require('../utils/publicUrl')
+const { getCompetitionByEvent } = require('../config/competitions')
+const { STATUSES } = require('./verification')
+const storage = require('./storage')
+const { renderPdf } = require('./pdf')
+const jobQueue = require('./jobQueue')
+const { certificateTemplate } = require('../templates/certificates')
+const Certificate = require('../models/certificate')
+const CertificateJob = require('../models/certificateJob')
+const Event = require('../models/event')
+
+const ROLES = {
+  PARTICIPANT: 'participant',
+  WINNER: 'winner',
+  ADVISOR: 'advisor',
+}
+
+// e.g. CIA25-CIC-9F2A61C4
+const newSerial = (competition) =>
+  `CIA25-${competition.name.toUpperCase()}-${crypto
+    .randomBytes(4)
+    .toString('hex')
+    .toUpperCase()}`
+
+const certificateKey = (competition, serial) =>
+  `certificates/${competition.slug}/${serial}.pdf`
+
+// Printed as a QR code so anyone holding the paper can check it
+const verifyUrl = (serial) =>
+  publicUrl(`/api/certificates/verify/${encodeURIComponent(serial)}`)
+
+/**
+ * Everyone entitled to a certificate for a competition: members of verified
+ * teams (as winners when the team has an award), the advisor of each
+ * verified team when the competition records one in `dosbim`, and verified
+ * Craft participants.
+ */
+const collectRecipients = async (competition) => {
+  const select = (sql, replacements = {}) =>
+    sequelize.query(sql, { replacements, type: QueryTypes.SELECT })
+
+  if (competition.type === 'individual') {
+    const crafts = await select(
+      `SELECT * FROM craft WHERE status = :verified`,
+      { verified: STATUSES.VERIFIED }
+    )
+    return crafts.map((craft) => ({
+      role: ROLES.PARTICIPANT,
+      recipient_key: `craft:${craft.participant_id}`,
+      recipient_name: craft.full_name,
+      recipient_email: craft.email,
+      institution_name: craft.institution_name,
+      entity_type: 'craft',
+      entity_id: craft.participant_id,
+      user_id: craft.user_id,
+      award: null,
+      context: craft,
+    }))
+  }
+
+  const teams = await select(
+    `SELECT * FROM teams WHERE event_id = :eventId AND status = :verified`,
+    { eventId: competition.eventId, verified: STATUSES.VERIFIED }
+  )
+  const hasAdvisor = competition.extras.some(
+    (extra) => extra.table === 'dosbim'
+  )
+  const recipients = []
+
+  for (const team of teams) {
+    const base = {
+      entity_type: 'team',
+      entity_id: team.team_id,
+      user_id: team.user_id,
+      institution_name: team.institution_name,
+      context: team,
+    }
+    const members = await select(
+      `SELECT * FROM members WHERE team_id = :teamId ORDER BY is_leader DESC, member_id ASC`,
+      { teamId: team.team_id }
+    )
+    members
+      .filter((member) => member.full_name)
+      .forEach((member) => {
+        recipients.push({
+          ...base,
+          role: team.award ? ROLES.WINNER : ROLES.PARTICIPANT,
+          recipient_key: `member:${member.member_id}`,
+          recipient_name: member.full_name,
+          recipient_email: member.email,
+          award: team.award || null,
+        })
+      })
+
+    if (hasAdvisor) {
+      const [advisor] = await select(
+        `SELECT * FROM dosbim WHERE team_id = :teamId`,
+        { teamId: team.team_id }
+      )
+      if (advisor && advisor.full_name) {
+        recipients.push({
+          ...base,
+          role: ROLES.ADVISOR,
+          recipient_key: `dosbim:${team.team_id}`,
+          recipient_name: advisor.full_name,
+          recipient_email: advisor.email,
+          award: null,
+        })
+      }
+    }
+  }
+
+  return recipients
+}
+
+// Keeps the serial of an earlier run so reissued certificates stay valid
+const upsertCertificate = async (competition, recipient) => {
+  const { context, ...fields } = recipient
+  const existing = await Certificate.findOne({
+    where: {
+      event_id: competition.eventId,
+      role: recipient.role,
+      recipient_key: recipient.recipient_key,
+    },
+  })
+  if (existing) return existing.update(fields)
+
+  return Certificate.create({
+    ...fields,
+    event_id: competition.eventId,
+    serial: newSerial(competition),
+  })
+}
+
+const renderCertificate = async (competition, certificate, context) => {
+  const template = certificateTemplate(competition, certificate.role)
+  const url = verifyUrl(certificate.serial)
+  const issuedAt = new Date()
+  const pdf = await renderPdf(
+    template({
+      certificate: {
+        ...certificate.toJSON(),
+        issuedAt,
+        verifyUrl: url,
+        qrCode: await QRCode.toDataURL(url, { margin: 1, width: 240 }),
+      },
+      competition,
+      context,
+    }),
+    { landscape: true, printBackground: true }
+  )
+  const key = certificateKey(competition, certificate.serial)
+  await storage.put(key, pdf, { contentType: 'application/pdf' })
+  await certificate.update({ file_path: key, status: 'generated', issuedAt })
+}
+
+const runJob = async (job, competition, { regenerate }) => {
+  await job.update({ status: 'running' })
+  try {
+    const recipients = await collectRecipients(competition)
+    await job.update({ total: recipients.length })
+
+    for (const recipient of recipients) {
+      try {
+        const certificate = await upsertCertificate(competition, recipient)
+        // Revoked certificates are never rendered again
+        if (
+          !certificate.revokedAt &&
+          (regenerate || certificate.status !== 'generated')
+        ) {
+          await renderCertificate(competition, certificate, recipient.context)
+        }
+        await job.increment('processed')
+      } catch (error) {
+        console.error(
+          `Error generating certificate for ${recipient.recipient_key}:`,
+          error
+        )
+        await Certificate.update(
+          { status: 'failed' },
+          {
+            where: {
+              event_id: competition.eventId,
+              role: recipient.role,
+              recipient_key: recipient.recipient_key,
+            },
+          }
+        )
+        await job.increment(['processed', 'failed'])
+      }
+    }
+
+    await job.update({ status: 'completed', finishedAt: new Date() })
+  } catch (error) {
+    await job.update({
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date(),
+    })
+    throw error
+  }
+}
+
+/**
+ * Queues certificate generation for every recipient of an event and returns
+ * the job to poll. Certificates generated by an earlier run are skipped
+ * unless `regenerate` is set.
+ */
+const queueGeneration = async (
+  eventId,
+  { requestedBy, regenerate = false }
+) => {
+  const competition = getCompetitionByEvent(eventId)
+  if (!competition) {
+    throw new HttpError(404, 'No competition for this event', 'NOT_FOUND')
+  }
+
+  const active = await CertificateJob.findOne({
+    where: { event_id: competition.eventId, status: ['queued', 'running'] },
+  })
+  if (active) {
+    throw new HttpError(
+      409,
+      'Certificates for this event are already being generated',
+      'JOB_ALREADY_RUNNING'
+    )
+  }
+
+  const job = await CertificateJob.create({
+    event_id: competition.eventId,
+    requested_by: requestedBy,
+  })
+  jobQueue.enqueue(`certificates:${competition.slug}:${job.job_id}`, () =>
+    runJob(job, competition, { regenerate })
+  )
+  return job
+}
+
+/**
+ * Marks jobs left queued or running by an earlier process as failed. The
+ * queue lives in memory, so they will never finish and would otherwise
+ * keep new runs for their event refused. Called once at boot.
+ */
+const failInterruptedJobs = () =>
+  CertificateJob.update(
+    {
+      status: 'failed',
+      error: 'Interrupted by a server restart',
+      finishedAt: new Date(),
+    },
+    { where: { status: ['queued', 'running'] } }
+  )
+
+const getJob = (eventId, jobId) =>
+  CertificateJob.findOne({ where: { job_id: jobId, event_id: eventId } })
+
+const listForEvent = (eventId) =>
+  Certificate.findAll({
+    where: { event_id: eventId },
+    order: [['recipient_name', 'ASC']],
+  })
+
+const listForUser = (userId) =>
+  Certificate.findAll({
+    where: { user_id: userId, status: 'generated', revokedAt: null },
+    order: [
+      ['event_id', 'ASC'],
+      ['recipient_name', 'ASC'],
+    ],
+  })
+
+const findBySerial = (serial) => Certificate.findOne({ where: { serial } })
+
+/**
+ * Public view of a certificate for third parties checking it is genuine.
+ * Only what is printed on the certificate is returned; certificates that were
+ * never generated are reported as not found.
+ */
+const verify = async (serial) => {
+  const certificate = await findBySerial(serial)
+  if (!certificate || certificate.status !== 'generated') {
+    throw new HttpError(404, 'Certificate not found', 'CERTIFICATE_NOT_FOUND')
+  }
+
+  const competition = getCompetitionByEvent(certificate.event_id)
+  const event = await Event.findByPk(certificate.event_id)
+  const revoked = Boolean(certificate.revokedAt)
+
+  return {
+    valid: !revoked,
+    serial: certificate.serial,
+    holder_name: certificate.recipient_name,
+    institution_name: certificate.institution_name,
+    event: event ? event.event_name : competition && competition.name,
+    role: certificate.role,
+    award: certificate.award,
+    issued_at: certificate.issuedAt,
+    revoked,
+    revoked_at: certificate.revokedAt,
+  }
+}
+
+const revoke = async (serial, { actorId, reason }) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new HttpError(
+      400,
+      'A reason is required to revoke a certificate',
+      'REASON_REQUIRED'
+    )
+  }
+
+  const certificate = await findBySerial(serial)
+  if (certificate.revokedAt) {
+    throw new HttpError(
+      409,
+      'Certificate is already revoked',
+      'CERTIFICATE_REVOKED'
+    )
+  }
+
+  return certificate.update({
+    revokedAt: new Date(),
+    revoke_reason: reason.trim(),
+    revoked_by: actorId,
+  })
+}
+
+// Readable file name inside downloads and ZIP archives
+const downloadName = (certificate) =>
+  `${certificate.serial}-${certificate.recipient_name
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '_')}.pdf`
+
+module.exports = {
+  ROLES,
+  collectRecipients,
+  queueGeneration,
+  failInterruptedJobs,
+  getJob,
+  listForEvent,
+  listForUser,
+  findBySerial,
+  verify,
+  verifyUrl,
+  revoke,
+  downloadName,
+}
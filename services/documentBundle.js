@@ -0,0 +1,194 @@
+const path = require('path')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const { csvLine, CSV_BOM } = require('../utils/csv')
+const { documentSlots, loadSections } = require('./documents')
+const { registrationNumber } = require('./receipt')
+const { logAccess } = require('./fileAccess')
+const storage = require('./storage')
+const { createZipStream } = require('./zipStream')
+
+const MANIFEST_COLUMNS = [
+  'registration_number',
+  'registration_name',
+  'file',
+  'document_key',
+  'owner',
+  'full_name',
+  'stored_path',
+  'status',
+]
+
+const ACRONYMS = { ktm: 'KTM' }
+
+// Keeps letters, digits and dashes so names work in every file system
+const safeName = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1)
+
+// e.g. Leader, Member1, Team or Dosbim; Craft documents have no owner part
+const ownerLabel = (section) => {
+  if (section === 'craft') return ''
+  if (section.startsWith('member')) return `Member${section.slice(6)}`
+  return capitalize(section)
+}
+
+const documentName = (column) =>
+  column
+    .split('_')
+    .map((word) => ACRONYMS[word] || capitalize(word))
+    .join('_')
+
+// Every stored document of a registration with its name inside the bundle,
+// e.g. Leader_Budi_Santoso_KTM.pdf or Team_Payment_Proof.png
+const registrationFiles = async (competition, entityId) => {
+  const sections = await loadSections(competition, entityId)
+  const main = sections.team || sections.craft
+  if (!main) return null
+
+  const name = main.row.team_name || main.row.full_name
+  const files = documentSlots(competition)
+    .filter(
+      (slot) =>
+        sections[slot.section] && sections[slot.section].row[slot.column]
+    )
+    .map((slot) => {
+      const { row } = sections[slot.section]
+      const storedPath = row[slot.column]
+      const fullName = ['team', 'craft'].includes(slot.section)
+        ? ''
+        : row.full_name
+      return {
+        documentKey: slot.key,
+        owner: ownerLabel(slot.section),
+        fullName: fullName || '',
+        storedPath,
+        name:
+          [ownerLabel(slot.section), fullName, documentName(slot.column)]
+            .map(safeName)
+            .filter(Boolean)
+            .join('_') + path.extname(storedPath).toLowerCase(),
+      }
+    })
+
+  return {
+    registrationNumber: registrationNumber(competition, entityId),
+    name,
+    files,
+  }
+}
+
+// Adds one registration's files under `folder` and returns its manifest rows
+const addRegistration = async (zip, folder, registration, { userId, req }) => {
+  const rows = []
+  const downloaded = []
+
+  for (const file of registration.files) {
+    const entryName = `${folder}/${file.name}`
+    const found =
+      storage.toKey(file.storedPath) && (await storage.exists(file.storedPath))
+    if (found) {
+      await zip.add(entryName, await storage.get(file.storedPath))
+      downloaded.push(file.storedPath)
+    }
+    rows.push([
+      registration.registrationNumber,
+      registration.name,
+      entryName,
+      file.documentKey,
+      file.owner,
+      file.fullName,
+      file.storedPath,
+      found ? 'included' : 'missing',
+    ])
+  }
+
+  await logAccess({ filePaths: downloaded, userId, action: 'download', req })
+  return rows
+}
+
+const manifest = (rows) =>
+  CSV_BOM + [MANIFEST_COLUMNS, ...rows].map(csvLine).join('')
+
+/**
+ * Streams a ZIP of every document of one registration, with manifest.csv
+ * listing each file and whether it was found in storage.
+ */
+const streamRegistrationBundle = async (
+  competition,
+  entityId,
+  res,
+  context
+) => {
+  const registration = await registrationFiles(competition, entityId)
+  if (!registration) {
+    throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+  }
+
+  const folder = safeName(registration.name) || registration.registrationNumber
+  const zip = createZipStream(
+    res,
+    `${registration.registrationNumber}-documents.zip`
+  )
+  const rows = await addRegistration(zip, folder, registration, context)
+  await zip.add('manifest.csv', manifest(rows))
+  await zip.finalize()
+}
+
+/**
+ * Streams a ZIP with a folder per registration of an event, optionally only
+ * those with one of `statuses`, and a single manifest.csv.
+ */
+const streamEventBundle = async (competition, { statuses }, res, context) => {
+  const isCraft = competition.type === 'individual'
+  const table = isCraft ? 'craft' : 'teams'
+  const idColumn = isCraft ? 'participant_id' : 'team_id'
+  const conditions = [
+    ...(isCraft ? [] : ['event_id = :eventId']),
+    ...(statuses.length ? ['status IN (:statuses)'] : []),
+  ]
+  const ids = (
+    await sequelize.query(
+      `SELECT ${idColumn} AS id FROM ${table}${
+        conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''
+      } ORDER BY ${idColumn}`,
+      {
+        replacements: { eventId: competition.eventId, statuses },
+        type: QueryTypes.SELECT,
+      }
+    )
+  ).map((row) => row.id)
+  if (!ids.length) {
+    throw new HttpError(404, 'No registrations found', 'NOT_FOUND')
+  }
+
+  const zip = createZipStream(res, `${competition.slug}-documents.zip`)
+  const folders = new Set()
+  const rows = []
+  for (const id of ids) {
+    const registration = await registrationFiles(competition, id)
+    if (!registration) continue
+
+    // Two teams may reduce to the same folder name
+    let folder = safeName(registration.name) || registration.registrationNumber
+    if (folders.has(folder)) {
+      folder = `${folder}_${registration.registrationNumber}`
+    }
+    folders.add(folder)
+
+    rows.push(...(await addRegistration(zip, folder, registration, context)))
+  }
+  await zip.add('manifest.csv', manifest(rows))
+  await zip.finalize()
+}
+
+module.exports = {
+  streamRegistrationBundle,
+  streamEventBundle,
+}
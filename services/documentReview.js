@@ -0,0 +1,263 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const verification = require('./verification')
+const { documentSlots, documentLabel, loadSections } = require('./documents')
+
+const { STATUSES, REVIEWER } = verification
+
+const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+}
+
+const REVIEW_STATUS_LIST = Object.values(REVIEW_STATUSES)
+
+const ENTITIES = {
+  team: { table: 'teams', key: 'team_id' },
+  craft: { table: 'craft', key: 'participant_id' },
+}
+
+// Registration statuses in which documents can be reviewed
+const REVIEWABLE = [
+  STATUSES.SUBMITTED,
+  STATUSES.UNDER_REVIEW,
+  STATUSES.RESUBMITTED,
+]
+
+// Documents without a review row are pending. Empty slots are left out.
+const buildChecklist = async (
+  competition,
+  entityType,
+  entityId,
+  transaction
+) => {
+  const sections = await loadSections(competition, entityId, transaction)
+  const reviews = await sequelize.query(
+    `SELECT document_key, status, reason, reviewer_id, updatedAt FROM document_reviews WHERE entity_type = :entityType AND entity_id = :entityId`,
+    {
+      replacements: { entityType, entityId },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  )
+
+  return documentSlots(competition)
+    .filter(
+      (slot) =>
+        sections[slot.section] && sections[slot.section].row[slot.column]
+    )
+    .map((slot) => {
+      const review = reviews.find((row) => row.document_key === slot.key)
+      return {
+        key: slot.key,
+        label: documentLabel(slot, sections),
+        file: sections[slot.section].row[slot.column],
+        status: review ? review.status : REVIEW_STATUSES.PENDING,
+        reason: review ? review.reason : null,
+        reviewer_id: review ? review.reviewer_id : null,
+        reviewedAt: review ? review.updatedAt : null,
+      }
+    })
+}
+
+const summarize = (checklist) =>
+  REVIEW_STATUS_LIST.reduce((summary, status) => {
+    summary[status] = checklist.filter((item) => item.status === status).length
+    return summary
+  }, {})
+
+const getChecklist = async (competition, entityType, entityId) => {
+  const checklist = await buildChecklist(competition, entityType, entityId)
+  return { documents: checklist, summary: summarize(checklist) }
+}
+
+const rejectionMessage = (rejected) =>
+  [
+    'The following documents need to be fixed:',
+    ...rejected.map((item) => `- ${item.label}: ${item.reason}`),
+  ].join('\n')
+
+/**
+ * Records the verdict on one document and derives the registration status
+ * from the checklist: the first review moves it under review, and once no
+ * document is pending it is verified when everything was approved or sent
+ * back for revision with the rejected documents flagged and listed in the
+ * rejection message.
+ */
+const reviewDocument = async (
+  competition,
+  { entityType, entityId, documentKey, status, reason, reviewerId }
+) =>
+  sequelize.transaction(async (transaction) => {
+    if (!REVIEW_STATUS_LIST.includes(status)) {
+      throw new HttpError(
+        400,
+        `status must be one of ${REVIEW_STATUS_LIST.join(', ')}`,
+        'INVALID_REVIEW_STATUS'
+      )
+    }
+    if (status === REVIEW_STATUSES.REJECTED && !(reason && reason.trim())) {
+      throw new HttpError(
+        400,
+        'A reason is required to reject a document',
+        'REASON_REQUIRED'
+      )
+    }
+
+    const { table, key } = ENTITIES[entityType]
+    const [record] = await sequelize.query(
+      `SELECT status FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+      {
+        replacements: { entityId },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+
+    if (!record) {
+      throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+    }
+    if (!REVIEWABLE.includes(record.status)) {
+      throw new HttpError(
+        409,
+        `Documents cannot be reviewed while the registration is ${record.status}`,
+        'REVIEW_NOT_ALLOWED'
+      )
+    }
+
+    const current = await buildChecklist(
+      competition,
+      entityType,
+      entityId,
+      transaction
+    )
+    if (!current.some((item) => item.key === documentKey)) {
+      throw new HttpError(
+        404,
+        `No uploaded document ${documentKey} for this registration`,
+        'DOCUMENT_NOT_FOUND'
+      )
+    }
+
+    await sequelize.query(
+      `INSERT INTO document_reviews (entity_type, entity_id, document_key, status, reason, reviewer_id, createdAt, updatedAt)
+      VALUES (:entityType, :entityId, :documentKey, :status, :reason, :reviewerId, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE status = VALUES(status), reason = VALUES(reason), reviewer_id = VALUES(reviewer_id), updatedAt = NOW()`,
+      {
+        replacements: {
+          entityType,
+          entityId,
+          documentKey,
+          status,
+          reason: status === REVIEW_STATUSES.REJECTED ? reason.trim() : null,
+          reviewerId,
+        },
+        type: QueryTypes.INSERT,
+        transaction,
+      }
+    )
+
+    const checklist = await buildChecklist(
+      competition,
+      entityType,
+      entityId,
+      transaction
+    )
+    const summary = summarize(checklist)
+    const move = (to, extra = {}) =>
+      verification.transition({
+        entityType,
+        entityId,
+        to,
+        actorId: reviewerId,
+        actorKinds: [REVIEWER],
+        transaction,
+        ...extra,
+      })
+
+    let registrationStatus = record.status
+    if (summary.pending === 0 && summary.rejected > 0) {
+      const rejected = checklist.filter(
+        (item) => item.status === REVIEW_STATUSES.REJECTED
+      )
+      registrationStatus = (
+        await move(STATUSES.REVISION_REQUESTED, {
+          note: rejectionMessage(rejected),
+          flags: { documents: rejected.map((item) => item.key), fields: [] },
+        })
+      ).to
+    } else if (summary.pending === 0) {
+      registrationStatus = (await move(STATUSES.VERIFIED)).to
+    } else if (record.status !== STATUSES.UNDER_REVIEW) {
+      registrationStatus = (await move(STATUSES.UNDER_REVIEW)).to
+    }
+
+    return { documents: checklist, summary, status: registrationStatus }
+  })
+
+/**
+ * verification.transition for committee routes that set the status
+ * directly. The checklist decides when a registration is verified, so
+ * `verified` is refused while any uploaded document is pending or rejected.
+ */
+const transition = (competition, options) =>
+  sequelize.transaction(async (transaction) => {
+    const { entityType, entityId, to } = options
+    if (to === STATUSES.VERIFIED) {
+      const { table, key } = ENTITIES[entityType]
+      await sequelize.query(
+        `SELECT status FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+        {
+          replacements: { entityId },
+          type: QueryTypes.SELECT,
+          transaction,
+        }
+      )
+      const summary = summarize(
+        await buildChecklist(competition, entityType, entityId, transaction)
+      )
+      if (summary.pending || summary.rejected) {
+        throw new HttpError(
+          409,
+          'Every document has to be approved before the registration is verified',
+          'DOCUMENTS_NOT_APPROVED'
+        )
+      }
+    }
+    return verification.transition({ ...options, transaction })
+  })
+
+// Replaced documents go back to pending for the next review round
+const resetReviews = async (
+  entityType,
+  entityId,
+  documentKeys,
+  transaction
+) => {
+  if (!documentKeys.length) return
+  await sequelize.query(
+    `UPDATE document_reviews SET status = :pending, reason = NULL, reviewer_id = NULL, updatedAt = NOW()
+    WHERE entity_type = :entityType AND entity_id = :entityId AND document_key IN (:documentKeys)`,
+    {
+      replacements: {
+        pending: REVIEW_STATUSES.PENDING,
+        entityType,
+        entityId,
+        documentKeys,
+      },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_LIST,
+  getChecklist,
+  reviewDocument,
+  transition,
+  resetReviews,
+}
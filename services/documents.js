@@ -0,0 +1,228 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+
+// Documents and editable fields of a registration. Documents are keyed by
+// their upload field name (`leader_ktm`, `payment_proof`, `dosbim_photo`) and
+// team fields by `<section>.<column>` (`team.team_name`, `member1.email`,
+// `fcec.abstract_title`). Craft fields are keyed by their column name.
+//
+// A section is the row a value is stored in: `team`, `leader`, `member<n>`,
+// an extra's name, or `craft` for individual competitions.
+
+const memberSections = (competition) => {
+  const sections = ['leader']
+  for (let number = 1; number <= competition.maxMembers; number++) {
+    sections.push(`member${number}`)
+  }
+  return sections
+}
+
+const documentSlots = (competition) => {
+  if (competition.type === 'individual') {
+    return competition.documents.map((key) => ({
+      key,
+      section: 'craft',
+      column: key,
+    }))
+  }
+
+  const slots = competition.teamDocuments.map((key) => ({
+    key,
+    section: 'team',
+    column: key,
+  }))
+  competition.extras.forEach((extra) => {
+    Object.entries(extra.documents).forEach(([column, key]) => {
+      slots.push({ key, section: extra.name, column })
+    })
+  })
+  memberSections(competition).forEach((section) => {
+    competition.memberDocuments.forEach((column) => {
+      slots.push({ key: `${section}_${column}`, section, column })
+    })
+  })
+  return slots
+}
+
+const fieldSlots = (competition) => {
+  if (competition.type === 'individual') {
+    return competition.fields.map((key) => ({
+      key,
+      section: 'craft',
+      column: key,
+    }))
+  }
+
+  const slot = (section, column) => ({
+    key: `${section}.${column}`,
+    section,
+    column,
+  })
+  return [
+    ...competition.teamFields.map((column) => slot('team', column)),
+    ...memberSections(competition).flatMap((section) =>
+      competition.memberFields.map((column) => slot(section, column))
+    ),
+    ...competition.extras.flatMap((extra) =>
+      extra.fields.map((column) => slot(extra.name, column))
+    ),
+  ]
+}
+
+// Readable name of a document for review messages, e.g. "Member 1 (Budi) KTM"
+const ACRONYMS = { ktm: 'KTM' }
+
+const humanize = (name) =>
+  name
+    .split('_')
+    .map((word) => ACRONYMS[word] || word)
+    .join(' ')
+
+const documentLabel = (slot, sections = {}) => {
+  const document = humanize(slot.column)
+  if (slot.section === 'team' || slot.section === 'craft') {
+    return document.charAt(0).toUpperCase() + document.slice(1)
+  }
+
+  const row = sections[slot.section] && sections[slot.section].row
+  const owner =
+    slot.section === 'leader'
+      ? 'Leader'
+      : slot.section.startsWith('member')
+      ? `Member ${slot.section.slice('member'.length)}`
+      : slot.section.toUpperCase()
+  const name = row && row.full_name ? ` (${row.full_name})` : ''
+  return `${owner}${name} ${document}`
+}
+
+/**
+ * Validates the documents and fields a committee member flags for revision.
+ * Returns null when nothing is flagged, which leaves the whole registration
+ * open for resubmission.
+ */
+const normalizeFlags = (competition, flags) => {
+  if (!flags) return null
+
+  const documents = flags.documents || []
+  const fields = flags.fields || []
+  if (!Array.isArray(documents) || !Array.isArray(fields)) {
+    throw new HttpError(
+      400,
+      'flags.documents and flags.fields must be arrays',
+      'INVALID_REVISION_FLAGS'
+    )
+  }
+
+  const documentKeys = documentSlots(competition).map((slot) => slot.key)
+  const fieldKeys = fieldSlots(competition).map((slot) => slot.key)
+  const unknown = [
+    ...documents.filter((key) => !documentKeys.includes(key)),
+    ...fields.filter((key) => !fieldKeys.includes(key)),
+  ]
+  if (unknown.length) {
+    throw new HttpError(
+      400,
+      `Unknown documents or fields flagged: ${unknown.join(', ')}`,
+      'INVALID_REVISION_FLAGS'
+    )
+  }
+
+  if (!documents.length && !fields.length) return null
+  return { documents: [...new Set(documents)], fields: [...new Set(fields)] }
+}
+
+const parseFlags = (value) => (value ? JSON.parse(value) : null)
+
+// Table a section is stored in
+const sectionTable = (competition, section) => {
+  if (section === 'team') return 'teams'
+  if (section === 'craft') return 'craft'
+  if (section === 'leader' || section.startsWith('member')) return 'members'
+  return competition.extras.find((extra) => extra.name === section).table
+}
+
+/**
+ * Loads the rows behind every section of a registration. Each section holds
+ * its table, the WHERE clause identifying its row and the row itself;
+ * members missing from the team are left out.
+ */
+const loadSections = async (competition, entityId, transaction) => {
+  const select = (sql, replacements) =>
+    sequelize.query(sql, {
+      replacements,
+      type: QueryTypes.SELECT,
+      transaction,
+    })
+
+  if (competition.type === 'individual') {
+    const [row] = await select(
+      `SELECT * FROM craft WHERE participant_id = :entityId`,
+      { entityId }
+    )
+    return row
+      ? {
+          craft: {
+            table: 'craft',
+            where: { participant_id: entityId },
+            row,
+          },
+        }
+      : {}
+  }
+
+  const sections = {}
+  const [team] = await select(`SELECT * FROM teams WHERE team_id = :entityId`, {
+    entityId,
+  })
+  if (!team) return sections
+  sections.team = { table: 'teams', where: { team_id: entityId }, row: team }
+
+  const members = await select(
+    `SELECT * FROM members WHERE team_id = :entityId ORDER BY is_leader DESC, member_id ASC`,
+    { entityId }
+  )
+  const leader = members.find((member) => member.is_leader === 1)
+  if (leader) {
+    sections.leader = {
+      table: 'members',
+      where: { member_id: leader.member_id },
+      row: leader,
+    }
+  }
+  members
+    .filter((member) => member.is_leader === 0)
+    .forEach((member, index) => {
+      sections[`member${index + 1}`] = {
+        table: 'members',
+        where: { member_id: member.member_id },
+        row: member,
+      }
+    })
+
+  for (const extra of competition.extras) {
+    const [row] = await select(
+      `SELECT * FROM ${extra.table} WHERE team_id = :entityId`,
+      { entityId }
+    )
+    if (row) {
+      sections[extra.name] = {
+        table: extra.table,
+        where: { team_id: entityId },
+        row,
+      }
+    }
+  }
+
+  return sections
+}
+
+module.exports = {
+  documentSlots,
+  fieldSlots,
+  documentLabel,
+  normalizeFlags,
+  parseFlags,
+  sectionTable,
+  loadSections,
+}
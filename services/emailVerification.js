@@ -0,0 +1,133 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const env = require('../config/env')
+const HttpError = require('../utils/httpError')
+const frontendUrl = require('../utils/frontendUrl')
+const { PURPOSES, issue, consume, issuedSince } = require('./userTokens')
+const { sendMail } = require('./mailer')
+const emailVerificationEmail = require('../templates/emailVerificationEmail')
+
+const VERIFICATION_TOKEN_HOURS = env.EMAIL_VERIFICATION_TTL_HOURS
+// Resending waits this long after the previous email, and an account gets
+// at most RESEND_DAILY_LIMIT emails a day
+const RESEND_COOLDOWN_SECONDS = env.EMAIL_VERIFICATION_RESEND_SECONDS
+const RESEND_DAILY_LIMIT = 5
+
+// When true, unverified accounts cannot register teams or Craft participants
+const REQUIRE_VERIFIED_EMAIL = env.REQUIRE_VERIFIED_EMAIL
+
+const findUser = async (userId) => {
+  const [user] = await sequelize.query(
+    `SELECT user_id, username, email, emailVerified FROM users WHERE user_id = :userId`,
+    { replacements: { userId }, type: QueryTypes.SELECT }
+  )
+  if (!user) {
+    throw new HttpError(404, 'User not found', 'NOT_FOUND')
+  }
+  return user
+}
+
+/**
+ * Emails a confirmation link to a user's address. Earlier links stop
+ * working. Mail errors are logged, not thrown, so a slow or failing mail
+ * server does not fail registration.
+ */
+const sendVerification = async (user) => {
+  const token = await issue(user.user_id, PURPOSES.EMAIL_VERIFICATION, {
+    ttlMinutes: VERIFICATION_TOKEN_HOURS * 60,
+  })
+  sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      username: user.username,
+      link: frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+      expiresInHours: VERIFICATION_TOKEN_HOURS,
+    }),
+  }).catch((error) => console.error('Email verification email:', error))
+}
+
+/**
+ * Sends another confirmation link, at most once per cooldown and
+ * RESEND_DAILY_LIMIT times a day.
+ */
+const resend = async (userId) => {
+  const user = await findUser(userId)
+  if (user.emailVerified) {
+    throw new HttpError(
+      409,
+      'Email address is already verified',
+      'EMAIL_ALREADY_VERIFIED'
+    )
+  }
+
+  const sent = await issuedSince(
+    userId,
+    PURPOSES.EMAIL_VERIFICATION,
+    new Date(Date.now() - 24 * 60 * 60 * 1000)
+  )
+  const waitSeconds = sent.length
+    ? Math.ceil(
+        (new Date(sent[0].createdAt).getTime() +
+          RESEND_COOLDOWN_SECONDS * 1000 -
+          Date.now()) /
+          1000
+      )
+    : 0
+  if (waitSeconds > 0 || sent.length >= RESEND_DAILY_LIMIT) {
+    const error = new HttpError(
+      429,
+      waitSeconds > 0
+        ? `Please wait ${waitSeconds} seconds before requesting another email`
+        : 'Too many verification emails today, please try again tomorrow',
+      'RESEND_TOO_SOON'
+    )
+    error.retryAfter =
+      waitSeconds > 0
+        ? waitSeconds
+        : Math.ceil(
+            (new Date(sent[sent.length - 1].createdAt).getTime() +
+              24 * 60 * 60 * 1000 -
+              Date.now()) /
+              1000
+          )
+    throw error
+  }
+
+  await sendVerification(user)
+}
+
+// Confirms the address a token was sent to
+const verify = async (token) =>
+  sequelize.transaction(async (transaction) => {
+    const userId = await consume(token, PURPOSES.EMAIL_VERIFICATION, {
+      transaction,
+    })
+    await sequelize.query(
+      `UPDATE users SET emailVerified = true, emailVerifiedAt = NOW(), updatedAt = NOW() WHERE user_id = :userId`,
+      { replacements: { userId }, type: QueryTypes.UPDATE, transaction }
+    )
+  })
+
+/**
+ * Rejects users whose address is unverified when REQUIRE_VERIFIED_EMAIL is
+ * on; passes everyone otherwise.
+ */
+const assertVerified = async (userId) => {
+  if (!REQUIRE_VERIFIED_EMAIL) return
+  const user = await findUser(userId)
+  if (!user.emailVerified) {
+    throw new HttpError(
+      403,
+      'Please verify your email address before registering',
+      'EMAIL_NOT_VERIFIED'
+    )
+  }
+}
+
+module.exports = {
+  REQUIRE_VERIFIED_EMAIL,
+  sendVerification,
+  resend,
+  verify,
+  assertVerified,
+}
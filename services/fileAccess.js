@@ -0,0 +1,191 @@
+const crypto = require('crypto')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const { COMPETITIONS } = require('../config/competitions')
+const env = require('../config/env')
+const { documentSlots, sectionTable } = require('./documents')
+const { toKey } = require('./storage')
+
+const FILE_URL_TTL = env.FILE_URL_TTL
+
+const signature = (filePath, userId, expires) =>
+  crypto
+    .createHmac('sha256', env.FILE_URL_SECRET)
+    .update(`${filePath}:${userId}:${expires}`)
+    .digest('base64url')
+
+/**
+ * Builds a download link for `filePath` bound to the user it was issued to.
+ * Access must be checked before calling this; the link itself only proves
+ * that it was issued and has not expired. `ttl` is in seconds.
+ */
+const signUrl = (
+  filePath,
+  userId,
+  { ttl = FILE_URL_TTL, now = Date.now() } = {}
+) => {
+  const expires = Math.floor(now / 1000) + ttl
+  const query = new URLSearchParams({
+    path: filePath,
+    uid: String(userId),
+    expires: String(expires),
+    signature: signature(filePath, userId, expires),
+  })
+  return {
+    url: `/api/files/download?${query}`,
+    expiresAt: new Date(expires * 1000),
+  }
+}
+
+const verifySignedUrl = (
+  { path: filePath, uid, expires, signature: given },
+  now = Date.now()
+) => {
+  if (!filePath || !uid || !expires || !given) return false
+  if (Number(expires) * 1000 < now) return false
+
+  const expected = Buffer.from(signature(filePath, uid, expires))
+  const received = Buffer.from(String(given))
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  )
+}
+
+// Tables and columns holding documents, derived from the competition registry
+const documentColumns = () => {
+  const sources = []
+  Object.values(COMPETITIONS).forEach((competition) => {
+    const byTable = {}
+    documentSlots(competition).forEach((slot) => {
+      const table = sectionTable(competition, slot.section)
+      byTable[table] = byTable[table] || []
+      byTable[table].push(slot.column)
+    })
+    if (competition.legacyDocuments) {
+      byTable.teams = [...(byTable.teams || []), ...competition.legacyDocuments]
+    }
+    Object.entries(byTable).forEach(([table, columns]) => {
+      sources.push({ competition, table, columns: [...new Set(columns)] })
+    })
+  })
+  return sources
+}
+
+const ownerQuery = ({ table, columns }) => {
+  const match = columns
+    .map((column) => `${table}.${column} = :filePath`)
+    .join(' OR ')
+  if (table === 'craft') {
+    return `SELECT 'craft' AS entity_type, participant_id AS entity_id, user_id FROM craft WHERE ${match}`
+  }
+
+  const from =
+    table === 'teams'
+      ? 'teams'
+      : `${table} JOIN teams ON teams.team_id = ${table}.team_id`
+  return `SELECT 'team' AS entity_type, teams.team_id AS entity_id, teams.event_id, teams.user_id FROM ${from} WHERE teams.event_id = :eventId AND (${match})`
+}
+
+const registrationOwner = async (entityType, entityId) => {
+  if (entityType === 'craft') {
+    const [craft] = await sequelize.query(
+      `SELECT user_id FROM craft WHERE participant_id = :entityId`,
+      { replacements: { entityId }, type: QueryTypes.SELECT }
+    )
+    return craft
+      ? { ...craft, event_id: COMPETITIONS.craft.eventId, entity_id: entityId }
+      : null
+  }
+
+  const [team] = await sequelize.query(
+    `SELECT team_id AS entity_id, event_id, user_id FROM teams WHERE team_id = :entityId`,
+    { replacements: { entityId }, type: QueryTypes.SELECT }
+  )
+  return team || null
+}
+
+/**
+ * Finds the registration an uploaded file belongs to, either as a current
+ * document or as a replaced version. Returns { entity_type, entity_id,
+ * event_id, user_id }, or null for files nobody references. A file is only
+ * ever stored for one registration, so a key referenced by several was
+ * copied into a record and belongs to none of them: that returns null too.
+ */
+const findFileOwner = async (filePath) => {
+  if (!toKey(filePath)) return null
+
+  const owners = []
+  for (const source of documentColumns()) {
+    const rows = await sequelize.query(ownerQuery(source), {
+      replacements: { filePath, eventId: source.competition.eventId },
+      type: QueryTypes.SELECT,
+    })
+    rows.forEach((owner) =>
+      owners.push(
+        source.table === 'craft'
+          ? { ...owner, event_id: COMPETITIONS.craft.eventId }
+          : owner
+      )
+    )
+  }
+
+  const versions = await sequelize.query(
+    `SELECT DISTINCT entity_type, entity_id FROM document_versions WHERE file_path = :filePath`,
+    { replacements: { filePath }, type: QueryTypes.SELECT }
+  )
+  for (const version of versions) {
+    const owner = await registrationOwner(
+      version.entity_type,
+      version.entity_id
+    )
+    if (owner) owners.push({ ...owner, entity_type: version.entity_type })
+  }
+
+  const claimants = new Set(
+    owners.map((owner) => `${owner.entity_type}:${owner.entity_id}`)
+  )
+  if (claimants.size > 1) {
+    console.warn(
+      `${filePath} is referenced by ${[...claimants].join(
+        ', '
+      )}; refusing access`
+    )
+    return null
+  }
+  return owners[0] || null
+}
+
+// Every signing and download is recorded; a failed entry fails the request.
+// Pass `filePaths` to record every file signed by one request in one insert.
+const logAccess = ({
+  filePath,
+  filePaths = [filePath],
+  userId,
+  action,
+  req,
+}) => {
+  if (!filePaths.length) return Promise.resolve()
+
+  const rows = filePaths.map((path) => [
+    path,
+    userId || null,
+    action,
+    req.ip || null,
+    req.get('user-agent') || null,
+    new Date(),
+  ])
+  return sequelize.query(
+    `INSERT INTO file_access_logs (file_path, user_id, action, ip_address, user_agent, createdAt) VALUES :rows`,
+    { replacements: { rows }, type: QueryTypes.INSERT }
+  )
+}
+
+module.exports = {
+  FILE_URL_TTL,
+  documentColumns,
+  signUrl,
+  verifySignedUrl,
+  findFileOwner,
+  logAccess,
+}
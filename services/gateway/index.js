@@ -0,0 +1,38 @@
+const env = require('../../config/env')
+const createMockGateway = require('./mock')
+const createMidtransGateway = require('./midtrans')
+
+/**
+ * Payment gateway for online payments. PAYMENT_GATEWAY selects `mock`
+ * (default, nothing leaves this server; refused in production) or
+ * `midtrans`.
+ *
+ * Drivers implement:
+ * - createCharge({ orderId, amount, description, customer, expiresAt })
+ *   resolving to { orderId, checkoutUrl, expiresAt }
+ * - parseWebhook(rawBody, headers) returning { eventKey, type, orderId,
+ *   amount }, where type is settlement, expire, refund, failure or
+ *   undefined for events that change nothing. Throws a 401 HttpError when
+ *   the signature does not match.
+ */
+
+const createGateway = (name = env.PAYMENT_GATEWAY) => {
+  if (name === 'mock') {
+    return createMockGateway({ secret: env.PAYMENT_WEBHOOK_SECRET })
+  }
+  if (name === 'midtrans') {
+    return createMidtransGateway({
+      serverKey: env.MIDTRANS_SERVER_KEY,
+      production: env.MIDTRANS_PRODUCTION,
+    })
+  }
+  throw new Error(`Unknown payment gateway: ${name}`)
+}
+
+let gateway = null
+const current = () => {
+  if (!gateway) gateway = createGateway()
+  return gateway
+}
+
+module.exports = { createGateway, current }
@@ -0,0 +1,63 @@
+const crypto = require('crypto')
+const HttpError = require('../../utils/httpError')
+
+const SIGNATURE_HEADER = 'x-mock-signature'
+
+/**
+ * Gateway that never leaves this server, for development and tests.
+ * Charges have no checkout page; their webhooks are produced with
+ * signedEvent() (see POST /api/payments/{payment_id}/simulate) and signed
+ * with `secret` exactly like a real gateway would.
+ */
+const createMockGateway = ({ secret }) => {
+  const sign = (body) =>
+    crypto.createHmac('sha256', secret).update(body).digest('hex')
+
+  return {
+    name: 'mock',
+
+    createCharge: async ({ orderId, expiresAt }) => ({
+      orderId,
+      checkoutUrl: null,
+      expiresAt,
+    }),
+
+    parseWebhook: (rawBody, headers) => {
+      const expected = Buffer.from(sign(rawBody))
+      const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ''))
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+      ) {
+        throw new HttpError(
+          401,
+          'Invalid webhook signature',
+          'INVALID_SIGNATURE'
+        )
+      }
+
+      const payload = JSON.parse(rawBody.toString('utf8'))
+      return {
+        eventKey: payload.event_id,
+        type: payload.type,
+        orderId: payload.order_id,
+        amount: payload.amount,
+      }
+    },
+
+    // A webhook as the gateway would deliver it
+    signedEvent: ({ orderId, type, amount }) => {
+      const rawBody = Buffer.from(
+        JSON.stringify({
+          event_id: crypto.randomUUID(),
+          type,
+          order_id: orderId,
+          amount,
+        })
+      )
+      return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } }
+    },
+  }
+}
+
+module.exports = createMockGateway
@@ -0,0 +1,29 @@
+// In-process background queue. Jobs run one at a time after the request that
+// queued them has been answered. Jobs live in memory only: anything queued or
+// running when the process stops has to be queued again.
+
+const pending = []
+let running = false
+
+const drain = async () => {
+  if (running) return
+  running = true
+  while (pending.length) {
+    const job = pending.shift()
+    try {
+      await job.run()
+    } catch (error) {
+      console.error(`Background job ${job.name} failed:`, error)
+    }
+  }
+  running = false
+}
+
+const enqueue = (name, run) => {
+  pending.push({ name, run })
+  setImmediate(drain)
+}
+
+const size = () => pending.length + (running ? 1 : 0)
+
+module.exports = { enqueue, size }
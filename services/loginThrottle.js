@@ -0,0 +1,76 @@
+const HttpError = require('../utils/httpError')
+const { login: LIMITS } = require('../config/rateLimits')
+const { secondsLeft, peek, hit, reset } = require('./rateLimit')
+
+// Usernames and emails compare case-insensitively in the database, so the
+// counters do too. Unknown usernames are counted like real ones, which
+// keeps lockouts from revealing which accounts exist.
+const accountOf = (identifier) => String(identifier).trim().toLowerCase()
+
+const keys = {
+  failures: (account) => `login:failures:${account}`,
+  lock: (account) => `login:lock:${account}`,
+  ip: (ip) => `login:ip:${ip}`,
+}
+
+const tooMany = (counter, code) => {
+  const error = new HttpError(
+    429,
+    'Too many failed login attempts, please try again later',
+    code
+  )
+  error.retryAfter = secondsLeft(counter)
+  return error
+}
+
+// Lockouts fail open: a store outage should not stop everyone logging in
+const guarded = async (fn) => {
+  try {
+    return await fn()
+  } catch (error) {
+    if (error instanceof HttpError) throw error
+    console.error(error)
+  }
+}
+
+/**
+ * Throws a 429 HttpError with retryAfter (seconds) when the account is
+ * locked out or the client IP has failed too often. Checked before the
+ * password, so a locked account cannot be probed.
+ */
+const check = (identifier, ip) =>
+  guarded(async () => {
+    const lock = await peek(keys.lock(accountOf(identifier)))
+    if (lock) throw tooMany(lock, 'ACCOUNT_LOCKED')
+
+    const ipFailures = await peek(keys.ip(ip))
+    if (ipFailures && ipFailures.count >= LIMITS.ipMaxFailures) {
+      throw tooMany(ipFailures, 'TOO_MANY_ATTEMPTS')
+    }
+  })
+
+/**
+ * Counts a failed login. From the maxFailures-th failure on, each one locks
+ * the account, twice as long as the one before.
+ */
+const recordFailure = (identifier, ip) =>
+  guarded(async () => {
+    const account = accountOf(identifier)
+    await hit(keys.ip(ip), LIMITS.ipWindowSeconds)
+    const { count } = await hit(
+      keys.failures(account),
+      LIMITS.failureWindowSeconds
+    )
+    if (count >= LIMITS.maxFailures) {
+      const seconds = Math.min(
+        LIMITS.lockoutSeconds * 2 ** (count - LIMITS.maxFailures),
+        LIMITS.maxLockoutSeconds
+      )
+      await hit(keys.lock(account), seconds)
+    }
+  })
+
+const recordSuccess = (identifier) =>
+  guarded(() => reset(keys.failures(accountOf(identifier))))
+
+module.exports = { check, recordFailure, recordSuccess }
@@ -0,0 +1,39 @@
+const env = require('../../config/env')
+const createSmtpDriver = require('./smtp')
+const createLogDriver = require('./log')
+const createMemoryDriver = require('./memory')
+
+/**
+ * Outgoing email. MAIL_DRIVER selects `smtp`, `log` (default, prints the
+ * message to the console) or `memory` (keeps messages in `outbox`, for
+ * scripts and tests). For local testing point `smtp` at a stand-in such as
+ * MailHog or smtp4dev: SMTP_HOST=localhost SMTP_PORT=1025.
+ *
+ * Drivers implement send({ from, to, subject, text, html }).
+ */
+
+const createMailer = (name = env.MAIL_DRIVER) => {
+  if (name === 'smtp') {
+    return createSmtpDriver({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    })
+  }
+  if (name === 'log') return createLogDriver()
+  if (name === 'memory') return createMemoryDriver()
+  throw new Error(`Unknown mail driver: ${name}`)
+}
+
+let mailer = null
+const current = () => {
+  if (!mailer) mailer = createMailer()
+  return mailer
+}
+
+const sendMail = (message) =>
+  current().send({ from: env.MAIL_FROM, ...message })
+
+module.exports = { createMailer, current, sendMail }
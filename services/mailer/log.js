@@ -0,0 +1,10 @@
+// Prints messages instead of sending them, for development
+const createLogDriver = () => ({
+  name: 'log',
+  send: async ({ from, to, subject, text }) => {
+    console.log(`[mail] ${from} -> ${to}: ${subject}\n${text}`)
+    return { messageId: null }
+  },
+})
+
+module.exports = createLogDriver
@@ -0,0 +1,14 @@
+// Keeps messages in `outbox` so scripts and tests can read them back
+const createMemoryDriver = () => {
+  const outbox = []
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push(message)
+      return { messageId: `memory-${outbox.length}` }
+    },
+  }
+}
+
+module.exports = createMemoryDriver
@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer')
+
+const createSmtpDriver = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail driver')
+  }
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    // Local stand-ins such as MailHog accept mail without logging in
+    auth: user ? { user, pass } : undefined,
+  })
+
+  return {
+    name: 'smtp',
+    send: (message) => transport.sendMail(message),
+  }
+}
+
+module.exports = createSmtpDriver
@@ -0,0 +1,389 @@
+const crypto = require('crypto')
+const { QueryTypes, UniqueConstraintError } = require('sequelize')
+const sequelize = require('../config/database')
+const env = require('../config/env')
+const HttpError = require('../utils/httpError')
+const {
+  COMPETITIONS,
+  getCompetitionByEvent,
+} = require('../config/competitions')
+const { STATUSES } = require('./verification')
+const { registrationNumber } = require('./receipt')
+const {
+  PAYMENT_STATUSES,
+  TABLES,
+  markPaid,
+  markRefunded,
+} = require('./payments')
+const gateway = require('./gateway')
+
+const STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+}
+
+// What each webhook event does to a payment and the states it applies to.
+// Events in any other state change nothing, so redelivered and out of
+// order events are harmless. A settlement may arrive after expiry; the
+// money was received, so it still counts.
+const TRANSITIONS = {
+  settlement: {
+    from: [STATUS.PENDING, STATUS.EXPIRED, STATUS.FAILED],
+    to: STATUS.PAID,
+  },
+  expire: { from: [STATUS.PENDING], to: STATUS.EXPIRED },
+  failure: { from: [STATUS.PENDING], to: STATUS.FAILED },
+  refund: { from: [STATUS.PAID], to: STATUS.REFUNDED },
+}
+
+const EVENT_TYPES = Object.keys(TRANSITIONS)
+
+const PAYMENT_EXPIRY_MINUTES = env.PAYMENT_EXPIRY_MINUTES
+
+// Registrations that can no longer be paid for
+const CLOSED_STATUSES = [STATUSES.REJECTED, STATUSES.WITHDRAWN]
+
+const loadRegistration = async (entityType, entityId, transaction) => {
+  const { table, key } = TABLES[entityType]
+  const [record] = await sequelize.query(
+    `SELECT * FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+    { replacements: { entityId }, type: QueryTypes.SELECT, transaction }
+  )
+  if (!record) return null
+
+  if (entityType === 'craft') {
+    return {
+      record,
+      competition: COMPETITIONS.craft,
+      customer: { name: record.full_name, email: record.email },
+    }
+  }
+  const [leader] = await sequelize.query(
+    `SELECT full_name, email FROM members WHERE team_id = :entityId AND is_leader = 1`,
+    { replacements: { entityId }, type: QueryTypes.SELECT, transaction }
+  )
+  return {
+    record,
+    competition: getCompetitionByEvent(record.event_id),
+    customer: {
+      name: record.team_name,
+      email: record.email || (leader && leader.email),
+    },
+  }
+}
+
+const listPayments = (entityType, entityId) =>
+  sequelize.query(
+    `SELECT * FROM payments WHERE entity_type = :entityType AND entity_id = :entityId ORDER BY createdAt DESC`,
+    { replacements: { entityType, entityId }, type: QueryTypes.SELECT }
+  )
+
+const findPayment = async (paymentId) => {
+  const [payment] = await sequelize.query(
+    `SELECT * FROM payments WHERE payment_id = :paymentId`,
+    { replacements: { paymentId }, type: QueryTypes.SELECT }
+  )
+  if (!payment) {
+    throw new HttpError(404, 'Payment not found', 'NOT_FOUND')
+  }
+  return payment
+}
+
+// A charge being created at the gateway is a pending payment without
+// expiresAt. One older than this was abandoned, e.g. by a restart.
+const RESERVATION_SECONDS = 60
+
+// Checks the locked registration and reserves a payment row for a new
+// charge. Resolves to { payment } when a usable charge already exists.
+const reserveCharge = async (entityType, entityId, { userId }) =>
+  sequelize.transaction(async (transaction) => {
+    const registration = await loadRegistration(
+      entityType,
+      entityId,
+      transaction
+    )
+    if (!registration || !registration.competition) {
+      throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+    }
+    const { record, competition, customer } = registration
+
+    if (record.payment_status === PAYMENT_STATUSES.PAID) {
+      throw new HttpError(
+        409,
+        'Registration has already been paid',
+        'ALREADY_PAID'
+      )
+    }
+    if (CLOSED_STATUSES.includes(record.status)) {
+      throw new HttpError(
+        409,
+        `A ${record.status} registration cannot be paid`,
+        'REGISTRATION_CLOSED'
+      )
+    }
+    if (!record.expected_amount) {
+      throw new HttpError(
+        400,
+        'Registration has nothing to pay',
+        'NOTHING_TO_PAY'
+      )
+    }
+
+    const replacements = {
+      entityType,
+      entityId,
+      pending: STATUS.PENDING,
+      failed: STATUS.FAILED,
+      amount: record.expected_amount,
+      seconds: RESERVATION_SECONDS,
+    }
+    await sequelize.query(
+      `UPDATE payments SET status = :failed, updatedAt = NOW() WHERE entity_type = :entityType AND entity_id = :entityId AND status = :pending AND expiresAt IS NULL AND createdAt <= NOW() - INTERVAL :seconds SECOND`,
+      { replacements, type: QueryTypes.UPDATE, transaction }
+    )
+    const [pending] = await sequelize.query(
+      `SELECT * FROM payments WHERE entity_type = :entityType AND entity_id = :entityId AND status = :pending AND amount = :amount AND (expiresAt IS NULL OR expiresAt > NOW()) ORDER BY createdAt DESC LIMIT 1`,
+      { replacements, type: QueryTypes.SELECT, transaction }
+    )
+    if (pending && !pending.expiresAt) {
+      throw new HttpError(
+        409,
+        'A payment for this registration is being created, try again shortly',
+        'CHARGE_IN_PROGRESS'
+      )
+    }
+    if (pending) return { payment: pending }
+
+    const number = registrationNumber(competition, entityId)
+    const orderId = `${number}-${crypto
+      .randomBytes(4)
+      .toString('hex')
+      .toUpperCase()}`
+    const [paymentId] = await sequelize.query(
+      `INSERT INTO payments (entity_type, entity_id, provider, order_id, amount, status, created_by, createdAt, updatedAt)
+      VALUES (:entityType, :entityId, :provider, :orderId, :amount, :pending, :userId, NOW(), NOW())`,
+      {
+        replacements: {
+          ...replacements,
+          provider: gateway.current().name,
+          orderId,
+          userId,
+        },
+        type: QueryTypes.INSERT,
+        transaction,
+      }
+    )
+    return {
+      reservation: {
+        paymentId,
+        orderId,
+        amount: record.expected_amount,
+        description: `Pendaftaran ${competition.name} ${number}`,
+        customer,
+      },
+    }
+  })
+
+/**
+ * Creates a gateway charge for the price of a registration. A pending,
+ * unexpired charge for the same amount is returned instead of creating a
+ * second one, so retried requests do not charge twice. Resolves to
+ * { payment, created }.
+ *
+ * The registration is only locked while the payment row is reserved: the
+ * gateway is called after that commits, so a slow gateway does not hold up
+ * webhooks or committee actions on the registration.
+ */
+const createCharge = async (entityType, entityId, { userId }) => {
+  const { payment, reservation } = await reserveCharge(entityType, entityId, {
+    userId,
+  })
+  if (payment) return { payment, created: false }
+
+  const { paymentId, ...details } = reservation
+  let charge
+  try {
+    charge = await gateway.current().createCharge({
+      ...details,
+      expiresAt: new Date(Date.now() + PAYMENT_EXPIRY_MINUTES * 60 * 1000),
+    })
+  } catch (error) {
+    await sequelize.query(
+      `UPDATE payments SET status = :failed, updatedAt = NOW() WHERE payment_id = :paymentId AND status = :pending`,
+      {
+        replacements: {
+          failed: STATUS.FAILED,
+          pending: STATUS.PENDING,
+          paymentId,
+        },
+        type: QueryTypes.UPDATE,
+      }
+    )
+    throw error
+  }
+
+  await sequelize.query(
+    `UPDATE payments SET checkout_url = :checkoutUrl, expiresAt = :expiresAt, updatedAt = NOW() WHERE payment_id = :paymentId`,
+    {
+      replacements: {
+        checkoutUrl: charge.checkoutUrl,
+        expiresAt: charge.expiresAt,
+        paymentId,
+      },
+      type: QueryTypes.UPDATE,
+    }
+  )
+  return { payment: await findPayment(paymentId), created: true }
+}
+
+// Applies a verified event to a locked payment and returns the result
+const applyEvent = async (payment, event, transaction) => {
+  const transition = TRANSITIONS[event.type]
+  if (!transition || !transition.from.includes(payment.status)) {
+    return 'ignored'
+  }
+  if (
+    event.type === 'settlement' &&
+    event.amount !== undefined &&
+    event.amount !== payment.amount
+  ) {
+    return 'amount_mismatch'
+  }
+
+  const timestamp = { paid: 'paidAt', refunded: 'refundedAt' }[transition.to]
+  await sequelize.query(
+    `UPDATE payments SET status = :status${
+      timestamp ? `, ${timestamp} = NOW()` : ''
+    }, updatedAt = NOW() WHERE payment_id = :paymentId`,
+    {
+      replacements: { status: transition.to, paymentId: payment.payment_id },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+
+  if (transition.to === STATUS.PAID) {
+    const { table, key } = TABLES[payment.entity_type]
+    const [registration] = await sequelize.query(
+      `SELECT payment_status FROM ${table} WHERE ${key} = :entityId`,
+      {
+        replacements: { entityId: payment.entity_id },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+    // Already paid another way, e.g. by bank transfer: the charge is kept
+    // as paid for the committee to refund
+    if (registration && registration.payment_status !== PAYMENT_STATUSES.PAID) {
+      await markPaid(payment.entity_type, payment.entity_id, { transaction })
+    }
+  }
+  if (transition.to === STATUS.REFUNDED) {
+    await markRefunded(payment.entity_type, payment.entity_id, {
+      transaction,
+    })
+  }
+  return 'applied'
+}
+
+/**
+ * Handles a gateway webhook: verifies its signature, records it and applies
+ * it to its payment. Each event is applied at most once; a redelivered
+ * event resolves to { result: 'duplicate' } without changing anything.
+ */
+const handleWebhook = async (rawBody, headers) => {
+  const driver = gateway.current()
+  const body = rawBody || Buffer.alloc(0)
+  const event = driver.parseWebhook(body, headers)
+  if (!event.eventKey) {
+    throw new HttpError(400, 'Webhook has no event id', 'INVALID_PAYLOAD')
+  }
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const [webhookId] = await sequelize.query(
+        `INSERT INTO payment_webhooks (provider, event_key, order_id, type, payload, createdAt) VALUES (:provider, :eventKey, :orderId, :type, :payload, NOW())`,
+        {
+          replacements: {
+            provider: driver.name,
+            eventKey: event.eventKey,
+            orderId: event.orderId || null,
+            type: event.type || null,
+            payload: body.toString('utf8'),
+          },
+          type: QueryTypes.INSERT,
+          transaction,
+        }
+      )
+
+      const [payment] = await sequelize.query(
+        `SELECT * FROM payments WHERE order_id = :orderId FOR UPDATE`,
+        {
+          replacements: { orderId: event.orderId || null },
+          type: QueryTypes.SELECT,
+          transaction,
+        }
+      )
+      const result = payment
+        ? await applyEvent(payment, event, transaction)
+        : 'unknown_order'
+
+      await sequelize.query(
+        `UPDATE payment_webhooks SET result = :result WHERE webhook_id = :webhookId`,
+        {
+          replacements: { result, webhookId },
+          type: QueryTypes.UPDATE,
+          transaction,
+        }
+      )
+      return { result, payment_id: payment ? payment.payment_id : null }
+    })
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { result: 'duplicate' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Sends a signed webhook for a payment through handleWebhook, as the
+ * gateway would. Only the mock gateway can do this.
+ */
+const simulate = async (paymentId, type) => {
+  const driver = gateway.current()
+  if (!driver.signedEvent) {
+    throw new HttpError(
+      404,
+      'Payments can only be simulated with the mock gateway',
+      'SIMULATION_DISABLED'
+    )
+  }
+  if (!EVENT_TYPES.includes(type)) {
+    throw new HttpError(
+      400,
+      `event must be one of: ${EVENT_TYPES.join(', ')}`,
+      'INVALID_EVENT'
+    )
+  }
+
+  const payment = await findPayment(paymentId)
+  const { rawBody, headers } = driver.signedEvent({
+    orderId: payment.order_id,
+    type,
+    amount: payment.amount,
+  })
+  const { result } = await handleWebhook(rawBody, headers)
+  return { result, payment: await findPayment(paymentId) }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  listPayments,
+  createCharge,
+  handleWebhook,
+  simulate,
+}
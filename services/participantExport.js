@@ -0,0 +1,300 @@
+const ExcelJS = require('exceljs')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const env = require('../config/env')
+const HttpError = require('../utils/httpError')
+const publicUrl = require('../utils/publicUrl')
+const { csvLine, CSV_BOM } = require('../utils/csv')
+const { STATUS_LIST } = require('./verification')
+const { registrationNumber } = require('./receipt')
+const { signUrl, logAccess } = require('./fileAccess')
+
+const FORMATS = ['csv', 'xlsx']
+
+// Document links in a spreadsheet outlive a browser session, but only by
+// hours: exports get forwarded and every link works without signing in
+const EXPORT_LINK_TTL = env.EXPORT_LINK_TTL
+
+// Registrations fetched per query; rows are written as each page arrives
+const PAGE_SIZE = 100
+
+const column = (key, sql, type = 'value') => ({ key, sql, type })
+
+/**
+ * Exportable columns of a competition, derived from the registry. Team
+ * competitions export one row per member, Craft one row per participant.
+ * `sql` is the selected expression, `type: 'document'` columns hold a stored
+ * file and are exported as signed download links.
+ */
+const exportColumns = (competition) => {
+  if (competition.type === 'individual') {
+    return [
+      column('registration_number', 'craft.participant_id', 'registration'),
+      column('participant_id', 'craft.participant_id'),
+      ...competition.fields.map((field) => column(field, `craft.${field}`)),
+      column('activity_choice', 'craft.activity_choice'),
+      column('expected_amount', 'craft.expected_amount'),
+      column(
+        'transfer_amount',
+        'craft.expected_amount + COALESCE(craft.unique_code, 0)'
+      ),
+      column('payment_status', 'craft.payment_status'),
+      column('status', 'craft.status'),
+      column('reject_message', 'craft.rejectMessage'),
+      ...competition.documents.map((doc) =>
+        column(doc, `craft.${doc}`, 'document')
+      ),
+    ]
+  }
+
+  const columns = [
+    column('registration_number', 'teams.team_id', 'registration'),
+    column('team_id', 'teams.team_id'),
+    column('team_name', 'teams.team_name'),
+    column('institution_name', 'teams.institution_name'),
+    column('team_email', 'teams.email'),
+    column('expected_amount', 'teams.expected_amount'),
+    column(
+      'transfer_amount',
+      'teams.expected_amount + COALESCE(teams.unique_code, 0)'
+    ),
+    column('payment_status', 'teams.payment_status'),
+    column(
+      'voucher_code',
+      `(SELECT vouchers.code FROM voucher_redemptions JOIN vouchers ON vouchers.voucher_id = voucher_redemptions.voucher_id WHERE voucher_redemptions.team_id = teams.team_id)`
+    ),
+    column('status', 'teams.status'),
+    column('reject_message', 'teams.rejectMessage'),
+    column(
+      'member_role',
+      `CASE WHEN members.is_leader THEN 'leader' ELSE 'member' END`
+    ),
+    ...competition.memberFields.map((field) =>
+      column(field, `members.${field}`)
+    ),
+    ...competition.memberDocuments.map((doc) =>
+      column(doc, `members.${doc}`, 'document')
+    ),
+    ...competition.teamDocuments.map((doc) =>
+      column(doc, `teams.${doc}`, 'document')
+    ),
+  ]
+  competition.extras.forEach((extra) => {
+    extra.fields.forEach((field) =>
+      columns.push(column(`${extra.name}_${field}`, `${extra.table}.${field}`))
+    )
+    Object.entries(extra.documents).forEach(([doc, uploadField]) =>
+      columns.push(column(uploadField, `${extra.table}.${doc}`, 'document'))
+    )
+  })
+  return columns
+}
+
+const listParam = (value) =>
+  (Array.isArray(value) ? value.join(',') : String(value || ''))
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// Comma separated verification statuses from a query string
+const statusFilter = (value) => {
+  const statuses = listParam(value)
+  const invalid = statuses.filter((status) => !STATUS_LIST.includes(status))
+  if (invalid.length) {
+    throw new HttpError(
+      400,
+      `Unknown statuses: ${invalid.join(', ')}`,
+      'INVALID_STATUS_FILTER'
+    )
+  }
+  return statuses
+}
+
+/**
+ * Validates the export query: `format` (csv or xlsx), `columns` (comma
+ * separated keys, all columns by default), `status` (comma separated
+ * verification statuses) and `institution` (part of the institution name).
+ */
+const prepareExport = (competition, query) => {
+  const format = query.format || 'csv'
+  if (!FORMATS.includes(format)) {
+    throw new HttpError(
+      400,
+      `format must be one of: ${FORMATS.join(', ')}`,
+      'INVALID_EXPORT_FORMAT'
+    )
+  }
+
+  const available = exportColumns(competition)
+  const requested = listParam(query.columns)
+  const unknown = requested.filter(
+    (key) => !available.some((candidate) => candidate.key === key)
+  )
+  if (unknown.length) {
+    throw new HttpError(
+      400,
+      `Unknown columns: ${unknown.join(', ')}`,
+      'UNKNOWN_EXPORT_COLUMN'
+    )
+  }
+
+  return {
+    competition,
+    format,
+    columns: requested.length
+      ? requested.map((key) => available.find((item) => item.key === key))
+      : available,
+    filters: {
+      statuses: statusFilter(query.status),
+      institution: query.institution ? String(query.institution).trim() : '',
+    },
+  }
+}
+
+const filterSql = (table, { statuses, institution }) => {
+  const conditions = []
+  if (statuses.length) conditions.push(`${table}.status IN (:statuses)`)
+  if (institution) {
+    conditions.push(`${table}.institution_name LIKE :institution`)
+  }
+  return conditions.map((condition) => ` AND ${condition}`).join('')
+}
+
+const selectList = (columns) =>
+  columns.map(({ key, sql }) => `${sql} AS \`${key}\``).join(', ')
+
+// Pages through registrations in id order and yields their rows
+async function* exportRows({ competition, columns, filters }) {
+  const isCraft = competition.type === 'individual'
+  const table = isCraft ? 'craft' : 'teams'
+  const idColumn = isCraft ? 'participant_id' : 'team_id'
+  const replacements = {
+    eventId: competition.eventId,
+    statuses: filters.statuses,
+    institution: `%${filters.institution}%`,
+  }
+  const joins = isCraft
+    ? ''
+    : ` JOIN members ON members.team_id = teams.team_id${competition.extras
+        .map(
+          (extra) =>
+            ` LEFT JOIN ${extra.table} ON ${extra.table}.team_id = teams.team_id`
+        )
+        .join('')}`
+
+  let after = 0
+  for (;;) {
+    const page = await sequelize.query(
+      `SELECT ${idColumn} AS id FROM ${table} WHERE ${idColumn} > :after${
+        isCraft ? '' : ' AND event_id = :eventId'
+      }${filterSql(table, filters)} ORDER BY ${idColumn} LIMIT ${PAGE_SIZE}`,
+      { replacements: { ...replacements, after }, type: QueryTypes.SELECT }
+    )
+    if (!page.length) return
+    after = page[page.length - 1].id
+
+    const rows = await sequelize.query(
+      `SELECT ${selectList(
+        columns
+      )} FROM ${table}${joins} WHERE ${table}.${idColumn} IN (:ids)${
+        isCraft
+          ? ''
+          : ` AND members.full_name IS NOT NULL AND members.full_name <> ''`
+      } ORDER BY ${table}.${idColumn}${
+        isCraft ? '' : ', members.is_leader DESC, members.member_id'
+      }`,
+      {
+        replacements: { ids: page.map((row) => row.id) },
+        type: QueryTypes.SELECT,
+      }
+    )
+    yield rows
+  }
+}
+
+// Turns raw rows into exported values, signing every document link
+const presentRows = async (plan, rows, { userId, req }) => {
+  const signed = []
+  const values = rows.map((row) =>
+    plan.columns.map(({ key, type }) => {
+      const value = row[key]
+      if (value === null || value === undefined || value === '') return ''
+      if (type === 'registration') {
+        return registrationNumber(plan.competition, value)
+      }
+      if (type === 'document') {
+        signed.push(value)
+        return publicUrl(signUrl(value, userId, { ttl: EXPORT_LINK_TTL }).url)
+      }
+      return value
+    })
+  )
+
+  await logAccess({ filePaths: signed, userId, action: 'sign', req })
+  return values
+}
+
+const writeCsv = async (plan, res, context) => {
+  res.write(`${CSV_BOM}${csvLine(plan.columns.map(({ key }) => key))}`)
+  for await (const rows of exportRows(plan)) {
+    const values = await presentRows(plan, rows, context)
+    res.write(values.map(csvLine).join(''))
+  }
+  res.end()
+}
+
+const writeXlsx = async (plan, res, context) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res })
+  const sheet = workbook.addWorksheet(plan.competition.name)
+  sheet.columns = plan.columns.map(({ key, type }) => ({
+    header: key,
+    key,
+    width: type === 'document' ? 40 : 20,
+  }))
+
+  for await (const rows of exportRows(plan)) {
+    const values = await presentRows(plan, rows, context)
+    values.forEach((row) => {
+      sheet
+        .addRow(
+          row.map((value, index) =>
+            plan.columns[index].type === 'document' && value
+              ? { text: value, hyperlink: value }
+              : value
+          )
+        )
+        .commit()
+    })
+  }
+  sheet.commit()
+  await workbook.commit()
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+/**
+ * Streams a prepared export to the response. Document links are signed for
+ * `userId` and every signed file is recorded in file_access_logs.
+ */
+const streamExport = (plan, res, { userId, req }) => {
+  const date = new Date().toISOString().slice(0, 10)
+  res.set('Content-Type', CONTENT_TYPES[plan.format])
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="${plan.competition.slug}-participants-${date}.${plan.format}"`
+  )
+  const write = plan.format === 'xlsx' ? writeXlsx : writeCsv
+  return write(plan, res, { userId, req })
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_LINK_TTL,
+  exportColumns,
+  statusFilter,
+  prepareExport,
+  streamExport,
+}
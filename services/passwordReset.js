@@ -0,0 +1,84 @@
+const bcrypt = require('bcrypt')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const env = require('../config/env')
+const HttpError = require('../utils/httpError')
+const frontendUrl = require('../utils/frontendUrl')
+const { PURPOSES, issue, consume } = require('./userTokens')
+const { REVOKE_REASONS, revokeAll } = require('./sessions')
+const { sendMail } = require('./mailer')
+const passwordResetEmail = require('../templates/passwordResetEmail')
+
+const RESET_TOKEN_MINUTES = env.PASSWORD_RESET_TTL_MINUTES
+const MIN_PASSWORD_LENGTH = 8
+const SALT_ROUNDS = 10
+
+/**
+ * Emails a reset link to the account registered with `email`. Resolves the
+ * same way whether or not the account exists, and does not wait for the
+ * mail server, so the response tells nothing about registered addresses.
+ */
+const requestReset = async (email) => {
+  if (!email || typeof email !== 'string') {
+    throw new HttpError(400, 'email is required', 'EMAIL_REQUIRED')
+  }
+
+  const [user] = await sequelize.query(
+    `SELECT user_id, username, email FROM users WHERE email = :email`,
+    { replacements: { email: email.trim() }, type: QueryTypes.SELECT }
+  )
+  if (!user) return
+
+  const token = await issue(user.user_id, PURPOSES.PASSWORD_RESET, {
+    ttlMinutes: RESET_TOKEN_MINUTES,
+  })
+  sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      username: user.username,
+      link: frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+      expiresInMinutes: RESET_TOKEN_MINUTES,
+    }),
+  }).catch((error) => console.error('Password reset email:', error))
+}
+
+/**
+ * Sets a new password with a token from requestReset(). The token is used
+ * up and every existing session of the user ends.
+ */
+const resetPassword = async (token, password) => {
+  if (
+    !password ||
+    typeof password !== 'string' ||
+    password.length < MIN_PASSWORD_LENGTH
+  ) {
+    throw new HttpError(
+      400,
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      'PASSWORD_TOO_SHORT'
+    )
+  }
+  const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS)
+
+  await sequelize.transaction(async (transaction) => {
+    const userId = await consume(token, PURPOSES.PASSWORD_RESET, {
+      transaction,
+    })
+    await sequelize.query(
+      `UPDATE users SET password = :password, updatedAt = NOW() WHERE user_id = :userId`,
+      {
+        replacements: { password: hashedPassword, userId },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    await revokeAll(userId, REVOKE_REASONS.PASSWORD_RESET, { transaction })
+  })
+}
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  MIN_PASSWORD_LENGTH,
+  requestReset,
+  resetPassword,
+}
@@ -0,0 +1,178 @@
+const crypto = require('crypto')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+
+const PAYMENT_STATUSES = {
+  UNPAID: 'unpaid',
+  PAID: 'paid',
+  REFUNDED: 'refunded',
+}
+
+const TABLES = {
+  team: { table: 'teams', key: 'team_id' },
+  craft: { table: 'craft', key: 'participant_id' },
+}
+
+// Called with { entityType, entityId } once a change to payment_status or
+// expected_amount commits
+const listeners = []
+const onPaymentChange = (listener) => listeners.push(listener)
+
+// Runs the listeners after `transaction` commits, or right away without one
+const paymentChanged = (entityType, entityId, transaction) => {
+  const notify = () =>
+    listeners.forEach((listener) => {
+      Promise.resolve()
+        .then(() => listener({ entityType, entityId }))
+        .catch((error) => console.error('Payment change listener:', error))
+    })
+  if (transaction) transaction.afterCommit(notify)
+  else notify()
+}
+
+// Codes are 1-999 rupiah, small enough not to matter to the payer
+const MAX_UNIQUE_CODE = 999
+
+// What the registrant transfers: the price plus the registration's unique
+// code, or null while the registration has no price
+const transferAmount = (record) =>
+  record.expected_amount === null || record.expected_amount === undefined
+    ? null
+    : record.expected_amount + (record.unique_code || 0)
+
+/**
+ * Gives an unpaid registration a unique code so that no two unpaid
+ * registrations share a transfer amount. A registration keeps its code
+ * while that still holds. Free registrations need no code. Returns the code.
+ *
+ * Codes are picked one at a time under the unique_code_locks row, so
+ * concurrent registrations cannot take the same one; the lock is held until
+ * `transaction` ends.
+ */
+const assignUniqueCode = async (entityType, record, { transaction } = {}) => {
+  const { table, key } = TABLES[entityType]
+  if (
+    !record.expected_amount ||
+    record.payment_status === PAYMENT_STATUSES.PAID
+  ) {
+    return record.unique_code || null
+  }
+
+  const run = async (t) => {
+    await sequelize.query(
+      `SELECT lock_id FROM unique_code_locks WHERE lock_id = 1 FOR UPDATE`,
+      { type: QueryTypes.SELECT, transaction: t }
+    )
+
+    const taken = new Set(
+      (
+        await sequelize.query(
+          `SELECT unique_code FROM teams WHERE payment_status = :unpaid AND expected_amount = :amount AND unique_code IS NOT NULL${
+            entityType === 'team' ? ' AND team_id <> :entityId' : ''
+          }
+          UNION ALL
+          SELECT unique_code FROM craft WHERE payment_status = :unpaid AND expected_amount = :amount AND unique_code IS NOT NULL${
+            entityType === 'craft' ? ' AND participant_id <> :entityId' : ''
+          }`,
+          {
+            replacements: {
+              unpaid: PAYMENT_STATUSES.UNPAID,
+              amount: record.expected_amount,
+              entityId: record[key],
+            },
+            type: QueryTypes.SELECT,
+            transaction: t,
+          }
+        )
+      ).map((row) => row.unique_code)
+    )
+    if (record.unique_code && !taken.has(record.unique_code)) {
+      return record.unique_code
+    }
+
+    const free = []
+    for (let code = 1; code <= MAX_UNIQUE_CODE; code++) {
+      if (!taken.has(code)) free.push(code)
+    }
+    // Every code taken: bank matching falls back to the transfer note and name
+    const code = free.length ? free[crypto.randomInt(free.length)] : null
+
+    await sequelize.query(
+      `UPDATE ${table} SET unique_code = :code WHERE ${key} = :entityId`,
+      {
+        replacements: { code, entityId: record[key] },
+        type: QueryTypes.UPDATE,
+        transaction: t,
+      }
+    )
+    return code
+  }
+
+  return transaction ? run(transaction) : sequelize.transaction(run)
+}
+
+/**
+ * Marks a registration as paid. Rejects a registration that does not exist
+ * or is already paid, so a transfer cannot be counted twice.
+ */
+const markPaid = async (entityType, entityId, { transaction } = {}) => {
+  const { table, key } = TABLES[entityType] || {}
+  if (!table) {
+    throw new HttpError(400, 'Unknown registration type', 'INVALID_ENTITY_TYPE')
+  }
+
+  const [record] = await sequelize.query(
+    `SELECT ${key}, payment_status FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+    { replacements: { entityId }, type: QueryTypes.SELECT, transaction }
+  )
+  if (!record) {
+    throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+  }
+  if (record.payment_status === PAYMENT_STATUSES.PAID) {
+    throw new HttpError(
+      409,
+      'Registration has already been paid',
+      'ALREADY_PAID'
+    )
+  }
+
+  await sequelize.query(
+    `UPDATE ${table} SET payment_status = :paid, paidAt = NOW() WHERE ${key} = :entityId`,
+    {
+      replacements: { paid: PAYMENT_STATUSES.PAID, entityId },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+  paymentChanged(entityType, entityId, transaction)
+}
+
+// Marks a paid registration as refunded
+const markRefunded = async (entityType, entityId, { transaction } = {}) => {
+  const { table, key } = TABLES[entityType]
+  await sequelize.query(
+    `UPDATE ${table} SET payment_status = :refunded WHERE ${key} = :entityId AND payment_status = :paid`,
+    {
+      replacements: {
+        refunded: PAYMENT_STATUSES.REFUNDED,
+        paid: PAYMENT_STATUSES.PAID,
+        entityId,
+      },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+  paymentChanged(entityType, entityId, transaction)
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  TABLES,
+  transferAmount,
+  assignUniqueCode,
+  markPaid,
+  markRefunded,
+  onPaymentChange,
+  paymentChanged,
+}
@@ -0,0 +1,41 @@
+const puppeteer = require('puppeteer')
+
+// One headless browser is shared by every render and started on first use.
+// Renders run one at a time to keep memory use predictable.
+let browser = null
+let queue = Promise.resolve()
+
+const launch = async () => {
+  if (!browser || !browser.connected) {
+    browser = await puppeteer.launch({
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    })
+  }
+  return browser
+}
+
+const render = async (html, options) => {
+  const page = await (await launch()).newPage()
+  try {
+    await page.setContent(html, { waitUntil: 'load' })
+    return Buffer.from(
+      await page.pdf({ format: 'A4', printBackground: true, ...options })
+    )
+  } finally {
+    await page.close()
+  }
+}
+
+// Renders an HTML document to a PDF buffer
+const renderPdf = (html, options = {}) => {
+  const result = queue.then(() => render(html, options))
+  queue = result.catch(() => {})
+  return result
+}
+
+const closeBrowser = async () => {
+  if (browser) await browser.close()
+  browser = null
+}
+
+module.exports = { renderPdf, closeBrowser }
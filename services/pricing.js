@@ -0,0 +1,230 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const { PRICING } = require('../config/pricing')
+const { voucherForTeam } = require('./vouchers')
+const { assignUniqueCode, paymentChanged } = require('./payments')
+
+const percentOf = (amount, percent) => Math.round((amount * percent) / 100)
+
+const pricingOf = (competition) => {
+  const pricing = PRICING[competition.slug]
+  if (!pricing) {
+    throw new Error(`No pricing configured for ${competition.slug}`)
+  }
+  return pricing
+}
+
+// The period in force at `at`
+const periodAt = (competition, at = new Date()) => {
+  const { periods } = pricingOf(competition)
+  return (
+    periods.find((period) => !period.until || new Date(period.until) >= at) ||
+    periods[periods.length - 1]
+  )
+}
+
+// Percent of the price refunded to a withdrawal requested at `at`
+const refundPercentAt = (competition, at = new Date()) => {
+  const tier = (pricingOf(competition).refunds || []).find(
+    (refund) => new Date(refund.until) >= at
+  )
+  return tier ? tier.percent : 0
+}
+
+const findPeriod = (competition, name) =>
+  pricingOf(competition).periods.find((period) => period.name === name) || null
+
+const craftItems = (competition, period, registration) => {
+  const pricing = pricingOf(competition)
+  const activity = competition.activities[registration.activity_choice]
+  if (!activity) {
+    throw new HttpError(
+      400,
+      `Unknown activity_choice: ${registration.activity_choice}`,
+      'INVALID_ACTIVITY_CHOICE'
+    )
+  }
+
+  const seatFee = period.fee[activity.slot]
+  const subtotal = seatFee * activity.seats
+  const items = [
+    {
+      code: 'fee',
+      label:
+        activity.seats > 1
+          ? `Biaya ${competition.name} ${activity.slot} (${activity.seats} peserta)`
+          : `Biaya ${competition.name} ${activity.slot}`,
+      amount: subtotal,
+    },
+  ]
+
+  const bundlePercent = (pricing.bundleDiscounts || {})[activity.seats]
+  if (bundlePercent) {
+    items.push({
+      code: 'bundle_discount',
+      label: `Diskon paket ${activity.seats} peserta (${bundlePercent}%)`,
+      amount: -percentOf(subtotal, bundlePercent),
+    })
+  }
+
+  if (registration.isMahasiswaDTSL && pricing.dtslDiscount) {
+    items.push({
+      code: 'dtsl_discount',
+      label: `Diskon mahasiswa DTSL (${pricing.dtslDiscount}%)`,
+      amount: -percentOf(seatFee, pricing.dtslDiscount),
+    })
+  }
+
+  return items
+}
+
+// Discount item of a voucher on `subtotal`, or null when it takes nothing off
+const voucherItem = (voucher, subtotal) => {
+  const discount = Math.min(
+    subtotal,
+    voucher.discount_type === 'percent'
+      ? percentOf(subtotal, voucher.discount_value)
+      : voucher.discount_value
+  )
+  if (discount <= 0) return null
+  return {
+    code: 'voucher',
+    label:
+      voucher.discount_type === 'percent'
+        ? `Voucher ${voucher.code} (${voucher.discount_value}%)`
+        : `Voucher ${voucher.code}`,
+    amount: -discount,
+  }
+}
+
+const sumOf = (items) => items.reduce((sum, item) => sum + item.amount, 0)
+
+/**
+ * What a registration owes: { period, items, total }. Discounts are items
+ * with a negative amount. The period is the one in force at `at`, unless
+ * `period` names one, e.g. the period a registration was first priced in.
+ * A `voucher` is applied last, on the total after the other discounts.
+ */
+const quote = (
+  competition,
+  registration,
+  { at, period: name, voucher } = {}
+) => {
+  const period =
+    (name && findPeriod(competition, name)) || periodAt(competition, at)
+  const items =
+    competition.type === 'individual'
+      ? craftItems(competition, period, registration)
+      : [
+          {
+            code: 'fee',
+            label: `Biaya pendaftaran ${competition.name}`,
+            amount: period.fee,
+          },
+        ]
+
+  const discount = voucher && voucherItem(voucher, Math.max(0, sumOf(items)))
+  if (discount) items.push(discount)
+
+  return {
+    period: period.name,
+    periodLabel: period.label,
+    items,
+    total: Math.max(0, sumOf(items)),
+  }
+}
+
+const parseBreakdown = (value) => (value ? JSON.parse(value) : null)
+
+// The stored price of a registration, or a fresh quote for registrations
+// priced before pricing existed
+const breakdownOf = (competition, record) =>
+  parseBreakdown(record.price_breakdown) || quote(competition, record)
+
+const TABLES = {
+  team: { table: 'teams', key: 'team_id' },
+  craft: { table: 'craft', key: 'participant_id' },
+}
+
+/**
+ * Computes and stores expected_amount and price_breakdown of a registration.
+ * A registration that was priced before keeps its period, so changing the
+ * activity later does not lose an early-bird price. Teams keep the voucher
+ * they registered with. Unpaid registrations also get their unique code.
+ */
+const applyPrice = async (
+  competition,
+  entityType,
+  entityId,
+  { transaction, period } = {}
+) => {
+  const { table, key } = TABLES[entityType]
+  const [record] = await sequelize.query(
+    `SELECT * FROM ${table} WHERE ${key} = :entityId`,
+    { replacements: { entityId }, type: QueryTypes.SELECT, transaction }
+  )
+  if (!record) {
+    throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+  }
+
+  const previous = parseBreakdown(record.price_breakdown)
+  const price = quote(competition, record, {
+    period: period || (previous && previous.period),
+    voucher:
+      entityType === 'team'
+        ? await voucherForTeam(entityId, transaction)
+        : null,
+  })
+
+  await sequelize.query(
+    `UPDATE ${table} SET expected_amount = :total, price_breakdown = :breakdown WHERE ${key} = :entityId`,
+    {
+      replacements: {
+        total: price.total,
+        breakdown: JSON.stringify(price),
+        entityId,
+      },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+  await assignUniqueCode(
+    entityType,
+    { ...record, expected_amount: price.total },
+    { transaction }
+  )
+  paymentChanged(entityType, entityId, transaction)
+  return price
+}
+
+// Public price list of a competition: every period, the discounts and the
+// refund policy
+const priceList = (competition, at = new Date()) => {
+  const pricing = pricingOf(competition)
+  return {
+    competition: competition.name,
+    currentPeriod: periodAt(competition, at).name,
+    periods: pricing.periods.map(({ name, label, until, fee }) => ({
+      name,
+      label,
+      until: until || null,
+      fee,
+    })),
+    refunds: pricing.refunds || [],
+    ...(competition.type === 'individual' && {
+      activities: competition.activities,
+      bundleDiscounts: pricing.bundleDiscounts || {},
+      dtslDiscount: pricing.dtslDiscount || 0,
+    }),
+  }
+}
+
+module.exports = {
+  periodAt,
+  refundPercentAt,
+  quote,
+  breakdownOf,
+  applyPrice,
+  priceList,
+}
@@ -0,0 +1,56 @@
+const env = require('../../config/env')
+const createMemoryStore = require('./memory')
+const createRedisStore = require('./redis')
+
+/**
+ * Counters behind request limits and login lockouts. RATE_LIMIT_STORE
+ * selects `memory` (default, per process) or `redis` (shared, REDIS_URL).
+ *
+ * Stores implement increment(key, ttlMs), which starts a counter expiring
+ * after ttlMs when there is none, and get(key) and reset(key). increment
+ * and get resolve to { count, ttlMs } with the time left on the counter.
+ */
+
+const createStore = (name = env.RATE_LIMIT_STORE) => {
+  if (name === 'memory') return createMemoryStore()
+  if (name === 'redis') return createRedisStore({ url: env.REDIS_URL })
+  throw new Error(`Unknown rate limit store: ${name}`)
+}
+
+let store = null
+const current = () => {
+  if (!store) store = createStore()
+  return store
+}
+
+// Seconds until a counter expires, for the Retry-After header
+const secondsLeft = (counter) => Math.max(1, Math.ceil(counter.ttlMs / 1000))
+
+/**
+ * Counts a hit on `key` and tells whether it is still within `max` hits
+ * per `windowSeconds`. The window starts at the first hit.
+ */
+const consume = async (key, { max, windowSeconds }) => {
+  const counter = await current().increment(key, windowSeconds * 1000)
+  return {
+    allowed: counter.count <= max,
+    count: counter.count,
+    retryAfter: secondsLeft(counter),
+  }
+}
+
+const peek = (key) => current().get(key)
+
+const hit = (key, ttlSeconds) => current().increment(key, ttlSeconds * 1000)
+
+const reset = (key) => current().reset(key)
+
+module.exports = {
+  createStore,
+  current,
+  secondsLeft,
+  consume,
+  peek,
+  hit,
+  reset,
+}
@@ -0,0 +1,49 @@
+// Counters kept in this process. Each server instance counts on its own, so
+// run several instances with the redis store instead.
+const createMemoryStore = () => {
+  const counters = new Map()
+
+  const live = (key, now) => {
+    const counter = counters.get(key)
+    if (counter && counter.expiresAt <= now) {
+      counters.delete(key)
+      return null
+    }
+    return counter || null
+  }
+
+  const sweep = setInterval(() => {
+    const now = Date.now()
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key)
+    }
+  }, 60 * 1000)
+  sweep.unref()
+
+  return {
+    async increment(key, ttlMs) {
+      const now = Date.now()
+      let counter = live(key, now)
+      if (!counter) {
+        counter = { count: 0, expiresAt: now + ttlMs }
+        counters.set(key, counter)
+      }
+      counter.count += 1
+      return { count: counter.count, ttlMs: counter.expiresAt - now }
+    },
+
+    async get(key) {
+      const now = Date.now()
+      const counter = live(key, now)
+      return counter
+        ? { count: counter.count, ttlMs: counter.expiresAt - now }
+        : null
+    },
+
+    async reset(key) {
+      counters.delete(key)
+    },
+  }
+}
+
+module.exports = createMemoryStore
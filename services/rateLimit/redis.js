@@ -0,0 +1,40 @@
+const Redis = require('ioredis')
+
+// Counters shared by every server instance, in Redis or a compatible server
+// such as Valkey or KeyDB.
+const createRedisStore = ({ url, prefix = 'ratelimit:' }) => {
+  if (!url) {
+    throw new Error('REDIS_URL is required for the redis rate limit store')
+  }
+
+  const client = new Redis(url, { keyPrefix: prefix, maxRetriesPerRequest: 1 })
+  client.on('error', (error) => console.error('Redis:', error.message))
+
+  const run = async (pipeline) => {
+    const results = await pipeline.exec()
+    const failed = results.find(([error]) => error)
+    if (failed) throw failed[0]
+    return results.map(([, result]) => result)
+  }
+
+  return {
+    // The window starts with the first hit: SET NX only creates the expiry
+    async increment(key, ttlMs) {
+      const [, count, ttl] = await run(
+        client.multi().set(key, 0, 'PX', ttlMs, 'NX').incr(key).pttl(key)
+      )
+      return { count, ttlMs: ttl }
+    },
+
+    async get(key) {
+      const [count, ttl] = await run(client.multi().get(key).pttl(key))
+      return count === null ? null : { count: Number(count), ttlMs: ttl }
+    },
+
+    async reset(key) {
+      await client.del(key)
+    },
+  }
+}
+
+module.exports = createRedisStore
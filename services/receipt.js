@@ -0,0 +1,159 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const {
+  COMPETITIONS,
+  getCompetitionByEvent,
+} = require('../config/competitions')
+const registration = require('./teamRegistration')
+const verification = require('./verification')
+const { breakdownOf } = require('./pricing')
+const { transferAmount, onPaymentChange } = require('./payments')
+const storage = require('./storage')
+const { renderPdf } = require('./pdf')
+const { receiptTemplate } = require('../templates/receipt')
+
+const { STATUSES } = verification
+
+// e.g. CIC-0007 for team 7 of CIC
+const registrationNumber = (competition, id) =>
+  `${competition.name.toUpperCase()}-${String(id).padStart(4, '0')}`
+
+const receiptKey = (entityType, entityId) =>
+  `receipts/${entityType}-${entityId}.pdf`
+
+// Rejection notes only matter while the participant has something to fix
+const committeeNote = (record) =>
+  [STATUSES.REJECTED, STATUSES.REVISION_REQUESTED].includes(record.status)
+    ? record.rejectMessage
+    : null
+
+// Payment state and the amount to transfer, unique code included
+const paymentOf = (record) => ({
+  status: record.payment_status,
+  transferAmount: transferAmount(record),
+})
+
+const loadTeamReceipt = async (teamId) => {
+  const [team] = await sequelize.query(
+    `SELECT team_id, event_id FROM teams WHERE team_id = :teamId`,
+    { replacements: { teamId }, type: QueryTypes.SELECT }
+  )
+  const competition = team && getCompetitionByEvent(team.event_id)
+  if (!competition) return null
+
+  const details = await registration.getTeam(competition, teamId)
+  const members = [
+    ...(details.leader ? [{ ...details.leader, role: 'Ketua' }] : []),
+    ...details.members.map((member, index) => ({
+      ...member,
+      role: `Anggota ${index + 1}`,
+    })),
+  ]
+
+  return {
+    registrationNumber: registrationNumber(competition, teamId),
+    competition: competition.name,
+    registrant: {
+      label: 'Nama tim',
+      name: details.team.team_name,
+      institution: details.team.institution_name,
+      email: details.team.email || (details.leader && details.leader.email),
+    },
+    members,
+    fees: breakdownOf(competition, details.team),
+    payment: paymentOf(details.team),
+    status: details.team.status,
+    note: committeeNote(details.team),
+    issuedAt: new Date(),
+  }
+}
+
+const loadCraftReceipt = async (participantId) => {
+  const competition = COMPETITIONS.craft
+  const [craft] = await sequelize.query(
+    `SELECT * FROM craft WHERE participant_id = :participantId`,
+    { replacements: { participantId }, type: QueryTypes.SELECT }
+  )
+  if (!craft) return null
+
+  return {
+    registrationNumber: registrationNumber(competition, participantId),
+    competition: competition.name,
+    registrant: {
+      label: 'Nama peserta',
+      name: craft.full_name,
+      institution: craft.institution_name,
+      email: craft.email,
+    },
+    members: [],
+    fees: breakdownOf(competition, craft),
+    payment: paymentOf(craft),
+    status: craft.status,
+    note: committeeNote(craft),
+    issuedAt: new Date(),
+  }
+}
+
+const loadReceipt = (entityType, entityId) =>
+  entityType === 'craft'
+    ? loadCraftReceipt(entityId)
+    : loadTeamReceipt(entityId)
+
+// Renders the receipt and stores it, replacing any previous version
+const generateReceipt = async (entityType, entityId) => {
+  const receipt = await loadReceipt(entityType, entityId)
+  if (!receipt) {
+    throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+  }
+
+  const pdf = await renderPdf(receiptTemplate(receipt))
+  await storage.put(receiptKey(entityType, entityId), pdf, {
+    contentType: 'application/pdf',
+  })
+  return receipt
+}
+
+// Registration responses should not wait for Chrome
+const generateInBackground = (entityType, entityId) => {
+  generateReceipt(entityType, entityId).catch((error) =>
+    console.error(
+      `Error generating receipt for ${entityType} ${entityId}:`,
+      error
+    )
+  )
+}
+
+/**
+ * Stream and filename of a registration's receipt. Receipts that were never
+ * generated, e.g. registrations made before receipts existed, are rendered
+ * on demand.
+ */
+const openReceipt = async (competition, entityType, entityId) => {
+  const key = receiptKey(entityType, entityId)
+  if (!(await storage.exists(key))) {
+    await generateReceipt(entityType, entityId)
+  }
+
+  return {
+    body: await storage.get(key),
+    filename: `${registrationNumber(competition, entityId)}.pdf`,
+  }
+}
+
+verification.onStatusChange(({ entityType, entityId }) =>
+  generateReceipt(entityType, entityId)
+)
+
+// The payment status and transfer amount are printed on the receipt, so a
+// change drops the stored copy and the next download renders a fresh one
+onPaymentChange(({ entityType, entityId }) =>
+  storage.remove(receiptKey(entityType, entityId))
+)
+
+module.exports = {
+  registrationNumber,
+  generateReceipt,
+  generateInBackground,
+  openReceipt,
+}
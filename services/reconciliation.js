@@ -0,0 +1,430 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const {
+  COMPETITIONS,
+  getCompetitionByEvent,
+} = require('../config/competitions')
+const { STATUSES } = require('./verification')
+const { registrationNumber } = require('./receipt')
+const { parseStatement } = require('./bankStatement')
+const { PAYMENT_STATUSES, transferAmount, markPaid } = require('./payments')
+const BankImport = require('../models/bankImport')
+const BankTransaction = require('../models/bankTransaction')
+
+const TRANSACTION_STATUSES = {
+  UNMATCHED: 'unmatched',
+  PROPOSED: 'proposed',
+  CONFIRMED: 'confirmed',
+  IGNORED: 'ignored',
+}
+
+// Registrations that can no longer owe anything
+const CLOSED_STATUSES = [STATUSES.REJECTED, STATUSES.WITHDRAWN]
+
+// Names shorter than this match too many transfer notes
+const MIN_NAME_LENGTH = 4
+
+const words = (text) =>
+  ` ${String(text || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()} `
+
+const candidate = (entityType, competition, row) => ({
+  entity_type: entityType,
+  entity_id: row.entity_id,
+  competition,
+  registration_number: registrationNumber(competition, row.entity_id),
+  name: row.name,
+  names: [row.name, row.leader_name]
+    .map((name) => words(name))
+    .filter((name) => name.trim().length >= MIN_NAME_LENGTH),
+  expected_amount: row.expected_amount,
+  unique_code: row.unique_code,
+  transfer_amount: transferAmount(row),
+})
+
+/**
+ * Unpaid registrations a transfer may pay, with the names it may mention:
+ * the team name and its leader, or the Craft participant. Registrations
+ * with a match awaiting confirmation are left out.
+ */
+const pendingRegistrations = async (transaction) => {
+  const replacements = {
+    unpaid: PAYMENT_STATUSES.UNPAID,
+    closed: CLOSED_STATUSES,
+    proposed: TRANSACTION_STATUSES.PROPOSED,
+  }
+  const teams = await sequelize.query(
+    `SELECT teams.team_id AS entity_id, teams.event_id, teams.team_name AS name, leaders.full_name AS leader_name, teams.expected_amount, teams.unique_code
+    FROM teams LEFT JOIN members leaders ON leaders.team_id = teams.team_id AND leaders.is_leader = 1
+    WHERE teams.payment_status = :unpaid AND teams.status NOT IN (:closed) AND teams.expected_amount > 0
+    AND teams.team_id NOT IN (SELECT entity_id FROM bank_transactions WHERE status = :proposed AND entity_type = 'team')`,
+    { replacements, type: QueryTypes.SELECT, transaction }
+  )
+  const crafts = await sequelize.query(
+    `SELECT participant_id AS entity_id, full_name AS name, expected_amount, unique_code FROM craft
+    WHERE payment_status = :unpaid AND status NOT IN (:closed) AND expected_amount > 0
+    AND participant_id NOT IN (SELECT entity_id FROM bank_transactions WHERE status = :proposed AND entity_type = 'craft')`,
+    { replacements, type: QueryTypes.SELECT, transaction }
+  )
+
+  return [
+    ...teams
+      .map((team) => [getCompetitionByEvent(team.event_id), team])
+      .filter(([competition]) => competition)
+      .map(([competition, team]) => candidate('team', competition, team)),
+    ...crafts.map((craft) => candidate('craft', COMPETITIONS.craft, craft)),
+  ]
+}
+
+// e.g. CIC-0005, CIC0005 or CIC 5 in a transfer note
+const mentionsNumber = (note, registration) =>
+  new RegExp(
+    `\\b${registration.competition.name.toUpperCase()}[\\s_-]*0*${
+      registration.entity_id
+    }\\b`
+  ).test(note.toUpperCase())
+
+const only = (list) => (list.length === 1 ? list[0] : null)
+
+/**
+ * The registration a transfer most likely pays, tried in order of
+ * confidence: its amount equals exactly one transfer amount (price plus
+ * unique code), its note mentions exactly one registration number, or its
+ * note names exactly one registration whose price it covers. Ambiguous
+ * transfers stay unmatched.
+ */
+const matchTransfer = (transfer, pool) => {
+  const byAmount = only(
+    pool.filter(
+      (registration) =>
+        registration.unique_code &&
+        registration.transfer_amount === transfer.amount
+    )
+  )
+  if (byAmount) return { registration: byAmount, reason: 'amount_code' }
+
+  const byNote = only(
+    pool.filter((registration) =>
+      mentionsNumber(transfer.description, registration)
+    )
+  )
+  if (byNote) return { registration: byNote, reason: 'transfer_note' }
+
+  const note = words(transfer.description)
+  const byName = only(
+    pool.filter(
+      (registration) =>
+        [registration.expected_amount, registration.transfer_amount].includes(
+          transfer.amount
+        ) && registration.names.some((name) => note.includes(name))
+    )
+  )
+  if (byName) return { registration: byName, reason: 'name' }
+
+  return null
+}
+
+// Registration details of matched transactions, keyed by `type:id`
+const registrationsOf = async (transactions) => {
+  const ids = (type) =>
+    transactions
+      .filter((item) => item.entity_type === type)
+      .map((item) => item.entity_id)
+  const teamIds = ids('team')
+  const craftIds = ids('craft')
+
+  const teams = teamIds.length
+    ? await sequelize.query(
+        `SELECT team_id AS entity_id, event_id, team_name AS name, expected_amount, unique_code, payment_status FROM teams WHERE team_id IN (:teamIds)`,
+        { replacements: { teamIds }, type: QueryTypes.SELECT }
+      )
+    : []
+  const crafts = craftIds.length
+    ? await sequelize.query(
+        `SELECT participant_id AS entity_id, full_name AS name, expected_amount, unique_code, payment_status FROM craft WHERE participant_id IN (:craftIds)`,
+        { replacements: { craftIds }, type: QueryTypes.SELECT }
+      )
+    : []
+
+  const describe = (entityType, competition, row) => ({
+    entity_type: entityType,
+    entity_id: row.entity_id,
+    registration_number: registrationNumber(competition, row.entity_id),
+    competition: competition.name,
+    name: row.name,
+    transfer_amount: transferAmount(row),
+    payment_status: row.payment_status,
+  })
+  const byKey = {}
+  teams.forEach((team) => {
+    const competition = getCompetitionByEvent(team.event_id)
+    if (competition) {
+      byKey[`team:${team.entity_id}`] = describe('team', competition, team)
+    }
+  })
+  crafts.forEach((craft) => {
+    byKey[`craft:${craft.entity_id}`] = describe(
+      'craft',
+      COMPETITIONS.craft,
+      craft
+    )
+  })
+  return byKey
+}
+
+const withRegistrations = async (transactions) => {
+  const byKey = await registrationsOf(transactions)
+  return transactions.map((item) => ({
+    ...item,
+    registration: item.entity_type
+      ? byKey[`${item.entity_type}:${item.entity_id}`] || null
+      : null,
+  }))
+}
+
+const countByStatus = (transactions) =>
+  Object.values(TRANSACTION_STATUSES).reduce((counts, status) => {
+    counts[status] = transactions.filter(
+      (item) => item.status === status
+    ).length
+    return counts
+  }, {})
+
+// An import with its transactions, their proposed registrations and counts
+const getImport = async (importId) => {
+  const bankImport = await BankImport.findByPk(importId)
+  if (!bankImport) {
+    throw new HttpError(404, 'Bank import not found', 'NOT_FOUND')
+  }
+  const transactions = await sequelize.query(
+    `SELECT * FROM bank_transactions WHERE import_id = :importId ORDER BY posted_at, transaction_id`,
+    { replacements: { importId }, type: QueryTypes.SELECT }
+  )
+  return {
+    ...bankImport.toJSON(),
+    summary: countByStatus(transactions),
+    transactions: await withRegistrations(transactions),
+  }
+}
+
+const listImports = async () => {
+  const imports = await BankImport.findAll({ order: [['createdAt', 'DESC']] })
+  const counts = await sequelize.query(
+    `SELECT import_id, status, COUNT(*) AS total FROM bank_transactions GROUP BY import_id, status`,
+    { type: QueryTypes.SELECT }
+  )
+  return imports.map((bankImport) => ({
+    ...bankImport.toJSON(),
+    summary: Object.values(TRANSACTION_STATUSES).reduce((summary, status) => {
+      const row = counts.find(
+        (count) =>
+          count.import_id === bankImport.import_id && count.status === status
+      )
+      summary[status] = row ? Number(row.total) : 0
+      return summary
+    }, {}),
+  }))
+}
+
+/**
+ * Stores the incoming transfers of a bank statement CSV and proposes the
+ * registration each one pays. Transfers already imported from an earlier,
+ * overlapping statement are skipped. Nothing is marked paid until a
+ * proposal is confirmed.
+ */
+const importStatement = async ({ buffer, filename, userId }) => {
+  const transfers = parseStatement(buffer)
+
+  const importId = await sequelize.transaction(async (transaction) => {
+    const known = transfers.length
+      ? (
+          await sequelize.query(
+            `SELECT fingerprint FROM bank_transactions WHERE fingerprint IN (:fingerprints)`,
+            {
+              replacements: {
+                fingerprints: transfers.map((transfer) => transfer.fingerprint),
+              },
+              type: QueryTypes.SELECT,
+              transaction,
+            }
+          )
+        ).map((row) => row.fingerprint)
+      : []
+    const fresh = transfers.filter(
+      (transfer) => !known.includes(transfer.fingerprint)
+    )
+
+    const bankImport = await BankImport.create(
+      {
+        filename,
+        credit_count: transfers.length,
+        duplicate_count: transfers.length - fresh.length,
+        imported_by: userId,
+      },
+      { transaction }
+    )
+
+    const pool = await pendingRegistrations(transaction)
+    const rows = fresh.map((transfer) => {
+      const match = matchTransfer(transfer, pool)
+      // A registration is proposed for one transfer at most
+      if (match) pool.splice(pool.indexOf(match.registration), 1)
+      return {
+        import_id: bankImport.import_id,
+        fingerprint: transfer.fingerprint,
+        posted_at: transfer.postedAt,
+        description: transfer.description,
+        amount: transfer.amount,
+        status: match
+          ? TRANSACTION_STATUSES.PROPOSED
+          : TRANSACTION_STATUSES.UNMATCHED,
+        entity_type: match ? match.registration.entity_type : null,
+        entity_id: match ? match.registration.entity_id : null,
+        match_reason: match ? match.reason : null,
+      }
+    })
+    await BankTransaction.bulkCreate(rows, { transaction })
+    return bankImport.import_id
+  })
+
+  return getImport(importId)
+}
+
+const lockTransaction = async (transactionId, transaction) => {
+  const [item] = await sequelize.query(
+    `SELECT * FROM bank_transactions WHERE transaction_id = :transactionId FOR UPDATE`,
+    { replacements: { transactionId }, type: QueryTypes.SELECT, transaction }
+  )
+  if (!item) {
+    throw new HttpError(404, 'Bank transaction not found', 'NOT_FOUND')
+  }
+  if (item.status === TRANSACTION_STATUSES.CONFIRMED) {
+    throw new HttpError(
+      409,
+      'Bank transaction has already been confirmed',
+      'TRANSACTION_ALREADY_CONFIRMED'
+    )
+  }
+  return item
+}
+
+const loadTransaction = async (transactionId) => {
+  const [item] = await withRegistrations(
+    await sequelize.query(
+      `SELECT * FROM bank_transactions WHERE transaction_id = :transactionId`,
+      { replacements: { transactionId }, type: QueryTypes.SELECT }
+    )
+  )
+  return item
+}
+
+/**
+ * Confirms that a transfer pays a registration and marks it paid. Without
+ * `entityType` and `entityId` the proposed registration is used; with them
+ * any transfer can be matched by hand.
+ */
+const confirm = async (transactionId, { entityType, entityId, actorId }) => {
+  await sequelize.transaction(async (transaction) => {
+    const item = await lockTransaction(transactionId, transaction)
+
+    const manual = entityType !== undefined || entityId !== undefined
+    if (!manual && item.status !== TRANSACTION_STATUSES.PROPOSED) {
+      throw new HttpError(
+        400,
+        'entity_type and entity_id are required for a transaction without a proposed match',
+        'MATCH_REQUIRED'
+      )
+    }
+    const target = manual
+      ? { entityType, entityId, reason: 'manual' }
+      : {
+          entityType: item.entity_type,
+          entityId: item.entity_id,
+          reason: item.match_reason,
+        }
+
+    await markPaid(target.entityType, target.entityId, { transaction })
+    await sequelize.query(
+      `UPDATE bank_transactions SET status = :confirmed, entity_type = :entityType, entity_id = :entityId, match_reason = :reason, confirmed_by = :actorId, confirmedAt = NOW(), updatedAt = NOW() WHERE transaction_id = :transactionId`,
+      {
+        replacements: {
+          ...target,
+          confirmed: TRANSACTION_STATUSES.CONFIRMED,
+          actorId,
+          transactionId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    // The registration is paid, so other transfers proposed for it are not
+    await sequelize.query(
+      `UPDATE bank_transactions SET status = :unmatched, entity_type = NULL, entity_id = NULL, match_reason = NULL, updatedAt = NOW() WHERE status = :proposed AND entity_type = :entityType AND entity_id = :entityId`,
+      {
+        replacements: {
+          ...target,
+          unmatched: TRANSACTION_STATUSES.UNMATCHED,
+          proposed: TRANSACTION_STATUSES.PROPOSED,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+  })
+  return loadTransaction(transactionId)
+}
+
+/**
+ * Rejects a proposed match (the transfer becomes unmatched) or ignores a
+ * transfer that pays no registration.
+ */
+const dismiss = async (transactionId, status) => {
+  await sequelize.transaction(async (transaction) => {
+    const item = await lockTransaction(transactionId, transaction)
+    if (
+      status === TRANSACTION_STATUSES.UNMATCHED &&
+      item.status !== TRANSACTION_STATUSES.PROPOSED
+    ) {
+      throw new HttpError(
+        409,
+        'Bank transaction has no proposed match',
+        'NO_PROPOSED_MATCH'
+      )
+    }
+    await sequelize.query(
+      `UPDATE bank_transactions SET status = :status, entity_type = NULL, entity_id = NULL, match_reason = NULL, updatedAt = NOW() WHERE transaction_id = :transactionId`,
+      {
+        replacements: { status, transactionId },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+  })
+  return loadTransaction(transactionId)
+}
+
+// Transfers no registration could be matched to, oldest first
+const unmatchedTransactions = ({ importId } = {}) =>
+  sequelize.query(
+    `SELECT transaction_id, import_id, posted_at, description, amount FROM bank_transactions WHERE status = :unmatched${
+      importId ? ' AND import_id = :importId' : ''
+    } ORDER BY posted_at, transaction_id`,
+    {
+      replacements: { unmatched: TRANSACTION_STATUSES.UNMATCHED, importId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  matchTransfer,
+  importStatement,
+  listImports,
+  getImport,
+  confirm,
+  dismiss,
+  unmatchedTransactions,
+}
@@ -0,0 +1,175 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+
+const isOpen = (event, now = new Date()) =>
+  (!event.registration_open || new Date(event.registration_open) <= now) &&
+  (!event.registration_close || new Date(event.registration_close) > now)
+
+// Seats taken so far, withdrawn registrations excluded; Craft bundles take
+// one seat per participant
+const takenSeats = async (competition, transaction, slot) => {
+  if (competition.type === 'team') {
+    const [{ total }] = await sequelize.query(
+      `SELECT COUNT(*) AS total FROM teams WHERE event_id = :eventId AND status <> 'withdrawn'`,
+      {
+        replacements: { eventId: competition.eventId },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+    return Number(total)
+  }
+
+  const rows = await sequelize.query(
+    `SELECT activity_choice, COUNT(*) AS total FROM craft WHERE status <> 'withdrawn' GROUP BY activity_choice`,
+    { type: QueryTypes.SELECT, transaction }
+  )
+  return rows.reduce((sum, row) => {
+    const activity = competition.activities[row.activity_choice]
+    if (!activity || (slot && activity.slot !== slot)) return sum
+    return sum + activity.seats * Number(row.total)
+  }, 0)
+}
+
+const lockEvent = async (competition, transaction) => {
+  const [event] = await sequelize.query(
+    `SELECT * FROM events WHERE event_id = :eventId FOR UPDATE`,
+    {
+      replacements: { eventId: competition.eventId },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  )
+  return event
+}
+
+// Rejects taking the seats of `activity` (one seat without an activity)
+// when the event quota or the activity's slot is full. `released` is the
+// { slot, seats } the registration already holds and gives back.
+const assertSeatsLeft = async (
+  competition,
+  event,
+  activity,
+  { transaction, released = null }
+) => {
+  const seats = activity ? activity.seats : 1
+
+  if (event.quota !== null && event.quota !== undefined) {
+    const taken =
+      (await takenSeats(competition, transaction)) -
+      (released ? released.seats : 0)
+    if (taken + seats > event.quota) {
+      throw new HttpError(
+        409,
+        `${competition.name} has reached its registration quota`,
+        'QUOTA_FULL'
+      )
+    }
+  }
+
+  if (activity) {
+    const [quota] = await sequelize.query(
+      `SELECT capacity FROM activity_quotas WHERE event_id = :eventId AND slot = :slot`,
+      {
+        replacements: { eventId: competition.eventId, slot: activity.slot },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+    if (quota) {
+      const taken =
+        (await takenSeats(competition, transaction, activity.slot)) -
+        (released && released.slot === activity.slot ? released.seats : 0)
+      if (taken + seats > quota.capacity) {
+        throw new HttpError(
+          409,
+          `No ${activity.slot} slots left for ${competition.name}`,
+          'ACTIVITY_QUOTA_FULL'
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Rejects a registration outside the event's window or over its quota.
+ * Competitions with activities (Craft) need a valid `activityChoice`, so
+ * its seats are always counted. Must run inside the registration
+ * transaction: the event row is locked so concurrent registrations cannot
+ * both take the last seat.
+ */
+const assertCanRegister = async (
+  competition,
+  { transaction, activityChoice } = {}
+) => {
+  let activity = null
+  if (competition.activities) {
+    if (
+      !Object.prototype.hasOwnProperty.call(
+        competition.activities,
+        activityChoice
+      )
+    ) {
+      throw new HttpError(
+        400,
+        `Unknown activity_choice: ${activityChoice}`,
+        'INVALID_ACTIVITY_CHOICE'
+      )
+    }
+    activity = competition.activities[activityChoice]
+  }
+
+  const event = await lockEvent(competition, transaction)
+
+  if (!event) return
+
+  const now = new Date()
+  if (event.registration_open && new Date(event.registration_open) > now) {
+    throw new HttpError(
+      403,
+      `Registration for ${competition.name} has not opened yet`,
+      'REGISTRATION_NOT_OPEN'
+    )
+  }
+  if (event.registration_close && new Date(event.registration_close) <= now) {
+    throw new HttpError(
+      403,
+      `Registration for ${competition.name} is closed`,
+      'REGISTRATION_CLOSED'
+    )
+  }
+
+  await assertSeatsLeft(competition, event, activity, { transaction })
+}
+
+/**
+ * Rejects moving a Craft participant from activity `from` to `to` when the
+ * new activity does not fit the quotas. The seats the participant holds are
+ * given back first; withdrawn participants (`holdsSeats` false) hold none.
+ * Runs inside the edit transaction, locking the event like
+ * assertCanRegister. The registration window does not apply to edits.
+ */
+const assertCanChangeActivity = async (
+  competition,
+  { transaction, from, to, holdsSeats = true }
+) => {
+  const activity = competition.activities[to]
+  if (!activity || from === to) return
+
+  const event = await lockEvent(competition, transaction)
+  if (!event) return
+
+  const previous = competition.activities[from]
+  await assertSeatsLeft(competition, event, activity, {
+    transaction,
+    released: holdsSeats && previous ? previous : null,
+  })
+}
+
+module.exports = {
+  assertCanRegister,
+  assertCanChangeActivity,
+  isOpen,
+  takenSeats,
+}
@@ -0,0 +1,255 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const verification = require('./verification')
+const { resetReviews } = require('./documentReview')
+const { applyPrice } = require('./pricing')
+const { assertUniqueTeamName } = require('./teamRegistration')
+const {
+  documentSlots,
+  fieldSlots,
+  parseFlags,
+  loadSections,
+} = require('./documents')
+
+const { STATUSES, RESUBMISSION } = verification
+
+const ENTITIES = {
+  team: { table: 'teams', key: 'team_id' },
+  craft: { table: 'craft', key: 'participant_id' },
+}
+
+const RESUBMITTABLE = [STATUSES.REVISION_REQUESTED, STATUSES.REJECTED]
+
+// Field values keyed like fieldSlots(): team data is nested per section with
+// members as an array, Craft data is flat
+const submittedFields = (competition, data) => {
+  if (competition.type === 'individual') return { ...data }
+
+  const values = {}
+  const assign = (section, source) => {
+    const row = Array.isArray(source) ? source[0] : source
+    Object.entries(row || {}).forEach(([column, value]) => {
+      values[`${section}.${column}`] = value
+    })
+  }
+
+  assign('team', data.team)
+  assign('leader', data.leader)
+  const members = data.members || []
+  members.forEach((member, index) => assign(`member${index + 1}`, member))
+  competition.extras.forEach((extra) => assign(extra.name, data[extra.name]))
+  return values
+}
+
+const updateSection = async (section, values, transaction) => {
+  const columns = Object.keys(values)
+  const where = Object.keys(section.where)
+  await sequelize.query(
+    `UPDATE ${section.table} SET ${columns
+      .map((column) => `${column} = :set_${column}`)
+      .join(', ')} WHERE ${where
+      .map((column) => `${column} = :where_${column}`)
+      .join(' AND ')}`,
+    {
+      replacements: {
+        ...Object.fromEntries(
+          columns.map((column) => [`set_${column}`, values[column]])
+        ),
+        ...Object.fromEntries(
+          where.map((column) => [`where_${column}`, section.where[column]])
+        ),
+      },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+}
+
+/**
+ * Applies a participant's resubmission after a rejection or revision request
+ * and moves the registration to `resubmitted`.
+ *
+ * Only the documents and fields flagged by the committee may be replaced and
+ * every flagged document has to be uploaded again; without flags the whole
+ * registration is open. Replaced files stay on disk and are recorded in
+ * document_versions and their document reviews go back to pending. The
+ * caller removes the new uploads when this rejects.
+ */
+const resubmit = async (
+  competition,
+  { entityType, entityId, actorId, data = {}, files = {}, note }
+) =>
+  sequelize.transaction(async (transaction) => {
+    const { table, key } = ENTITIES[entityType]
+    const [record] = await sequelize.query(
+      `SELECT status, revision_flags FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+      {
+        replacements: { entityId },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+
+    if (!record) {
+      throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+    }
+    if (!RESUBMITTABLE.includes(record.status)) {
+      throw new HttpError(
+        409,
+        `Registrations with status ${record.status} cannot be resubmitted`,
+        'RESUBMISSION_NOT_ALLOWED'
+      )
+    }
+
+    const flags = parseFlags(record.revision_flags)
+    const documents = documentSlots(competition).filter(
+      (slot) => !flags || flags.documents.includes(slot.key)
+    )
+    const fields = fieldSlots(competition).filter(
+      (slot) => !flags || flags.fields.includes(slot.key)
+    )
+
+    const uploaded = Object.keys(files)
+    const notFlagged = uploaded.filter(
+      (name) => !documents.some((slot) => slot.key === name)
+    )
+    if (notFlagged.length) {
+      throw new HttpError(
+        400,
+        `Documents not flagged for revision: ${notFlagged.join(', ')}`,
+        'DOCUMENT_NOT_FLAGGED'
+      )
+    }
+    if (flags) {
+      const missing = documents
+        .map((slot) => slot.key)
+        .filter((name) => !uploaded.includes(name))
+      if (missing.length) {
+        throw new HttpError(
+          400,
+          `Flagged documents must be uploaded again: ${missing.join(', ')}`,
+          'FLAGGED_DOCUMENT_MISSING'
+        )
+      }
+    }
+
+    const values = submittedFields(competition, data)
+    const fieldsNotFlagged = Object.keys(values).filter(
+      (name) => !fields.some((slot) => slot.key === name)
+    )
+    if (fieldsNotFlagged.length) {
+      throw new HttpError(
+        400,
+        `Fields not flagged for revision: ${fieldsNotFlagged.join(', ')}`,
+        'FIELD_NOT_FLAGGED'
+      )
+    }
+
+    const sections = await loadSections(competition, entityId, transaction)
+    const changes = {}
+    const change = (slot, value) => {
+      if (!sections[slot.section]) {
+        throw new HttpError(
+          400,
+          `${slot.key} belongs to a member this team does not have`,
+          'UNKNOWN_SECTION'
+        )
+      }
+      changes[slot.section] = changes[slot.section] || {}
+      changes[slot.section][slot.column] = value
+    }
+
+    for (const slot of fields) {
+      if (values[slot.key] !== undefined) change(slot, values[slot.key])
+    }
+
+    if (values['team.team_name'] !== undefined) {
+      await assertUniqueTeamName(
+        competition,
+        entityId,
+        values['team.team_name'],
+        transaction
+      )
+    }
+
+    for (const slot of documents) {
+      if (!files[slot.key]) continue
+      change(slot, files[slot.key][0].path)
+
+      const previous = sections[slot.section].row[slot.column]
+      if (previous) {
+        await sequelize.query(
+          `INSERT INTO document_versions (entity_type, entity_id, document_key, file_path, actor_id, createdAt) VALUES (:entityType, :entityId, :documentKey, :filePath, :actorId, NOW())`,
+          {
+            replacements: {
+              entityType,
+              entityId,
+              documentKey: slot.key,
+              filePath: previous,
+              actorId,
+            },
+            type: QueryTypes.INSERT,
+            transaction,
+          }
+        )
+      }
+    }
+
+    if (!Object.keys(changes).length) {
+      throw new HttpError(
+        400,
+        'Nothing was submitted for revision',
+        'NOTHING_TO_RESUBMIT'
+      )
+    }
+
+    for (const [section, sectionValues] of Object.entries(changes)) {
+      await updateSection(sections[section], sectionValues, transaction)
+    }
+    await resetReviews(entityType, entityId, uploaded, transaction)
+    // isMahasiswaDTSL is a Craft field and changes the price
+    if (competition.type === 'individual') {
+      await applyPrice(competition, entityType, entityId, { transaction })
+    }
+
+    const result = await verification.transition({
+      entityType,
+      entityId,
+      to: STATUSES.RESUBMITTED,
+      actorId,
+      actorKinds: [RESUBMISSION],
+      note,
+      transaction,
+    })
+
+    return {
+      ...result,
+      documents: uploaded,
+      fields: Object.keys(values),
+    }
+  })
+
+// Current file of every document with the versions it replaced, newest first
+const listVersions = async (competition, entityType, entityId) => {
+  const sections = await loadSections(competition, entityId)
+  const versions = await sequelize.query(
+    `SELECT version_id, document_key, file_path, actor_id, createdAt FROM document_versions
+    WHERE entity_type = :entityType AND entity_id = :entityId
+    ORDER BY createdAt DESC, version_id DESC`,
+    {
+      replacements: { entityType, entityId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+  return documentSlots(competition)
+    .filter((slot) => sections[slot.section])
+    .map((slot) => ({
+      key: slot.key,
+      current: sections[slot.section].row[slot.column],
+      versions: versions.filter((version) => version.document_key === slot.key),
+    }))
+}
+
+module.exports = { resubmit, listVersions }
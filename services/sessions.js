@@ -0,0 +1,217 @@
+const crypto = require('crypto')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const env = require('../config/env')
+const jwt = require('../utils/jwt')
+const HttpError = require('../utils/httpError')
+
+const ACCESS_TOKEN_TTL = env.ACCESS_TOKEN_TTL
+const REFRESH_TOKEN_DAYS = env.REFRESH_TOKEN_TTL_DAYS
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  ADMIN: 'admin',
+  REUSE: 'reuse',
+  PASSWORD_RESET: 'password_reset',
+}
+
+const hashOf = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// authenticateToken checks sid and tokenVersion against the database
+const tokenPayload = (user, sessionId) => ({
+  user_id: user.user_id,
+  username: user.username,
+  email: user.email,
+  isAdmin: user.isAdmin,
+  role: user.role,
+  eventId: user.eventId,
+  tokenVersion: user.tokenVersion || 0,
+  sid: sessionId,
+})
+
+// A new access token and refresh token for a session
+const issueTokens = async (user, sessionId, transaction) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url')
+  const refreshExpiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  )
+  await sequelize.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expiresAt, createdAt) VALUES (:sessionId, :tokenHash, :expiresAt, NOW())`,
+    {
+      replacements: {
+        sessionId,
+        tokenHash: hashOf(refreshToken),
+        expiresAt: refreshExpiresAt,
+      },
+      type: QueryTypes.INSERT,
+      transaction,
+    }
+  )
+
+  return {
+    token: jwt.sign(tokenPayload(user, sessionId), {
+      expiresIn: ACCESS_TOKEN_TTL,
+    }),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshExpiresAt,
+  }
+}
+
+/**
+ * Starts a session for a user who just logged in or registered and returns
+ * { token, expiresIn, refreshToken, refreshExpiresAt }.
+ */
+const start = async (user, { userAgent, ip } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const [sessionId] = await sequelize.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip, lastUsedAt, createdAt) VALUES (:userId, :userAgent, :ip, NOW(), NOW())`,
+      {
+        replacements: {
+          userId: user.user_id,
+          userAgent: userAgent ? userAgent.slice(0, 255) : null,
+          ip: ip || null,
+        },
+        type: QueryTypes.INSERT,
+        transaction,
+      }
+    )
+    return issueTokens(user, sessionId, transaction)
+  })
+
+const revoke = async (sessionId, reason, { transaction } = {}) => {
+  await sequelize.query(
+    `UPDATE user_sessions SET revokedAt = NOW(), revoke_reason = :reason WHERE session_id = :sessionId AND revokedAt IS NULL`,
+    {
+      replacements: { sessionId, reason },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+}
+
+/**
+ * Ends every session of a user. tokenVersion is raised as well, which also
+ * ends access tokens issued before sessions existed.
+ */
+const revokeAll = async (userId, reason, { transaction } = {}) => {
+  await sequelize.query(
+    `UPDATE user_sessions SET revokedAt = NOW(), revoke_reason = :reason WHERE user_id = :userId AND revokedAt IS NULL`,
+    {
+      replacements: { userId, reason },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+  await sequelize.query(
+    `UPDATE users SET tokenVersion = tokenVersion + 1 WHERE user_id = :userId`,
+    { replacements: { userId }, type: QueryTypes.UPDATE, transaction }
+  )
+}
+
+const sessionEnded = () =>
+  new HttpError(
+    401,
+    'Session has ended, please log in again',
+    'INVALID_REFRESH_TOKEN'
+  )
+
+/**
+ * Trades a refresh token for a new access token and refresh token. Each
+ * refresh token works once: one that was already used has been copied, so
+ * the whole session is revoked and neither copy works any more.
+ */
+const refresh = async (refreshToken, { userAgent, ip } = {}) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const [row] = refreshToken
+      ? await sequelize.query(
+          `SELECT refresh_tokens.token_id, refresh_tokens.session_id, refresh_tokens.expiresAt, refresh_tokens.usedAt, user_sessions.user_id, user_sessions.revokedAt
+          FROM refresh_tokens
+          JOIN user_sessions ON user_sessions.session_id = refresh_tokens.session_id
+          WHERE refresh_tokens.token_hash = :tokenHash
+          FOR UPDATE`,
+          {
+            replacements: { tokenHash: hashOf(refreshToken) },
+            type: QueryTypes.SELECT,
+            transaction,
+          }
+        )
+      : []
+    if (!row || row.revokedAt || new Date(row.expiresAt) <= new Date()) {
+      throw sessionEnded()
+    }
+    if (row.usedAt) {
+      await revoke(row.session_id, REVOKE_REASONS.REUSE, { transaction })
+      return { reused: true }
+    }
+
+    await sequelize.query(
+      `UPDATE refresh_tokens SET usedAt = NOW() WHERE token_id = :tokenId`,
+      {
+        replacements: { tokenId: row.token_id },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    await sequelize.query(
+      `UPDATE user_sessions SET lastUsedAt = NOW(), user_agent = :userAgent, ip = :ip WHERE session_id = :sessionId`,
+      {
+        replacements: {
+          sessionId: row.session_id,
+          userAgent: userAgent ? userAgent.slice(0, 255) : null,
+          ip: ip || null,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+
+    // Role and event may have changed since the last token
+    const [user] = await sequelize.query(
+      `SELECT user_id, username, email, isAdmin, role, eventId, tokenVersion FROM users WHERE user_id = :userId`,
+      {
+        replacements: { userId: row.user_id },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+    return issueTokens(user, row.session_id, transaction)
+  })
+
+  // Thrown outside the transaction so the revocation is kept
+  if (result.reused) {
+    throw new HttpError(
+      401,
+      'Refresh token was already used; the session has been ended for safety',
+      'REFRESH_TOKEN_REUSED'
+    )
+  }
+  return result
+}
+
+// Sessions that have not been revoked, most recently used first
+const listActive = (userId) =>
+  sequelize.query(
+    `SELECT session_id, user_agent, ip, createdAt, lastUsedAt FROM user_sessions
+    WHERE user_id = :userId AND revokedAt IS NULL AND lastUsedAt > :since
+    ORDER BY lastUsedAt DESC`,
+    {
+      replacements: {
+        userId,
+        since: new Date(Date.now() - REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+      },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REVOKE_REASONS,
+  start,
+  refresh,
+  revoke,
+  revokeAll,
+  listActive,
+}
@@ -0,0 +1,70 @@
+const path = require('path')
+const env = require('../../config/env')
+const createLocalDriver = require('./local')
+const createS3Driver = require('./s3')
+
+/**
+ * File storage shared by every upload. Files are addressed by a key such as
+ * `cic/leader_ktm-1712345678-123.png`, which is what the database stores.
+ *
+ * Drivers implement put(key, buffer, { contentType }), get(key) returning a
+ * readable stream, exists(key) and remove(key). STORAGE_DRIVER selects
+ * `local` (default, under ./uploads) or `s3`.
+ */
+
+const createDriver = (name = env.STORAGE_DRIVER) => {
+  if (name === 'local') {
+    return createLocalDriver({ root: env.STORAGE_LOCAL_ROOT })
+  }
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE,
+      prefix: env.S3_PREFIX,
+    })
+  }
+  throw new Error(`Unknown storage driver: ${name}`)
+}
+
+// Paths stored before the storage layer look like uploads/cic/x.png
+const LEGACY_PREFIX = 'uploads/'
+
+/**
+ * Turns a stored path into a storage key. Returns null for anything that
+ * could escape the storage root.
+ */
+const toKey = (storedPath) => {
+  if (!storedPath || typeof storedPath !== 'string') return null
+  let key = storedPath.replace(/\\/g, '/')
+  if (key.startsWith(LEGACY_PREFIX)) key = key.slice(LEGACY_PREFIX.length)
+  key = path.posix.normalize(key)
+  if (key.startsWith('/') || key.startsWith('..') || key === '.') return null
+  return key
+}
+
+let driver = null
+const current = () => {
+  if (!driver) driver = createDriver()
+  return driver
+}
+
+const withKey =
+  (method) =>
+  async (storedPath, ...args) => {
+    const key = toKey(storedPath)
+    if (!key) throw new Error(`Invalid storage path: ${storedPath}`)
+    return current()[method](key, ...args)
+  }
+
+module.exports = {
+  createDriver,
+  toKey,
+  put: withKey('put'),
+  get: withKey('get'),
+  exists: withKey('exists'),
+  remove: withKey('remove'),
+}
@@ -0,0 +1,39 @@
+const fs = require('fs')
+const path = require('path')
+
+// Stores files under a directory on this server's disk
+const createLocalDriver = ({ root = 'uploads' } = {}) => {
+  const base = path.resolve(root)
+  const locate = (key) => path.join(base, key)
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const target = locate(key)
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.writeFile(target, body)
+    },
+
+    get: async (key) => fs.createReadStream(locate(key)),
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(locate(key))
+        return true
+      } catch (error) {
+        return false
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(locate(key))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    },
+  }
+}
+
+module.exports = createLocalDriver
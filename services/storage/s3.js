@@ -0,0 +1,79 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3')
+
+// Stores files in an S3 compatible bucket. MinIO needs an endpoint and
+// path-style addressing.
+const createS3Driver = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  prefix = '',
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver')
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  })
+  const objectKey = (key) => `${prefix}${key}`
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: body,
+          ContentType: contentType,
+        })
+      )
+    },
+
+    get: async (key) => {
+      const object = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+      )
+      return object.Body
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        )
+        return true
+      } catch (error) {
+        const status = error.$metadata && error.$metadata.httpStatusCode
+        if (error.name === 'NotFound' || status === 404) {
+          return false
+        }
+        throw error
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+      )
+    },
+  }
+}
+
+module.exports = createS3Driver
@@ -0,0 +1,487 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const { assertCanRegister } = require('./registrationWindow')
+const { STATUSES, recordHistory } = require('./verification')
+const { applyPrice } = require('./pricing')
+const { PAYMENT_STATUSES } = require('./payments')
+const { redeem } = require('./vouchers')
+
+const filePath = (files, field) =>
+  files && files[field] ? files[field][0].path : null
+
+const pick = (source, fields) =>
+  fields.reduce((result, field) => {
+    result[field] = source && source[field] !== undefined ? source[field] : null
+    return result
+  }, {})
+
+// Extras arrive either as an object or as a one element array
+const extraData = (data, extra) => {
+  const value = data[extra.name]
+  return Array.isArray(value) ? value[0] : value
+}
+
+const insertRow = async (table, row, transaction) => {
+  const columns = Object.keys(row)
+  const [insertId] = await sequelize.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns
+      .map((column) => `:${column}`)
+      .join(', ')})`,
+    {
+      replacements: row,
+      type: QueryTypes.INSERT,
+      transaction,
+    }
+  )
+  return insertId
+}
+
+const splitMembers = (members) => ({
+  leader: members.find((member) => member.is_leader === 1),
+  members: members.filter((member) => member.is_leader === 0),
+})
+
+const loadTeamDetails = async (competition, team) => {
+  const members = await sequelize.query(
+    `SELECT * FROM members WHERE team_id = :teamId ORDER BY is_leader DESC`,
+    {
+      replacements: { teamId: team.team_id },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+  const details = { team, ...splitMembers(members) }
+
+  for (const extra of competition.extras) {
+    details[extra.name] = await sequelize.query(
+      `SELECT * FROM ${extra.table} WHERE team_id = :teamId`,
+      {
+        replacements: { teamId: team.team_id },
+        type: QueryTypes.SELECT,
+      }
+    )
+  }
+
+  return details
+}
+
+const listTeams = async (competition) => {
+  const teams = await sequelize.query(
+    `SELECT * FROM teams WHERE event_id = :eventId`,
+    {
+      replacements: { eventId: competition.eventId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+  return Promise.all(
+    teams.map(async (team) => ({
+      ...(await loadTeamDetails(competition, team)),
+      event: competition.name,
+    }))
+  )
+}
+
+const getTeam = async (competition, teamId) => {
+  const [team] = await sequelize.query(
+    `SELECT * FROM teams WHERE team_id = :teamId AND event_id = :eventId`,
+    {
+      replacements: { teamId, eventId: competition.eventId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+  return team ? loadTeamDetails(competition, team) : null
+}
+
+// Members past minMembers may be submitted blank and are skipped
+const filledMembers = (competition, members) => {
+  const filled = (members || [])
+    .map((member, index) => ({ member, number: index + 1 }))
+    .filter(
+      ({ member, number }) =>
+        number <= competition.minMembers ||
+        (member && member.full_name && member.full_name.trim())
+    )
+
+  if (
+    filled.length < competition.minMembers ||
+    filled.length > competition.maxMembers
+  ) {
+    throw new HttpError(
+      400,
+      `${competition.name} teams need between ${competition.minMembers} and ${competition.maxMembers} members besides the leader`,
+      'INVALID_MEMBER_COUNT'
+    )
+  }
+
+  return filled
+}
+
+const memberRow = (competition, teamId, member, prefix, files, isLeader) => ({
+  team_id: teamId,
+  ...pick(member, competition.memberFields),
+  ...competition.memberDocuments.reduce((documents, doc) => {
+    documents[doc] = filePath(files, `${prefix}_${doc}`)
+    return documents
+  }, {}),
+  is_leader: isLeader ? 1 : 0,
+})
+
+/**
+ * Registers a team with its leader, members and the competition's extra
+ * records. `data` is the parsed JSON sent in the `data` form field and
+ * `files` is req.files from the multer instance built with uploadFields().
+ * `team.voucher_code` is redeemed with the registration. Everything is
+ * written in one transaction; the caller removes the uploaded files when it
+ * rejects.
+ */
+const createTeam = async (competition, { userId, data, files }) => {
+  const { team, leader, members } = data
+
+  if (!team || !leader) {
+    throw new HttpError(
+      400,
+      'Missing required team or leader data',
+      'REQUIRED_FIELDS_MISSING'
+    )
+  }
+
+  const memberEntries = filledMembers(competition, members)
+
+  return sequelize.transaction(async (transaction) => {
+    await assertCanRegister(competition, { transaction })
+
+    const existingTeam = await sequelize.query(
+      `SELECT team_id FROM teams WHERE team_name = :team_name AND event_id = :event_id`,
+      {
+        replacements: {
+          team_name: team.team_name,
+          event_id: competition.eventId,
+        },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+
+    if (existingTeam.length > 0) {
+      throw new HttpError(400, 'Team name already exists', 'TEAM_NAME_EXISTS')
+    }
+
+    const teamId = await insertRow(
+      'teams',
+      {
+        team_name: team.team_name,
+        institution_name: team.institution_name,
+        email: team.email || null,
+        event_id: competition.eventId,
+        user_id: userId,
+        payment_proof: filePath(files, 'payment_proof'),
+      },
+      transaction
+    )
+
+    await insertRow(
+      'members',
+      memberRow(competition, teamId, leader, 'leader', files, true),
+      transaction
+    )
+
+    for (const { member, number } of memberEntries) {
+      await insertRow(
+        'members',
+        memberRow(competition, teamId, member, `member${number}`, files, false),
+        transaction
+      )
+    }
+
+    for (const extra of competition.extras) {
+      const row = {
+        team_id: teamId,
+        ...pick(extraData(data, extra), extra.fields),
+      }
+      Object.entries(extra.documents).forEach(([column, field]) => {
+        row[column] = filePath(files, field)
+      })
+      await insertRow(extra.table, row, transaction)
+    }
+
+    if (team.voucher_code) {
+      await redeem(competition, {
+        code: team.voucher_code,
+        teamId,
+        userId,
+        transaction,
+      })
+    }
+
+    await applyPrice(competition, 'team', teamId, { transaction })
+
+    await recordHistory(
+      {
+        entityType: 'team',
+        entityId: teamId,
+        to: STATUSES.SUBMITTED,
+        actorId: userId,
+      },
+      transaction
+    )
+
+    return { team_id: teamId }
+  })
+}
+
+// SET clause for the given columns that are present in `source`
+const assignments = (source, columns) => {
+  const present = columns.filter((column) => source[column] !== undefined)
+  return {
+    clause: present.map((column) => `${column} = :${column}`).join(', '),
+    values: pick(source, present),
+  }
+}
+
+// Team names are unique per event
+const assertUniqueTeamName = async (competition, teamId, name, transaction) => {
+  const [existing] = await sequelize.query(
+    `SELECT team_id FROM teams WHERE team_name = :name AND event_id = :eventId AND team_id <> :teamId`,
+    {
+      replacements: { name, eventId: competition.eventId, teamId },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  )
+  if (existing) {
+    throw new HttpError(400, 'Team name already exists', 'TEAM_NAME_EXISTS')
+  }
+}
+
+const documentChanged = (source, stored, columns) =>
+  Boolean(source) &&
+  columns.some(
+    (column) =>
+      source[column] !== undefined &&
+      source[column] !== (stored ? stored[column] : null)
+  )
+
+const selectColumns = async (table, columns, teamId, transaction) =>
+  columns.length
+    ? sequelize.query(
+        `SELECT ${columns.join(', ')} FROM ${table} WHERE team_id = :teamId`,
+        { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+      )
+    : []
+
+// Documents are only replaced through resubmission (see
+// services/resubmission.js), which keeps their versions and resets reviews.
+// Clients may send document paths back unchanged; a different path would
+// skip resubmission and leave an approved review on a new file.
+const assertDocumentsUnchanged = async (
+  competition,
+  teamId,
+  data,
+  transaction
+) => {
+  const { team, leader, members } = data
+  const [storedTeam] = await selectColumns(
+    'teams',
+    competition.teamDocuments,
+    teamId,
+    transaction
+  )
+  const storedMembers = await selectColumns(
+    'members',
+    ['member_id', ...competition.memberDocuments],
+    teamId,
+    transaction
+  )
+
+  let changed =
+    documentChanged(team, storedTeam, competition.teamDocuments) ||
+    [leader, ...(members || [])].some(
+      (member) =>
+        member &&
+        documentChanged(
+          member,
+          storedMembers.find(
+            (stored) => String(stored.member_id) === String(member.member_id)
+          ),
+          competition.memberDocuments
+        )
+    )
+  for (const extra of competition.extras) {
+    const columns = Object.keys(extra.documents)
+    const [stored] = await selectColumns(
+      extra.table,
+      columns,
+      teamId,
+      transaction
+    )
+    changed =
+      changed || documentChanged(extraData(data, extra), stored, columns)
+  }
+
+  if (changed) {
+    throw new HttpError(
+      400,
+      'Documents can only be replaced by resubmitting while the team is flagged for revision',
+      'DOCUMENT_CHANGE_NOT_ALLOWED'
+    )
+  }
+}
+
+/**
+ * Updates a team of `competition`, its members and the competition's extra
+ * records from the JSON body used by the update routes. The editable
+ * columns are the registry's teamFields, memberFields and extras fields;
+ * only those present in the body are written. Ownership stays with
+ * `ownerId` and members of other teams are left untouched. Documents cannot
+ * change here (400 DOCUMENT_CHANGE_NOT_ALLOWED).
+ */
+const updateTeam = async (competition, data, ownerId) =>
+  sequelize.transaction(async (transaction) => {
+    const { team, leader, members } = data
+    const teamId = team.team_id
+    const [stored] = await sequelize.query(
+      `SELECT event_id FROM teams WHERE team_id = :teamId FOR UPDATE`,
+      { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+    )
+    if (!stored || stored.event_id !== competition.eventId) {
+      throw new HttpError(
+        404,
+        'No team found for this id and event',
+        'NOT_FOUND'
+      )
+    }
+
+    await assertDocumentsUnchanged(competition, teamId, data, transaction)
+    if (team.team_name !== undefined) {
+      await assertUniqueTeamName(
+        competition,
+        teamId,
+        team.team_name,
+        transaction
+      )
+    }
+
+    const teamSet = assignments(team, competition.teamFields)
+    await sequelize.query(
+      `UPDATE teams SET ${[teamSet.clause, 'user_id = :user_id']
+        .filter(Boolean)
+        .join(', ')} WHERE team_id = :team_id`,
+      {
+        replacements: {
+          ...teamSet.values,
+          user_id: ownerId,
+          team_id: teamId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+
+    for (const member of [leader, ...(members || [])]) {
+      if (!member) continue
+      const memberSet = assignments(member, competition.memberFields)
+      if (!memberSet.clause) continue
+
+      await sequelize.query(
+        `UPDATE members SET ${memberSet.clause} WHERE member_id = :member_id AND team_id = :team_id`,
+        {
+          replacements: {
+            ...memberSet.values,
+            member_id: member.member_id,
+            team_id: teamId,
+          },
+          type: QueryTypes.UPDATE,
+          transaction,
+        }
+      )
+    }
+
+    for (const extra of competition.extras) {
+      const extraSet = assignments(extraData(data, extra) || {}, extra.fields)
+      if (!extraSet.clause) continue
+
+      await sequelize.query(
+        `UPDATE ${extra.table} SET ${extraSet.clause} WHERE team_id = :team_id`,
+        {
+          replacements: { ...extraSet.values, team_id: teamId },
+          type: QueryTypes.UPDATE,
+          transaction,
+        }
+      )
+    }
+  })
+
+// Records of money and verdicts about a team. A team with any of them is
+// kept, and withdraws instead of being deleted.
+const KEPT_RECORDS = [
+  'payments',
+  'bank_transactions',
+  'withdrawal_requests',
+  'certificates',
+]
+// The review trail, which goes with the team
+const REVIEW_RECORDS = [
+  'verification_histories',
+  'document_versions',
+  'document_reviews',
+]
+
+/**
+ * Removes the team, its members, the competition's extra records, its
+ * review trail and its voucher redemption, which frees that use of the
+ * voucher. A team that paid, was matched to a transfer, asked to withdraw
+ * or has certificates is refused (409 TEAM_HAS_RECORDS).
+ */
+const deleteTeam = async (competition, teamId) =>
+  sequelize.transaction(async (transaction) => {
+    const [team] = await sequelize.query(
+      `SELECT payment_status FROM teams WHERE team_id = :teamId FOR UPDATE`,
+      { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+    )
+    const [kept] = await sequelize.query(
+      KEPT_RECORDS.map(
+        (table) =>
+          `SELECT 1 FROM ${table} WHERE entity_type = 'team' AND entity_id = :teamId`
+      ).join(' UNION ALL ') + ' LIMIT 1',
+      { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+    )
+    if (kept || (team && team.payment_status !== PAYMENT_STATUSES.UNPAID)) {
+      throw new HttpError(
+        409,
+        'A team with payment, withdrawal or certificate records cannot be deleted; it has to withdraw instead',
+        'TEAM_HAS_RECORDS'
+      )
+    }
+
+    for (const table of REVIEW_RECORDS) {
+      await sequelize.query(
+        `DELETE FROM ${table} WHERE entity_type = 'team' AND entity_id = :teamId`,
+        { replacements: { teamId }, type: QueryTypes.DELETE, transaction }
+      )
+    }
+    for (const table of [
+      ...competition.extras.map((extra) => extra.table),
+      'voucher_redemptions',
+      'members',
+      'teams',
+    ]) {
+      await sequelize.query(`DELETE FROM ${table} WHERE team_id = :teamId`, {
+        replacements: { teamId },
+        type: QueryTypes.DELETE,
+        transaction,
+      })
+    }
+  })
+
+module.exports = {
+  listTeams,
+  getTeam,
+  createTeam,
+  assertUniqueTeamName,
+  updateTeam,
+  deleteTeam,
+  splitMembers,
+}
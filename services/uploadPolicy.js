@@ -0,0 +1,125 @@
+const { documentSlots } = require('./documents')
+
+const MB = 1024 * 1024
+const DEFAULT_MAX_SIZE = 10 * MB
+
+// Accepted content, recognised from the first bytes of the file
+const TYPES = {
+  jpeg: {
+    kind: 'image',
+    extension: '.jpg',
+    matches: (buffer) =>
+      buffer.length > 3 &&
+      buffer[0] === 0xff &&
+      buffer[1] === 0xd8 &&
+      buffer[2] === 0xff,
+  },
+  png: {
+    kind: 'image',
+    extension: '.png',
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  pdf: {
+    kind: 'pdf',
+    extension: '.pdf',
+    matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+  },
+}
+
+// Rules per document column; anything else accepts an image or a PDF
+const COLUMN_RULES = {
+  photo: { kinds: ['image'], maxSize: 5 * MB },
+  abstract_file: { kinds: ['pdf'] },
+  originality_statement: { kinds: ['pdf'] },
+}
+const DEFAULT_RULE = { kinds: ['image', 'pdf'] }
+
+const KIND_LABELS = { image: 'a JPEG or PNG image', pdf: 'a PDF' }
+
+const sniff = (buffer) =>
+  Object.keys(TYPES).find((type) => TYPES[type].matches(buffer)) || null
+
+// Cheap structural checks: a PDF must end with a trailer and must not be
+// password protected, otherwise the committee cannot open it
+const inspectPdf = (buffer) => {
+  const tail = buffer.subarray(-2048).toString('latin1')
+  if (!tail.includes('%%EOF') || !tail.includes('startxref')) {
+    return { code: 'PDF_CORRUPT', message: 'is not a readable PDF' }
+  }
+  if (buffer.toString('latin1').includes('/Encrypt')) {
+    return {
+      code: 'PDF_ENCRYPTED',
+      message: 'is password protected; upload a PDF without encryption',
+    }
+  }
+  return null
+}
+
+const describeKinds = (kinds) =>
+  kinds.map((kind) => KIND_LABELS[kind]).join(' or ')
+
+/**
+ * Upload rules for a competition's registration fields, or the default rule
+ * for generic uploads. competition.maxFileSize caps every field.
+ *
+ * check(field, buffer) returns null for an acceptable file, otherwise
+ * { code, message } describing what is wrong with that field.
+ */
+const uploadPolicy = (competition) => {
+  const columns = {}
+  if (competition) {
+    documentSlots(competition).forEach((slot) => {
+      columns[slot.key] = slot.column
+    })
+  }
+  const cap = (competition && competition.maxFileSize) || DEFAULT_MAX_SIZE
+
+  const ruleFor = (field) => {
+    const rule = COLUMN_RULES[columns[field]] || DEFAULT_RULE
+    return { ...rule, maxSize: Math.min(rule.maxSize || cap, cap) }
+  }
+
+  const check = (field, buffer) => {
+    const rule = ruleFor(field)
+    const fail = (code, message) => ({
+      field,
+      code,
+      message: `${field} ${message}`,
+    })
+
+    if (buffer.length > rule.maxSize) {
+      return fail(
+        'FILE_TOO_LARGE',
+        `must not be larger than ${rule.maxSize / MB} MB`
+      )
+    }
+
+    const type = sniff(buffer)
+    if (!type || !rule.kinds.includes(TYPES[type].kind)) {
+      return fail(
+        'FILE_TYPE_NOT_ALLOWED',
+        `must be ${describeKinds(rule.kinds)}`
+      )
+    }
+
+    if (type === 'pdf') {
+      const problem = inspectPdf(buffer)
+      if (problem) return fail(problem.code, problem.message)
+    }
+
+    return null
+  }
+
+  return {
+    maxFileSize: cap,
+    ruleFor,
+    check,
+    // Stored files are named after their content, not the client's filename
+    extension: (buffer) => TYPES[sniff(buffer)].extension,
+  }
+}
+
+module.exports = { uploadPolicy, sniff, inspectPdf }
@@ -0,0 +1,86 @@
+const crypto = require('crypto')
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+}
+
+const hashOf = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+/**
+ * Issues a one-time token for `purpose` valid for `ttlMinutes` and returns
+ * it. Only its hash is stored. Earlier unused tokens of the same purpose
+ * stop working, so only the latest email counts.
+ */
+const issue = async (userId, purpose, { ttlMinutes, transaction } = {}) => {
+  await sequelize.query(
+    `UPDATE user_tokens SET usedAt = NOW() WHERE user_id = :userId AND purpose = :purpose AND usedAt IS NULL`,
+    { replacements: { userId, purpose }, type: QueryTypes.UPDATE, transaction }
+  )
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await sequelize.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expiresAt, createdAt) VALUES (:userId, :purpose, :tokenHash, :expiresAt, NOW())`,
+    {
+      replacements: {
+        userId,
+        purpose,
+        tokenHash: hashOf(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      },
+      type: QueryTypes.INSERT,
+      transaction,
+    }
+  )
+  return token
+}
+
+/**
+ * Uses up a token and returns the user it was issued to. Unknown, used and
+ * expired tokens are rejected alike.
+ */
+const consume = async (token, purpose, { transaction } = {}) => {
+  const [row] = token
+    ? await sequelize.query(
+        `SELECT token_id, user_id, expiresAt, usedAt FROM user_tokens WHERE token_hash = :tokenHash AND purpose = :purpose FOR UPDATE`,
+        {
+          replacements: { tokenHash: hashOf(token), purpose },
+          type: QueryTypes.SELECT,
+          transaction,
+        }
+      )
+    : []
+  if (!row || row.usedAt || new Date(row.expiresAt) <= new Date()) {
+    throw new HttpError(
+      400,
+      'This link is invalid or has expired',
+      'INVALID_TOKEN'
+    )
+  }
+
+  await sequelize.query(
+    `UPDATE user_tokens SET usedAt = NOW() WHERE token_id = :tokenId`,
+    {
+      replacements: { tokenId: row.token_id },
+      type: QueryTypes.UPDATE,
+      transaction,
+    }
+  )
+  return row.user_id
+}
+
+// Tokens of `purpose` issued to a user since `since`, newest first
+const issuedSince = (userId, purpose, since) =>
+  sequelize.query(
+    `SELECT createdAt FROM user_tokens WHERE user_id = :userId AND purpose = :purpose AND createdAt > :since ORDER BY createdAt DESC`,
+    {
+      replacements: { userId, purpose, since },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+module.exports = { PURPOSES, issue, consume, issuedSince }
@@ -0,0 +1,229 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const { ROLES, roleOf } = require('../config/roles')
+
+const STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  REVISION_REQUESTED: 'revision_requested',
+  RESUBMITTED: 'resubmitted',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+}
+
+const STATUS_LIST = Object.values(STATUSES)
+
+// Who may move a registration from one status to the next: the committee
+// reviewing it, the participant owning it, a resubmission that re-uploaded
+// everything flagged (see services/resubmission.js), or a withdrawal request
+// the committee approved (see services/withdrawals.js).
+const REVIEWER = 'reviewer'
+const OWNER = 'owner'
+const RESUBMISSION = 'resubmission'
+const WITHDRAWAL = 'withdrawal'
+
+const {
+  DRAFT,
+  SUBMITTED,
+  UNDER_REVIEW,
+  REVISION_REQUESTED,
+  RESUBMITTED,
+  VERIFIED,
+  REJECTED,
+  WITHDRAWN,
+} = STATUSES
+
+const TRANSITIONS = {
+  [DRAFT]: { [SUBMITTED]: OWNER, [WITHDRAWN]: WITHDRAWAL },
+  [SUBMITTED]: {
+    [UNDER_REVIEW]: REVIEWER,
+    [VERIFIED]: REVIEWER,
+    [REJECTED]: REVIEWER,
+    [REVISION_REQUESTED]: REVIEWER,
+    [WITHDRAWN]: WITHDRAWAL,
+  },
+  [UNDER_REVIEW]: {
+    [VERIFIED]: REVIEWER,
+    [REJECTED]: REVIEWER,
+    [REVISION_REQUESTED]: REVIEWER,
+    [WITHDRAWN]: WITHDRAWAL,
+  },
+  [REVISION_REQUESTED]: {
+    [RESUBMITTED]: RESUBMISSION,
+    [REJECTED]: REVIEWER,
+    [WITHDRAWN]: WITHDRAWAL,
+  },
+  [RESUBMITTED]: {
+    [UNDER_REVIEW]: REVIEWER,
+    [VERIFIED]: REVIEWER,
+    [REJECTED]: REVIEWER,
+    [REVISION_REQUESTED]: REVIEWER,
+    [WITHDRAWN]: WITHDRAWAL,
+  },
+  // Verdicts can be reopened by the committee
+  [VERIFIED]: { [UNDER_REVIEW]: REVIEWER, [WITHDRAWN]: WITHDRAWAL },
+  [REJECTED]: { [UNDER_REVIEW]: REVIEWER, [RESUBMITTED]: RESUBMISSION },
+  [WITHDRAWN]: {},
+}
+
+const ENTITIES = {
+  team: { table: 'teams', key: 'team_id' },
+  craft: { table: 'craft', key: 'participant_id' },
+}
+
+// What `user` is for a record loaded by authorize(): reviewer and/or owner
+const actorKindsFor = (user, resource) => {
+  const kinds = []
+  if ([ROLES.SUPER_ADMIN, ROLES.COMMITTEE].includes(roleOf(user))) {
+    kinds.push(REVIEWER)
+  }
+  if (resource && resource.user_id === user.user_id) kinds.push(OWNER)
+  return kinds
+}
+
+// Called with { entityType, entityId, from, to } once a transition commits
+const listeners = []
+const onStatusChange = (listener) => listeners.push(listener)
+
+const canTransition = (from, to, actorKinds) =>
+  Boolean(TRANSITIONS[from] && actorKinds.includes(TRANSITIONS[from][to]))
+
+const recordHistory = async (
+  { entityType, entityId, from, to, actorId, note },
+  transaction
+) => {
+  await sequelize.query(
+    `INSERT INTO verification_histories (entity_type, entity_id, from_status, to_status, actor_id, note, createdAt) VALUES (:entityType, :entityId, :from, :to, :actorId, :note, NOW())`,
+    {
+      replacements: {
+        entityType,
+        entityId,
+        from: from || null,
+        to,
+        actorId: actorId || null,
+        note: note || null,
+      },
+      type: QueryTypes.INSERT,
+      transaction,
+    }
+  )
+}
+
+/**
+ * Moves a team or Craft registration to `to` and records it in the history.
+ * `actorKinds` lists what the acting user is for this record (REVIEWER
+ * and/or OWNER). `flags` (see services/documents.js) are kept with a
+ * rejection or revision request and cleared by any other status. The legacy
+ * isVerified, isRejected and rejectMessage columns are kept in sync for
+ * existing clients.
+ */
+const transition = async ({
+  entityType,
+  entityId,
+  to,
+  actorId,
+  actorKinds,
+  note,
+  flags,
+  transaction,
+}) => {
+  const run = async (t) => {
+    const { table, key } = ENTITIES[entityType]
+    const [row] = await sequelize.query(
+      `SELECT status FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+      {
+        replacements: { entityId },
+        type: QueryTypes.SELECT,
+        transaction: t,
+      }
+    )
+
+    if (!row) {
+      throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+    }
+
+    if (
+      !STATUS_LIST.includes(to) ||
+      !canTransition(row.status, to, actorKinds)
+    ) {
+      throw new HttpError(
+        409,
+        `Cannot change status from ${row.status} to ${to}`,
+        'INVALID_TRANSITION'
+      )
+    }
+
+    const legacyFlags = {
+      isVerified: to === VERIFIED,
+      isRejected: to === REJECTED,
+    }
+    const keepsMessage = to === REJECTED || to === REVISION_REQUESTED
+
+    await sequelize.query(
+      `UPDATE ${table} SET status = :to, isVerified = :isVerified, isRejected = :isRejected, rejectMessage = ${
+        keepsMessage ? ':note' : 'rejectMessage'
+      }, revision_flags = :flags WHERE ${key} = :entityId`,
+      {
+        replacements: {
+          to,
+          ...legacyFlags,
+          note: note || null,
+          flags: keepsMessage && flags ? JSON.stringify(flags) : null,
+          entityId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction: t,
+      }
+    )
+
+    await recordHistory(
+      { entityType, entityId, from: row.status, to, actorId, note },
+      t
+    )
+
+    t.afterCommit(() => {
+      const change = { entityType, entityId, from: row.status, to }
+      listeners.forEach((listener) => {
+        Promise.resolve()
+          .then(() => listener(change))
+          .catch((error) => console.error('Status change listener:', error))
+      })
+    })
+
+    return { from: row.status, to }
+  }
+
+  return transaction ? run(transaction) : sequelize.transaction(run)
+}
+
+const getHistory = (entityType, entityId) =>
+  sequelize.query(
+    `SELECT verification_histories.history_id, verification_histories.from_status, verification_histories.to_status, verification_histories.note, verification_histories.createdAt, verification_histories.actor_id, users.username AS actor_username
+    FROM verification_histories
+    LEFT JOIN users ON users.user_id = verification_histories.actor_id
+    WHERE verification_histories.entity_type = :entityType AND verification_histories.entity_id = :entityId
+    ORDER BY verification_histories.createdAt ASC, verification_histories.history_id ASC`,
+    {
+      replacements: { entityType, entityId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+module.exports = {
+  STATUSES,
+  STATUS_LIST,
+  REVIEWER,
+  OWNER,
+  RESUBMISSION,
+  WITHDRAWAL,
+  TRANSITIONS,
+  actorKindsFor,
+  canTransition,
+  onStatusChange,
+  transition,
+  recordHistory,
+  getHistory,
+}
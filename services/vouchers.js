@@ -0,0 +1,288 @@
+const { QueryTypes, UniqueConstraintError } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const { getCompetitionByEvent } = require('../config/competitions')
+const Voucher = require('../models/voucher')
+
+const DISCOUNT_TYPES = ['percent', 'fixed']
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/
+
+// Codes are matched case-insensitively and stored in upper case
+const normalizeCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase()
+
+const invalid = (message, code) => new HttpError(400, message, code)
+
+const isCount = (value) => Number.isInteger(value) && value > 0
+
+/**
+ * Validates an admin create or update body and returns the columns to
+ * write. `current` is the stored voucher when updating, so a partial body
+ * is checked against the values it keeps.
+ */
+const voucherChanges = (body, current = {}) => {
+  const changes = {}
+  if (body.code !== undefined) {
+    changes.code = normalizeCode(body.code)
+    if (!CODE_PATTERN.test(changes.code)) {
+      throw invalid(
+        'code must be 3 to 32 letters, digits, dashes or underscores',
+        'INVALID_VOUCHER_CODE'
+      )
+    }
+  }
+  ;['description', 'discount_type', 'discount_value', 'event_id', 'max_uses']
+    .filter((field) => body[field] !== undefined)
+    .forEach((field) => {
+      changes[field] = body[field]
+    })
+  if (body.expires_at !== undefined) changes.expiresAt = body.expires_at
+  if (body.is_active !== undefined) changes.isActive = body.is_active === true
+
+  const merged = { ...current, ...changes }
+  if (!merged.code) {
+    throw invalid('code is required', 'INVALID_VOUCHER_CODE')
+  }
+  if (!DISCOUNT_TYPES.includes(merged.discount_type)) {
+    throw invalid(
+      `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`,
+      'INVALID_DISCOUNT'
+    )
+  }
+  if (
+    !isCount(merged.discount_value) ||
+    (merged.discount_type === 'percent' && merged.discount_value > 100)
+  ) {
+    throw invalid(
+      'discount_value must be a positive integer, at most 100 for percent discounts',
+      'INVALID_DISCOUNT'
+    )
+  }
+  if (merged.event_id !== null && merged.event_id !== undefined) {
+    const competition = getCompetitionByEvent(merged.event_id)
+    if (!competition || competition.type !== 'team') {
+      throw invalid(
+        'event_id must be a team competition or null for all of them',
+        'INVALID_VOUCHER_EVENT'
+      )
+    }
+  }
+  if (
+    merged.max_uses !== null &&
+    merged.max_uses !== undefined &&
+    !isCount(merged.max_uses)
+  ) {
+    throw invalid(
+      'max_uses must be a positive integer or null',
+      'INVALID_MAX_USES'
+    )
+  }
+  if (
+    merged.expiresAt !== null &&
+    merged.expiresAt !== undefined &&
+    Number.isNaN(new Date(merged.expiresAt).getTime())
+  ) {
+    throw invalid('expires_at must be a date or null', 'INVALID_EXPIRY')
+  }
+  return changes
+}
+
+const useCounts = async (voucherIds, transaction) => {
+  if (!voucherIds.length) return {}
+  const rows = await sequelize.query(
+    `SELECT voucher_id, COUNT(*) AS used FROM voucher_redemptions WHERE voucher_id IN (:voucherIds) GROUP BY voucher_id`,
+    { replacements: { voucherIds }, type: QueryTypes.SELECT, transaction }
+  )
+  return rows.reduce((counts, row) => {
+    counts[row.voucher_id] = Number(row.used)
+    return counts
+  }, {})
+}
+
+const withUsage = async (vouchers) => {
+  const counts = await useCounts(vouchers.map((voucher) => voucher.voucher_id))
+  return vouchers.map((voucher) => ({
+    ...voucher.toJSON(),
+    used: counts[voucher.voucher_id] || 0,
+  }))
+}
+
+const findVoucher = async (voucherId) => {
+  const voucher = await Voucher.findByPk(voucherId)
+  if (!voucher) {
+    throw new HttpError(404, 'Voucher not found', 'VOUCHER_NOT_FOUND')
+  }
+  return voucher
+}
+
+const list = async ({ eventId } = {}) =>
+  withUsage(
+    await Voucher.findAll({
+      where: eventId ? { event_id: eventId } : {},
+      order: [['createdAt', 'DESC']],
+    })
+  )
+
+// A voucher with its usage and the teams that redeemed it
+const get = async (voucherId) => {
+  const [voucher] = await withUsage([await findVoucher(voucherId)])
+  const redemptions = await sequelize.query(
+    `SELECT voucher_redemptions.redemption_id, voucher_redemptions.team_id, teams.team_name, teams.event_id, voucher_redemptions.redeemed_by, voucher_redemptions.createdAt
+    FROM voucher_redemptions JOIN teams ON teams.team_id = voucher_redemptions.team_id
+    WHERE voucher_redemptions.voucher_id = :voucherId ORDER BY voucher_redemptions.createdAt`,
+    { replacements: { voucherId }, type: QueryTypes.SELECT }
+  )
+  return { ...voucher, redemptions }
+}
+
+const rethrowDuplicate = (error) => {
+  if (error instanceof UniqueConstraintError) {
+    throw new HttpError(
+      409,
+      'Voucher code already exists',
+      'VOUCHER_CODE_EXISTS'
+    )
+  }
+  throw error
+}
+
+const create = async (body, { actorId }) => {
+  const changes = voucherChanges(body)
+  const voucher = await Voucher.create({
+    ...changes,
+    created_by: actorId,
+  }).catch(rethrowDuplicate)
+  return (await withUsage([voucher]))[0]
+}
+
+const update = async (voucherId, body) => {
+  const voucher = await findVoucher(voucherId)
+  const changes = voucherChanges(body, voucher.toJSON())
+  await voucher.update(changes).catch(rethrowDuplicate)
+  return (await withUsage([voucher]))[0]
+}
+
+// Redeemed vouchers stay for the price history; deactivate them instead
+const remove = async (voucherId) => {
+  const voucher = await findVoucher(voucherId)
+  const counts = await useCounts([voucher.voucher_id])
+  if (counts[voucher.voucher_id]) {
+    throw new HttpError(
+      409,
+      'Voucher has been redeemed; deactivate it instead',
+      'VOUCHER_IN_USE'
+    )
+  }
+  await voucher.destroy()
+}
+
+/**
+ * Rejects a voucher that cannot be used for `competition` right now.
+ * `used` is the number of redemptions so far.
+ */
+const assertUsable = (voucher, competition, used, now = new Date()) => {
+  if (!voucher.isActive) {
+    throw new HttpError(400, 'Voucher is no longer active', 'VOUCHER_INACTIVE')
+  }
+  if (voucher.expiresAt && new Date(voucher.expiresAt) <= now) {
+    throw new HttpError(400, 'Voucher has expired', 'VOUCHER_EXPIRED')
+  }
+  if (
+    competition.type !== 'team' ||
+    (voucher.event_id && voucher.event_id !== competition.eventId)
+  ) {
+    throw new HttpError(
+      400,
+      `Voucher cannot be used for ${competition.name}`,
+      'VOUCHER_NOT_APPLICABLE'
+    )
+  }
+  if (voucher.max_uses !== null && used >= voucher.max_uses) {
+    throw new HttpError(
+      409,
+      'Voucher has reached its usage limit',
+      'VOUCHER_EXHAUSTED'
+    )
+  }
+}
+
+const selectByCode = async (code, { transaction, lock } = {}) => {
+  const [voucher] = await sequelize.query(
+    `SELECT * FROM vouchers WHERE code = :code${lock ? ' FOR UPDATE' : ''}`,
+    {
+      replacements: { code: normalizeCode(code) },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  )
+  if (!voucher) {
+    throw new HttpError(404, 'Voucher not found', 'VOUCHER_NOT_FOUND')
+  }
+  return voucher
+}
+
+// Whether a code can currently be used for a competition, without using it
+const check = async (code, competition) => {
+  const voucher = await selectByCode(code)
+  const counts = await useCounts([voucher.voucher_id])
+  assertUsable(voucher, competition, counts[voucher.voucher_id] || 0)
+  return voucher
+}
+
+/**
+ * Records that team `teamId` used `code`. Must run inside the registration
+ * transaction: the voucher row is locked so concurrent registrations cannot
+ * both take its last use, and a rejected registration releases the use.
+ */
+const redeem = async (competition, { code, teamId, userId, transaction }) => {
+  const voucher = await selectByCode(code, { transaction, lock: true })
+  const counts = await useCounts([voucher.voucher_id], transaction)
+  assertUsable(voucher, competition, counts[voucher.voucher_id] || 0)
+
+  const [existing] = await sequelize.query(
+    `SELECT redemption_id FROM voucher_redemptions WHERE team_id = :teamId`,
+    { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+  )
+  if (existing) {
+    throw new HttpError(
+      409,
+      'This team has already used a voucher',
+      'VOUCHER_ALREADY_USED'
+    )
+  }
+
+  await sequelize.query(
+    `INSERT INTO voucher_redemptions (voucher_id, team_id, redeemed_by, createdAt) VALUES (:voucherId, :teamId, :userId, NOW())`,
+    {
+      replacements: { voucherId: voucher.voucher_id, teamId, userId },
+      type: QueryTypes.INSERT,
+      transaction,
+    }
+  )
+  return voucher
+}
+
+// The voucher a team registered with, or null
+const voucherForTeam = async (teamId, transaction) => {
+  const [voucher] = await sequelize.query(
+    `SELECT vouchers.* FROM voucher_redemptions JOIN vouchers ON vouchers.voucher_id = voucher_redemptions.voucher_id WHERE voucher_redemptions.team_id = :teamId`,
+    { replacements: { teamId }, type: QueryTypes.SELECT, transaction }
+  )
+  return voucher || null
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  list,
+  get,
+  create,
+  update,
+  remove,
+  check,
+  redeem,
+  voucherForTeam,
+}
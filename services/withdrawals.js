@@ -0,0 +1,326 @@
+const { QueryTypes } = require('sequelize')
+const sequelize = require('../config/database')
+const HttpError = require('../utils/httpError')
+const {
+  COMPETITIONS,
+  getCompetitionByEvent,
+} = require('../config/competitions')
+const {
+  STATUSES,
+  WITHDRAWAL,
+  canTransition,
+  transition,
+} = require('./verification')
+const { PAYMENT_STATUSES, TABLES, markRefunded } = require('./payments')
+const { refundPercentAt } = require('./pricing')
+
+const REQUEST_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+}
+
+const REFUND_STATUSES = {
+  NONE: 'none',
+  PENDING: 'pending',
+  REFUNDED: 'refunded',
+}
+
+// Requests with the event and name of the registration they withdraw
+const SELECT_REQUESTS = `SELECT withdrawal_requests.*,
+    COALESCE(teams.event_id, :craftEventId) AS event_id,
+    COALESCE(teams.team_name, craft.full_name) AS registrant_name
+  FROM withdrawal_requests
+  LEFT JOIN teams ON withdrawal_requests.entity_type = 'team' AND teams.team_id = withdrawal_requests.entity_id
+  LEFT JOIN craft ON withdrawal_requests.entity_type = 'craft' AND craft.participant_id = withdrawal_requests.entity_id`
+
+const craftEventId = COMPETITIONS.craft.eventId
+
+const findRequest = async (withdrawalId, transaction) => {
+  const [request] = await sequelize.query(
+    `${SELECT_REQUESTS} WHERE withdrawal_requests.withdrawal_id = :withdrawalId${
+      transaction ? ' FOR UPDATE' : ''
+    }`,
+    {
+      replacements: { withdrawalId, craftEventId },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  )
+  if (!request) {
+    throw new HttpError(404, 'Withdrawal request not found', 'NOT_FOUND')
+  }
+  return request
+}
+
+const pendingOnly = (request) => {
+  if (request.status !== REQUEST_STATUSES.PENDING) {
+    throw new HttpError(
+      409,
+      `Withdrawal request is already ${request.status}`,
+      'WITHDRAWAL_NOT_PENDING'
+    )
+  }
+}
+
+/**
+ * Lists withdrawal requests, newest first. Filters: status, refundStatus
+ * and eventId.
+ */
+const list = ({ status, refundStatus, eventId } = {}) => {
+  const conditions = []
+  if (status) conditions.push('withdrawal_requests.status = :status')
+  if (refundStatus) {
+    conditions.push('withdrawal_requests.refund_status = :refundStatus')
+  }
+  if (eventId) {
+    conditions.push('COALESCE(teams.event_id, :craftEventId) = :eventId')
+  }
+  return sequelize.query(
+    `${SELECT_REQUESTS}${
+      conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''
+    } ORDER BY withdrawal_requests.createdAt DESC`,
+    {
+      replacements: {
+        status: status || null,
+        refundStatus: refundStatus || null,
+        eventId: eventId || null,
+        craftEventId,
+      },
+      type: QueryTypes.SELECT,
+    }
+  )
+}
+
+const listFor = (entityType, entityId) =>
+  sequelize.query(
+    `${SELECT_REQUESTS} WHERE withdrawal_requests.entity_type = :entityType AND withdrawal_requests.entity_id = :entityId ORDER BY withdrawal_requests.createdAt DESC`,
+    {
+      replacements: { entityType, entityId, craftEventId },
+      type: QueryTypes.SELECT,
+    }
+  )
+
+const get = (withdrawalId) => findRequest(withdrawalId)
+
+/**
+ * Records a registration's request to withdraw. The refund is worked out
+ * now, from what was paid and the event's refund policy on this date;
+ * the committee may change the amount when approving. A registration has
+ * at most one pending request.
+ */
+const request = async (entityType, entityId, { reason, userId }) =>
+  sequelize.transaction(async (transaction) => {
+    const { table, key } = TABLES[entityType]
+    const [record] = await sequelize.query(
+      `SELECT * FROM ${table} WHERE ${key} = :entityId FOR UPDATE`,
+      { replacements: { entityId }, type: QueryTypes.SELECT, transaction }
+    )
+    if (!record) {
+      throw new HttpError(404, 'Registration not found', 'NOT_FOUND')
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new HttpError(400, 'reason is required', 'REASON_REQUIRED')
+    }
+    if (!canTransition(record.status, STATUSES.WITHDRAWN, [WITHDRAWAL])) {
+      throw new HttpError(
+        409,
+        `A ${record.status} registration cannot be withdrawn`,
+        'WITHDRAWAL_NOT_ALLOWED'
+      )
+    }
+
+    const [pending] = await sequelize.query(
+      `SELECT withdrawal_id FROM withdrawal_requests WHERE entity_type = :entityType AND entity_id = :entityId AND status = :pending`,
+      {
+        replacements: {
+          entityType,
+          entityId,
+          pending: REQUEST_STATUSES.PENDING,
+        },
+        type: QueryTypes.SELECT,
+        transaction,
+      }
+    )
+    if (pending) {
+      throw new HttpError(
+        409,
+        'A withdrawal request is already waiting for review',
+        'WITHDRAWAL_PENDING'
+      )
+    }
+
+    const competition =
+      entityType === 'craft'
+        ? COMPETITIONS.craft
+        : getCompetitionByEvent(record.event_id)
+    const paidAmount =
+      record.payment_status === PAYMENT_STATUSES.PAID
+        ? record.expected_amount || 0
+        : 0
+    const refundPercent = paidAmount ? refundPercentAt(competition) : 0
+
+    const [withdrawalId] = await sequelize.query(
+      `INSERT INTO withdrawal_requests (entity_type, entity_id, reason, status, previous_status, paid_amount, refund_percent, refund_amount, refund_status, requested_by, createdAt, updatedAt)
+      VALUES (:entityType, :entityId, :reason, :pending, :previousStatus, :paidAmount, :refundPercent, :refundAmount, :none, :userId, NOW(), NOW())`,
+      {
+        replacements: {
+          entityType,
+          entityId,
+          reason: String(reason).trim(),
+          pending: REQUEST_STATUSES.PENDING,
+          previousStatus: record.status,
+          paidAmount,
+          refundPercent,
+          refundAmount: Math.round((paidAmount * refundPercent) / 100),
+          none: REFUND_STATUSES.NONE,
+          userId,
+        },
+        type: QueryTypes.INSERT,
+        transaction,
+      }
+    )
+    return findRequest(withdrawalId, transaction)
+  })
+
+// The owner changed their mind before the committee decided
+const cancel = async (withdrawalId) =>
+  sequelize.transaction(async (transaction) => {
+    const withdrawal = await findRequest(withdrawalId, transaction)
+    pendingOnly(withdrawal)
+    await sequelize.query(
+      `UPDATE withdrawal_requests SET status = :cancelled, updatedAt = NOW() WHERE withdrawal_id = :withdrawalId`,
+      {
+        replacements: { cancelled: REQUEST_STATUSES.CANCELLED, withdrawalId },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    return findRequest(withdrawalId, transaction)
+  })
+
+/**
+ * Approves a withdrawal: the registration moves to the withdrawn status
+ * (and stays, with its members and history) and the refund, if any, waits
+ * to be paid back. `refundAmount` overrides the amount from the refund
+ * policy, up to what was paid.
+ */
+const approve = async (withdrawalId, { actorId, note, refundAmount }) =>
+  sequelize.transaction(async (transaction) => {
+    const withdrawal = await findRequest(withdrawalId, transaction)
+    pendingOnly(withdrawal)
+
+    let amount = withdrawal.refund_amount
+    if (refundAmount !== undefined && refundAmount !== null) {
+      amount = Number(refundAmount)
+      if (
+        !Number.isInteger(amount) ||
+        amount < 0 ||
+        amount > withdrawal.paid_amount
+      ) {
+        throw new HttpError(
+          400,
+          `refund_amount must be a whole number between 0 and ${withdrawal.paid_amount}`,
+          'INVALID_REFUND_AMOUNT'
+        )
+      }
+    }
+
+    await transition({
+      entityType: withdrawal.entity_type,
+      entityId: withdrawal.entity_id,
+      to: STATUSES.WITHDRAWN,
+      actorId,
+      actorKinds: [WITHDRAWAL],
+      note: note || withdrawal.reason,
+      transaction,
+    })
+
+    await sequelize.query(
+      `UPDATE withdrawal_requests SET status = :approved, refund_amount = :amount, refund_status = :refundStatus, reviewed_by = :actorId, review_note = :note, reviewedAt = NOW(), updatedAt = NOW() WHERE withdrawal_id = :withdrawalId`,
+      {
+        replacements: {
+          approved: REQUEST_STATUSES.APPROVED,
+          amount,
+          refundStatus: amount ? REFUND_STATUSES.PENDING : REFUND_STATUSES.NONE,
+          actorId,
+          note: note || null,
+          withdrawalId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    return findRequest(withdrawalId, transaction)
+  })
+
+// The registration continues as it was
+const reject = async (withdrawalId, { actorId, note }) =>
+  sequelize.transaction(async (transaction) => {
+    const withdrawal = await findRequest(withdrawalId, transaction)
+    pendingOnly(withdrawal)
+    await sequelize.query(
+      `UPDATE withdrawal_requests SET status = :rejected, reviewed_by = :actorId, review_note = :note, reviewedAt = NOW(), updatedAt = NOW() WHERE withdrawal_id = :withdrawalId`,
+      {
+        replacements: {
+          rejected: REQUEST_STATUSES.REJECTED,
+          actorId,
+          note: note || null,
+          withdrawalId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    return findRequest(withdrawalId, transaction)
+  })
+
+/**
+ * Records that the refund of an approved withdrawal was paid back, with
+ * the transfer reference, and marks the registration refunded.
+ */
+const recordRefund = async (withdrawalId, { actorId, reference }) =>
+  sequelize.transaction(async (transaction) => {
+    const withdrawal = await findRequest(withdrawalId, transaction)
+    if (withdrawal.refund_status !== REFUND_STATUSES.PENDING) {
+      throw new HttpError(
+        409,
+        withdrawal.refund_status === REFUND_STATUSES.REFUNDED
+          ? 'Refund has already been recorded'
+          : 'Withdrawal has no refund to pay',
+        'REFUND_NOT_PENDING'
+      )
+    }
+
+    await sequelize.query(
+      `UPDATE withdrawal_requests SET refund_status = :refunded, refund_reference = :reference, refunded_by = :actorId, refundedAt = NOW(), updatedAt = NOW() WHERE withdrawal_id = :withdrawalId`,
+      {
+        replacements: {
+          refunded: REFUND_STATUSES.REFUNDED,
+          reference: reference || null,
+          actorId,
+          withdrawalId,
+        },
+        type: QueryTypes.UPDATE,
+        transaction,
+      }
+    )
+    await markRefunded(withdrawal.entity_type, withdrawal.entity_id, {
+      transaction,
+    })
+    return findRequest(withdrawalId, transaction)
+  })
+
+module.exports = {
+  REQUEST_STATUSES,
+  REFUND_STATUSES,
+  list,
+  listFor,
+  get,
+  request,
+  cancel,
+  approve,
+  reject,
+  recordRefund,
+}
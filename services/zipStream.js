@@ -0,0 +1,31 @@
+const { once } = require('events')
+const archiver = require('archiver')
+
+/**
+ * Starts a ZIP download on `res`. Entries are added one at a time so only one
+ * storage stream is open however large the archive gets; call finalize()
+ * once everything is added.
+ */
+const createZipStream = (res, filename) => {
+  const archive = archiver('zip')
+  archive.on('warning', (error) => console.warn(error))
+  archive.on('error', (error) => {
+    console.error(error)
+    res.destroy(error)
+  })
+
+  res.set('Content-Type', 'application/zip')
+  res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  archive.pipe(res)
+
+  return {
+    // body is a readable stream, a Buffer or a string
+    add: async (name, body) => {
+      archive.append(body, { name })
+      await once(archive, 'entry')
+    },
+    finalize: () => archive.finalize(),
+  }
+}
+
+module.exports = { createZipStream }
@@ -0,0 +1,70 @@
+const { escapeHtml, formatDate, BRAND } = require('../helpers')
+
+/**
+ * Landscape certificate page. `statement` is the line under the recipient's
+ * name and `details` an optional smaller line below it; both are HTML. The
+ * serial, issue date and verification QR code (certificate.qrCode, a data
+ * URL) are printed in the bottom right corner.
+ */
+const certificatePage = ({
+  certificate,
+  heading = 'Sertifikat',
+  statement,
+  details = '',
+  accent = BRAND.accent,
+}) => `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(certificate.serial)}</title>
+<style>
+  @page { size: A4 landscape; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: Georgia, 'Times New Roman', serif; color: #1d1d1d; }
+  .page { width: 297mm; height: 210mm; padding: 18mm; }
+  .frame { height: 100%; border: 3mm solid ${
+    BRAND.primary
+  }; outline: 1mm solid ${accent}; outline-offset: -6mm; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; padding: 0 24mm; position: relative; }
+  .brand { font-family: Arial, Helvetica, sans-serif; letter-spacing: 4px; text-transform: uppercase; color: ${
+    BRAND.primary
+  }; font-size: 14px; }
+  h1 { font-size: 46px; margin: 8mm 0 4mm; color: ${
+    BRAND.primary
+  }; letter-spacing: 6px; text-transform: uppercase; }
+  .given { font-size: 16px; margin: 0; }
+  .name { font-size: 34px; margin: 6mm 0; border-bottom: 1px solid ${accent}; padding: 0 12mm 2mm; }
+  .statement { font-size: 18px; margin: 0 0 3mm; }
+  .details { font-size: 14px; color: #444; margin: 0; }
+  .serial { position: absolute; bottom: 10mm; right: 14mm; font-family: Arial, Helvetica, sans-serif; font-size: 10px; color: #555; text-align: right; }
+  .qr { display: block; width: 24mm; height: 24mm; margin: 0 0 2mm auto; }
+</style>
+</head>
+<body>
+<div class="page">
+  <div class="frame">
+    <div class="brand">${escapeHtml(BRAND.name)}</div>
+    <h1>${escapeHtml(heading)}</h1>
+    <p class="given">Diberikan kepada</p>
+    <div class="name">${escapeHtml(certificate.recipient_name)}</div>
+    <p class="statement">${statement}</p>
+    <p class="details">${details}</p>
+    <div class="serial">
+      ${
+        certificate.qrCode
+          ? `<img class="qr" src="${certificate.qrCode}" alt="QR verifikasi">`
+          : ''
+      }
+      No. ${escapeHtml(certificate.serial)}<br>
+      ${escapeHtml(formatDate(certificate.issuedAt || new Date()))}
+      ${
+        certificate.verifyUrl
+          ? `<br>Verifikasi: ${escapeHtml(certificate.verifyUrl)}`
+          : ''
+      }
+    </div>
+  </div>
+</div>
+</body>
+</html>`
+
+module.exports = { certificatePage }
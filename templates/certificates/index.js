@@ -0,0 +1,62 @@
+const { escapeHtml, BRAND } = require('../helpers')
+const { certificatePage } = require('./base')
+
+// Certificate templates per role, with per-event overrides keyed by the
+// competition slug. Each template receives { certificate, competition,
+// context } where context holds the team or Craft record it was issued for.
+
+const teamLine = (context) =>
+  context.team_name ? `Tim ${escapeHtml(context.team_name)}` : ''
+
+const DEFAULT_TEMPLATES = {
+  participant: ({ certificate, competition, context }) =>
+    certificatePage({
+      certificate,
+      statement: `sebagai <b>Peserta</b> ${escapeHtml(
+        competition.name
+      )} ${escapeHtml(BRAND.name)}`,
+      details: teamLine(context),
+    }),
+
+  winner: ({ certificate, competition, context }) =>
+    certificatePage({
+      certificate,
+      heading: 'Sertifikat Penghargaan',
+      statement: `sebagai <b>${escapeHtml(certificate.award)}</b> ${escapeHtml(
+        competition.name
+      )} ${escapeHtml(BRAND.name)}`,
+      details: teamLine(context),
+    }),
+
+  advisor: ({ certificate, competition, context }) =>
+    certificatePage({
+      certificate,
+      statement: `sebagai <b>Dosen Pembimbing</b> ${escapeHtml(
+        competition.name
+      )} ${escapeHtml(BRAND.name)}`,
+      details: teamLine(context),
+    }),
+}
+
+const EVENT_TEMPLATES = {
+  craft: {
+    participant: ({ certificate, competition, context }) =>
+      certificatePage({
+        certificate,
+        statement: `telah mengikuti <b>${escapeHtml(
+          competition.name
+        )}</b> ${escapeHtml(BRAND.name)}`,
+        details: context.activity_choice
+          ? `Kelas ${escapeHtml(context.activity_choice)}`
+          : '',
+        accent: '#2e8b57',
+      }),
+  },
+}
+
+const certificateTemplate = (competition, role) => {
+  const overrides = EVENT_TEMPLATES[competition.slug] || {}
+  return overrides[role] || DEFAULT_TEMPLATES[role]
+}
+
+module.exports = { certificateTemplate }
@@ -0,0 +1,30 @@
+const { escapeHtml } = require('./helpers')
+
+/**
+ * Email with the link that confirms a new account's address. `link`
+ * already carries the token and `expiresInHours` is how long it stays valid.
+ */
+const emailVerificationEmail = ({ username, link, expiresInHours }) => ({
+  subject: 'Konfirmasi email akun Civil in Action 2025',
+  text: [
+    `Halo ${username},`,
+    '',
+    'Terima kasih telah membuat akun Civil in Action 2025. Buka tautan berikut untuk mengonfirmasi alamat email Anda:',
+    '',
+    link,
+    '',
+    `Tautan ini berlaku ${expiresInHours} jam. Panitia menghubungi tim melalui alamat ini, jadi pastikan email ini benar milik Anda.`,
+    '',
+    'Jika Anda tidak membuat akun, abaikan email ini.',
+  ].join('\n'),
+  html: `<p>Halo ${escapeHtml(username)},</p>
+<p>Terima kasih telah membuat akun Civil in Action 2025. Klik tombol berikut untuk mengonfirmasi alamat email Anda:</p>
+<p><a href="${escapeHtml(
+    link
+  )}" style="display: inline-block; padding: 10px 18px; background: #0b3d6b; color: #fff; text-decoration: none; border-radius: 4px">Konfirmasi email</a></p>
+<p>Atau salin tautan ini: ${escapeHtml(link)}</p>
+<p>Tautan ini berlaku ${expiresInHours} jam. Panitia menghubungi tim melalui alamat ini, jadi pastikan email ini benar milik Anda.</p>
+<p>Jika Anda tidak membuat akun, abaikan email ini.</p>`,
+})
+
+module.exports = emailVerificationEmail
@@ -0,0 +1,69 @@
+// Shared pieces of the PDF templates rendered by services/pdf.js
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+// Discounts are negative: -Rp 10.000
+const formatRupiah = (amount) =>
+  `${amount < 0 ? '-' : ''}Rp ${Math.abs(Number(amount || 0)).toLocaleString(
+    'id-ID'
+  )}`
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  })
+
+const BRAND = {
+  name: 'Civil in Action 2025',
+  primary: '#0b3d6b',
+  accent: '#f2a900',
+}
+
+// A4 page with the CIA 2025 header and footer around `body`
+const layout = ({ title, body, styles = '' }) => `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #1d1d1d; margin: 0; font-size: 12px; }
+  header { background: ${
+    BRAND.primary
+  }; color: #fff; padding: 24px 36px; border-bottom: 6px solid ${
+  BRAND.accent
+}; }
+  header h1 { margin: 0; font-size: 20px; }
+  header p { margin: 4px 0 0; opacity: 0.85; }
+  main { padding: 24px 36px; }
+  footer { position: fixed; bottom: 0; left: 0; right: 0; padding: 12px 36px; font-size: 10px; color: #666; border-top: 1px solid #ddd; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0 20px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e4e4; }
+  th { background: #f4f6f9; }
+  h2 { font-size: 14px; color: ${BRAND.primary}; margin: 20px 0 4px; }
+  ${styles}
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(BRAND.name)}</h1>
+  <p>${escapeHtml(title)}</p>
+</header>
+<main>
+${body}
+</main>
+<footer>Dokumen ini dibuat otomatis oleh sistem pendaftaran ${escapeHtml(
+  BRAND.name
+)}.</footer>
+</body>
+</html>`
+
+module.exports = { escapeHtml, formatRupiah, formatDate, BRAND, layout }
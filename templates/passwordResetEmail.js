@@ -0,0 +1,30 @@
+const { escapeHtml } = require('./helpers')
+
+/**
+ * Email with a password reset link. `link` already carries the token and
+ * `expiresInMinutes` is how long it stays valid.
+ */
+const passwordResetEmail = ({ username, link, expiresInMinutes }) => ({
+  subject: 'Atur ulang kata sandi Civil in Action 2025',
+  text: [
+    `Halo ${username},`,
+    '',
+    'Kami menerima permintaan untuk mengatur ulang kata sandi akun Civil in Action 2025 Anda. Buka tautan berikut untuk membuat kata sandi baru:',
+    '',
+    link,
+    '',
+    `Tautan ini berlaku ${expiresInMinutes} menit dan hanya dapat dipakai sekali. Setelah kata sandi diganti, semua perangkat yang sedang masuk akan keluar.`,
+    '',
+    'Jika Anda tidak meminta ini, abaikan email ini; kata sandi Anda tidak berubah.',
+  ].join('\n'),
+  html: `<p>Halo ${escapeHtml(username)},</p>
+<p>Kami menerima permintaan untuk mengatur ulang kata sandi akun Civil in Action 2025 Anda. Klik tombol berikut untuk membuat kata sandi baru:</p>
+<p><a href="${escapeHtml(
+    link
+  )}" style="display: inline-block; padding: 10px 18px; background: #0b3d6b; color: #fff; text-decoration: none; border-radius: 4px">Atur ulang kata sandi</a></p>
+<p>Atau salin tautan ini: ${escapeHtml(link)}</p>
+<p>Tautan ini berlaku ${expiresInMinutes} menit dan hanya dapat dipakai sekali. Setelah kata sandi diganti, semua perangkat yang sedang masuk akan keluar.</p>
+<p>Jika Anda tidak meminta ini, abaikan email ini; kata sandi Anda tidak berubah.</p>`,
+})
+
+module.exports = passwordResetEmail
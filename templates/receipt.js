@@ -0,0 +1,100 @@
+const { escapeHtml, formatRupiah, formatDate, layout } = require('./helpers')
+
+const STATUS_LABELS = {
+  draft: 'Draf',
+  submitted: 'Menunggu verifikasi',
+  under_review: 'Sedang ditinjau',
+  revision_requested: 'Perlu revisi',
+  resubmitted: 'Revisi dikirim',
+  verified: 'Terverifikasi',
+  rejected: 'Ditolak',
+  withdrawn: 'Mengundurkan diri',
+}
+
+const PAYMENT_LABELS = {
+  unpaid: 'Belum dibayar',
+  paid: 'Lunas',
+  refunded: 'Dikembalikan',
+}
+
+const row = (label, value) =>
+  `<tr><th style="width: 35%">${escapeHtml(label)}</th><td>${escapeHtml(
+    value
+  )}</td></tr>`
+
+/**
+ * Registration receipt. `receipt` comes from services/receipt.js:
+ * { registrationNumber, competition, registrant, members, fees, payment,
+ *   status, note, issuedAt }
+ */
+const receiptTemplate = (receipt) => {
+  const members = receipt.members.length
+    ? `<h2>Anggota</h2>
+<table>
+  <tr><th>Peran</th><th>Nama</th><th>Email</th></tr>
+  ${receipt.members
+    .map(
+      (member) =>
+        `<tr><td>${escapeHtml(member.role)}</td><td>${escapeHtml(
+          member.full_name
+        )}</td><td>${escapeHtml(member.email)}</td></tr>`
+    )
+    .join('\n  ')}
+</table>`
+    : ''
+
+  const fees = `<h2>Rincian Biaya</h2>
+<table>
+  ${receipt.fees.items
+    .map(
+      (item) =>
+        `<tr><td>${escapeHtml(
+          item.label
+        )}</td><td style="text-align: right">${formatRupiah(
+          item.amount
+        )}</td></tr>`
+    )
+    .join('\n  ')}
+  <tr><th>Total</th><th style="text-align: right">${formatRupiah(
+    receipt.fees.total
+  )}</th></tr>
+</table>`
+
+  const { payment } = receipt
+  // The unique code only matters while the transfer is still to be made
+  const transfer =
+    payment.status === 'unpaid' &&
+    payment.transferAmount &&
+    payment.transferAmount !== receipt.fees.total
+      ? row(
+          'Jumlah transfer (termasuk kode unik)',
+          formatRupiah(payment.transferAmount)
+        )
+      : ''
+  const paymentTable = `<table>
+  ${row('Status pembayaran', PAYMENT_LABELS[payment.status] || payment.status)}
+  ${transfer}
+</table>`
+
+  const body = `<h2>Pendaftaran</h2>
+<table>
+  ${row('Nomor pendaftaran', receipt.registrationNumber)}
+  ${row('Lomba', receipt.competition)}
+  ${row(receipt.registrant.label, receipt.registrant.name)}
+  ${row('Institusi', receipt.registrant.institution)}
+  ${row('Email', receipt.registrant.email)}
+  ${row('Status verifikasi', STATUS_LABELS[receipt.status] || receipt.status)}
+  ${receipt.note ? row('Catatan panitia', receipt.note) : ''}
+  ${row('Diterbitkan', formatDate(receipt.issuedAt))}
+</table>
+${members}
+${fees}
+${paymentTable}`
+
+  return layout({
+    title: `Bukti Pendaftaran ${receipt.registrationNumber}`,
+    body,
+  })
+}
+
+module.exports = { receiptTemplate, STATUS_LABELS, PAYMENT_LABELS }
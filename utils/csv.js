@@ -0,0 +1,15 @@
+// Quotes a CSV field; formulas are neutralised so a spreadsheet shows them as
+// text. Phone numbers such as +62812... are left untouched.
+const csvField = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (/^(=|@|\t|\r|[+-](?![\d\s]*$))/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`
+
+// The byte order mark makes Excel read the file as UTF-8
+const CSV_BOM = '\ufeff'
+
+module.exports = { csvField, csvLine, CSV_BOM }
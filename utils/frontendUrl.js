@@ -0,0 +1,9 @@
+const env = require('../config/env')
+
+// Absolute URL of a page of the registration website, for links in emails.
+// FRONTEND_URL is where the website is served, without a trailing slash.
+const FRONTEND_URL = env.FRONTEND_URL.replace(/\/+$/, '')
+
+const frontendUrl = (path) => `${FRONTEND_URL}${path}`
+
+module.exports = frontendUrl
@@ -0,0 +1,11 @@
+// Error carrying the HTTP status and machine readable code a route responds with
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.code = code
+  }
+}
+
+module.exports = HttpError
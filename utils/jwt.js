@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken')
+const env = require('../config/env')
+
+// Tokens name their signing key in the `kid` header, so keys that are being
+// rotated out keep verifying until the tokens they signed expire. Tokens
+// issued before keys had ids carry no kid and belong to the `default` key.
+const keyFor = (token) => {
+  const decoded = jwt.decode(token, { complete: true })
+  const kid = (decoded && decoded.header.kid) || 'default'
+  const key = env.jwtKeys.find((candidate) => candidate.kid === kid)
+  return key ? key.secret : null
+}
+
+const sign = (payload, options = {}) => {
+  const key = env.jwtKeys.find((candidate) => candidate.kid === env.jwtKeyId)
+  return jwt.sign(payload, key.secret, {
+    ...options,
+    algorithm: 'HS256',
+    keyid: key.kid,
+  })
+}
+
+// Throws the same errors as jsonwebtoken's verify
+const verify = (token) => {
+  const secret = keyFor(token)
+  if (!secret) throw new jwt.JsonWebTokenError('unknown signing key')
+  return jwt.verify(token, secret, { algorithms: ['HS256'] })
+}
+
+module.exports = { sign, verify }
@@ -0,0 +1,9 @@
+const env = require('../config/env')
+
+// Absolute URL of an API path, for links that leave the API such as QR codes.
+// PUBLIC_URL is the address the server is reached at, without a trailing slash.
+const PUBLIC_URL = env.PUBLIC_URL.replace(/\/+$/, '')
+
+const publicUrl = (path) => `${PUBLIC_URL}${path}`
+
+module.exports = publicUrl
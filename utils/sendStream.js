@@ -0,0 +1,13 @@
+const { pipeline } = require('stream')
+
+// Streams a stored file to the response. A storage error once the download
+// has started cannot become an error response any more, so the connection
+// is closed and the error logged; a client going away is not logged.
+const sendStream = (res, body) =>
+  pipeline(body, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(error)
+    }
+  })
+
+module.exports = sendStream